@@ -1,52 +1,154 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
 import { createRequire } from 'node:module'; // Use createRequire to import JSON
-import { hasConfig } from '../src/config.js';
+import {
+    hasConfig,
+    selectProfile,
+    getActiveProfileName,
+    profileExists,
+    setCliSettings,
+    resolveConfig,
+    parseSettingAssignment,
+    isSecretEncryptionEnabled,
+    areSecretsUnlocked,
+    unlockSecrets,
+    redactSecrets
+} from '../src/config.js';
 import { runConfigureWizard } from '../src/commands/configure.js';
 import { runSetupDbCommand } from '../src/commands/setupDb.js'; // Import setupDb command
 import { runAddFileCommand } from '../src/commands/addFile.js'; // Import addFile command
 import { runListDocsCommand } from '../src/commands/listDocs.js'; // Import listDocs command
 import { runDeleteDocCommand } from '../src/commands/deleteDoc.js'; // Import deleteDoc command
-import {
-    checkDatabaseSetup,
-    executeSetupSql,
-    getSetupSql
-} from '../src/supabaseService.js'; // Import check/execute/get SQL
+import { runSyncCommand } from '../src/commands/sync.js'; // Import sync command
+import { runCacheStatsCommand, runCacheClearCommand } from '../src/commands/cache.js'; // Import cache commands
+import { runReembedCommand, checkEmbeddingModel } from '../src/commands/reembed.js'; // Import reembed command and model check
+import { runCollectionCreateCommand, runCollectionListCommand, runCollectionDeleteCommand } from '../src/commands/collection.js'; // Import collection commands
+import { runAskCommand } from '../src/commands/ask.js'; // Import ask command
+import { runServeCommand } from '../src/commands/serve.js'; // Import serve command
+import { runMcpCommand } from '../src/commands/mcp.js'; // Import MCP server command
+import { runSessionsListCommand, runSessionsExportCommand } from '../src/commands/sessions.js'; // Import session commands
+import { runProfileListCommand, runProfileUseCommand, runProfileDeleteCommand } from '../src/commands/profile.js'; // Import profile commands
+import { runConfigShowCommand, runConfigRotateKeyCommand, runConfigRedactCommand } from '../src/commands/config.js'; // Import config commands
+import { readPassphraseFromEnvironment } from '../src/secrets.js'; // Import passphrase lookup for encrypted secrets
+import { loadSession } from '../src/sessions.js'; // Import session loading for --resume
+import { checkDatabaseSetup, executeSetupSql, findCollectionByNameOrId } from '../src/vectorStore.js'; // Import check/execute for the configured backend
+import { getSetupSql } from '../src/supabaseService.js'; // Import setup SQL for manual instructions
 import inquirer from 'inquirer'; // Need inquirer for prompts
 import chalk from 'chalk';
 import { startChatLoop } from '../src/chat.js'; // Import the chat loop
+import { setDebug } from '../src/debug.js'; // Import debug output switch
+import { parseMetadataPairs, parseFilterExpression } from '../src/metadataFilter.js'; // Import metadata option parsers
 
 // Helper to read package.json
 const require = createRequire(import.meta.url);
 const pkg = require('../package.json');
 
+// Keep configured secrets out of error output, whatever the error message contains
+for (const method of ['error', 'warn']) {
+    const write = console[method];
+    console[method] = (...args) => write(...args.map(redactLogArgument));
+}
+
 const program = new Command();
 
 // Program definition
 program
     .name(Object.keys(pkg.bin)[0] || 'ragchat') // Use the name from bin in package.json
     .version(pkg.version)
-    .description(pkg.description);
+    .description(pkg.description)
+    .option('--debug', 'Print debug output, such as retrieval and rerank scores (or set RAGCHAT_DEBUG=1).')
+    .option('--profile <name>', 'Use this configuration profile for this run (or set RAGCHAT_PROFILE).')
+    .option('--set <key=value>', 'Override a setting for this run, e.g. --set matchCount=8 (repeatable; wins over .ragchatrc and RAGCHAT_* variables).', collectSetting)
+    .hook('preAction', async (thisCommand, actionCommand) => {
+        setDebug(thisCommand.opts().debug);
+        selectProfileForRun(thisCommand.opts().profile, actionCommand);
+        setCliSettings(thisCommand.opts().set);
+        // Report invalid .ragchatrc files and RAGCHAT_* variables before the command starts
+        try {
+            resolveConfig({ decryptSecrets: false });
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+        await ensureSecretsUnlocked(actionCommand);
+    });
 
 // 'configure' command
 program
     .command('configure')
-    .description('Configure Supabase and OpenAI credentials.')
+    .description('Configure the vector store, model providers and credentials of the active profile (or of the one given with --profile, creating it).')
     .action(runConfigureWizard); // Direct action assignment
 
+// 'profile' command group
+const profileCommand = program
+    .command('profile')
+    .description('Manage configuration profiles (e.g. dev, staging, prod). Create one with `configure --profile <name>`.');
+
+profileCommand
+    .command('list')
+    .description('List profiles, marking the active one.')
+    .action(runProfileListCommand);
+
+profileCommand
+    .command('use <name>')
+    .description('Make a profile the active one for later commands.')
+    .action(runProfileUseCommand);
+
+profileCommand
+    .command('delete <name>')
+    .description('Delete a profile and its settings (its documents are kept).')
+    .option('-y, --yes', 'Do not ask for confirmation.')
+    .action(runProfileDeleteCommand);
+
+// 'config' command group
+const configCommand = program
+    .command('config')
+    .description('Inspect the configuration.');
+
+configCommand
+    .command('show')
+    .description('Show the settings saved in the active profile, or with --resolved the effective settings and where each comes from.')
+    .option('--resolved', 'Show the effective settings after applying defaults, .ragchatrc, RAGCHAT_* variables and --set.')
+    .action(runConfigShowCommand);
+
+configCommand
+    .command('rotate-key')
+    .description('Encrypt the saved secrets (API keys) with a new passphrase or key file, turning encryption on if it is off.')
+    .option('--key-file <path>', 'Use the content of this file as the key; a random key is written to it if it does not exist.')
+    .option('--disable', 'Store the secrets in plaintext again.')
+    .action(runConfigRotateKeyCommand);
+
+configCommand
+    .command('redact')
+    .description('Print the saved configuration of every profile with secrets removed, e.g. for bug reports.')
+    .action(runConfigRedactCommand);
+
 // 'setup-db' command
 program
     .command('setup-db')
     .alias('db-setup')
-    .description('Check and setup the required Supabase database components.')
+    .description('Check and setup the required Supabase database components, or manage the schema migrations.')
+    .addOption(new Option('--migrate', 'Apply the pending schema migrations over the direct database connection (databaseUrl).').conflicts(['status', 'down']))
+    .addOption(new Option('--status', 'List the schema migrations and whether they are applied.').conflicts('down'))
+    .option('--down', 'Revert the latest schema migration.')
+    .option('-y, --yes', 'Do not ask for confirmation before reverting.')
     .action(runSetupDbCommand); // Direct action assignment
 
 // 'add' command
 program
-    .command('add <file_path>')
-    .description('Add a document to the RAG system from a local file.')
-    .action(async (filePath) => {
+    .command('add <paths...>')
+    .description('Add documents to the RAG system from local files, directories or glob patterns.')
+    .option('--include <patterns...>', 'Glob patterns that files inside directories must match.')
+    .option('--exclude <patterns...>', 'Glob patterns for files to leave out.')
+    .option('--no-gitignore', 'Do not honor .gitignore files.')
+    .option('--max-size <size>', 'Skip files larger than this size (e.g. 500kb, 10mb).', '10mb')
+    .option('--chunk-size <tokens>', 'Maximum tokens per section (overrides the configured value).', parseInteger)
+    .option('--chunk-overlap <tokens>', 'Tokens shared between consecutive sections (overrides the configured value).', parseInteger)
+    .option('--collection <name>', 'Add the documents to this collection (name or ID).')
+    .option('--meta <pairs...>', 'Metadata to attach to the documents, as key=value pairs (e.g. type=runbook team=ops).', collectMetadata)
+    .option('--reembed', 'If the embedding model changed, re-embed the existing documents first without asking.')
+    .action(async (paths, options) => {
         // Ensure config and DB setup are checked before running add
         // This prevents running 'add' on an uninitialized system
         if (!hasConfig()) {
@@ -61,20 +163,87 @@ program
                  console.log(chalk.yellow(`Missing: ${setupStatus.missing.join(', ')}`));
                 process.exit(1);
             }
-            // If config and DB are okay, proceed with adding the file
-            await runAddFileCommand(filePath);
+            // Do not add vectors from a new embedding model next to stale ones
+            if (!(await checkEmbeddingModel({ reembed: options.reembed }))) {
+                process.exit(1);
+            }
+            // If config and DB are okay, proceed with adding the files
+            await runAddFileCommand(paths, options);
         } catch (error) {
-             console.error(chalk.red('Failed to check database status before adding file:'));
+             console.error(chalk.red('Failed to check the vector store before adding files:'));
              console.error(chalk.red(error.message)); // Show specific error
              process.exit(1);
         }
     });
 
+// 'sync' command
+program
+    .command('sync <path>')
+    .description('Incrementally sync documents with a file or directory: add new files, re-embed changed ones and remove deleted ones.')
+    .option('--dry-run', 'Show what would change without modifying anything.')
+    .option('--include <patterns...>', 'Glob patterns that files inside the directory must match.')
+    .option('--exclude <patterns...>', 'Glob patterns for files to leave out.')
+    .option('--no-gitignore', 'Do not honor .gitignore files.')
+    .option('--max-size <size>', 'Skip files larger than this size (e.g. 500kb, 10mb).', '10mb')
+    .option('--chunk-size <tokens>', 'Maximum tokens per section (overrides the configured value).', parseInteger)
+    .option('--chunk-overlap <tokens>', 'Tokens shared between consecutive sections (overrides the configured value).', parseInteger)
+    .option('--collection <name>', 'Sync the documents of this collection (name or ID) instead of those in no collection.')
+    .option('--meta <pairs...>', 'Metadata to attach to added and changed documents (and to unchanged ones that lack it), as key=value pairs.', collectMetadata)
+    .option('--reembed', 'If the embedding model changed, re-embed the existing documents first without asking.')
+    .action(async (targetPath, options) => {
+        if (!hasConfig()) {
+            console.error(chalk.red('Configuration not found. Please run `ragchat configure` first.'));
+            process.exit(1);
+        }
+        try {
+            const setupStatus = await checkDatabaseSetup();
+            if (!setupStatus.allExist) {
+                console.error(chalk.red('Database setup is incomplete. Please run `ragchat setup-db` first.'));
+                console.log(chalk.yellow(`Missing: ${setupStatus.missing.join(', ')}`));
+                process.exit(1);
+            }
+            if (!(await checkEmbeddingModel({ reembed: options.reembed }))) {
+                process.exit(1);
+            }
+            await runSyncCommand(targetPath, options);
+        } catch (error) {
+            console.error(chalk.red('Failed to check the vector store before syncing:'));
+            console.error(chalk.red(error.message)); // Show specific error
+            process.exit(1);
+        }
+    });
+
+// 'reembed' command
+program
+    .command('reembed')
+    .description('Re-embed documents that were embedded with a different embedding model than the configured one.')
+    .option('--all', 'Re-embed every document, not just those embedded with another model.')
+    .action(async (options) => {
+        if (!hasConfig()) {
+            console.error(chalk.red('Configuration not found. Please run `ragchat configure` first.'));
+            process.exit(1);
+        }
+        try {
+            const setupStatus = await checkDatabaseSetup();
+            if (!setupStatus.allExist) {
+                console.error(chalk.red('Database setup is incomplete. Please run `ragchat setup-db` first.'));
+                console.log(chalk.yellow(`Missing: ${setupStatus.missing.join(', ')}`));
+                process.exit(1);
+            }
+            await runReembedCommand(options);
+        } catch (error) {
+            console.error(chalk.red('Failed to check database status before re-embedding:'));
+            console.error(chalk.red(error.message)); // Show specific error
+            process.exit(1);
+        }
+    });
+
 // 'list' command
 program
     .command('list')
     .description('List all documents currently in the RAG system.')
-    .action(async () => {
+    .option('--collection <name>', 'Only list the documents of this collection (name or ID).')
+    .action(async (options) => {
         // Similar checks needed before listing
         if (!hasConfig()) {
             console.error(chalk.red('Configuration not found. Please run `ragchat configure` first.'));
@@ -87,7 +256,7 @@ program
                 console.log(chalk.yellow(`Missing: ${setupStatus.missing.join(', ')}`));
                 process.exit(1);
             }
-            await runListDocsCommand();
+            await runListDocsCommand(options);
         } catch (error) {
             console.error(chalk.red('Failed to check database status before listing documents:'));
             console.error(chalk.red(error.message)); // Show specific error
@@ -99,7 +268,8 @@ program
 program
     .command('delete <identifier>')
     .description('Delete a document (and its sections) by ID or name.')
-    .action(async (identifier) => {
+    .option('--collection <name>', 'Look for the document in this collection (name or ID).')
+    .action(async (identifier, options) => {
         // Similar checks needed before deleting
         if (!hasConfig()) {
             console.error(chalk.red('Configuration not found. Please run `ragchat configure` first.'));
@@ -112,7 +282,7 @@ program
                 console.log(chalk.yellow(`Missing: ${setupStatus.missing.join(', ')}`));
                 process.exit(1);
             }
-            await runDeleteDocCommand(identifier);
+            await runDeleteDocCommand(identifier, options);
         } catch (error) {
             console.error(chalk.red('Failed to check database status before deleting document:'));
             console.error(chalk.red(error.message)); // Show specific error
@@ -120,8 +290,131 @@ program
         }
     });
 
+// 'cache' command group
+const cacheCommand = program
+    .command('cache')
+    .description('Manage the local embedding cache.');
+
+cacheCommand
+    .command('stats')
+    .description('Show the size, entry count and hit rate of the embedding cache.')
+    .action(runCacheStatsCommand);
+
+cacheCommand
+    .command('clear')
+    .description('Delete all cached embeddings.')
+    .action(runCacheClearCommand);
+
+// 'collection' command group
+const collectionCommand = program
+    .command('collection')
+    .description('Manage collections: named groups of documents that chats can be scoped to.');
+
+collectionCommand
+    .command('create <name>')
+    .description('Create a collection.')
+    .option('-d, --description <text>', 'What the collection contains.')
+    .action(async (name, options) => {
+        await ensureDatabaseReady('managing collections');
+        await runCollectionCreateCommand(name, options);
+    });
+
+collectionCommand
+    .command('list')
+    .description('List collections and their document counts.')
+    .action(async () => {
+        await ensureDatabaseReady('listing collections');
+        await runCollectionListCommand();
+    });
+
+collectionCommand
+    .command('delete <identifier>')
+    .description('Delete a collection (by name or ID) and all of its documents.')
+    .option('-y, --yes', 'Do not ask for confirmation.')
+    .action(async (identifier, options) => {
+        await ensureDatabaseReady('deleting the collection');
+        await runCollectionDeleteCommand(identifier, options);
+    });
+
+// 'sessions' command group
+const sessionsCommand = program
+    .command('sessions')
+    .description('List and export saved chat sessions.');
+
+sessionsCommand
+    .command('list')
+    .description('List saved chat sessions, most recent first.')
+    .action(runSessionsListCommand);
+
+sessionsCommand
+    .command('export <id>')
+    .description('Export a chat session (by ID, or "last") with its questions, answers and sources.')
+    .addOption(new Option('-f, --format <format>', 'Output format.').choices(['markdown', 'json']).default('markdown'))
+    .option('-o, --output <file>', 'Write to this file instead of stdout.')
+    .action(runSessionsExportCommand);
+
+// 'chat' command (also the default action)
+program
+    .command('chat')
+    .description('Start the interactive chat (the default when no command is given).')
+    .option('--collection <names...>', 'Only search documents in these collections (names or IDs).')
+    .option('--filter <expressions...>', 'Only search sections whose metadata matches all expressions, e.g. type=runbook, "team in ops,sre" or updated>=2026-01-01.', collectFilter)
+    .option('--resume <id>', 'Continue a saved session (by ID, or "last"), with its collections and filter unless others are given.')
+    .action(startChat);
+
+// 'ask' command
+program
+    .command('ask [question]')
+    .description('Answer a single question without prompts, for scripts and CI. Reads the question from stdin when omitted or "-".')
+    .option('-k, --top-k <count>', 'Number of document sections to use as context (overrides the configured value).', parsePositiveInteger)
+    .option('-t, --threshold <similarity>', 'Minimum similarity (0-1) of retrieved sections (overrides the configured value).', parseSimilarity)
+    .option('--collection <names...>', 'Only search documents in these collections (names or IDs).')
+    .option('--filter <expressions...>', 'Only search sections whose metadata matches all expressions, e.g. type=runbook.', collectFilter)
+    .option('--json', 'Print the answer, sources, scores and token usage as JSON.')
+    .action(async (question, options) => {
+        await ensureDatabaseReady('answering the question');
+        await runAskCommand(question, options);
+    });
+
+// 'serve' command
+program
+    .command('serve')
+    .description('Start a local HTTP API server for querying and managing documents.')
+    .option('-p, --port <port>', 'Port to listen on.', parsePort, 8787)
+    .option('--host <address>', 'Address to bind to.', '127.0.0.1')
+    .action(async (options) => {
+        await ensureDatabaseReady('starting the server');
+        try {
+            await runServeCommand(options);
+        } catch (error) {
+            console.error(chalk.red('Failed to start the server:'));
+            console.error(chalk.red(error.message)); // Show specific error
+            process.exit(1);
+        }
+    });
+
+// 'mcp' command
+program
+    .command('mcp')
+    .description('Run a Model Context Protocol server over stdio, exposing the documents to AI assistants.')
+    .action(async () => {
+        // Stdout carries the protocol: send all other output, including setup checks, to stderr
+        console.log = console.error;
+        await ensureDatabaseReady('starting the MCP server');
+        await runMcpCommand({ name: pkg.name, version: pkg.version });
+    });
+
 // Default action (when run without specific command like 'configure')
-program.action(async () => {
+program.action(() => startChat());
+
+/**
+ * Checks the configuration and database, offers to fix what is missing, and starts the chat.
+ * @param {object} [options] - Chat options.
+ * @param {string[]} [options.collection] - Names or IDs of the collections to scope the chat to.
+ * @param {Array<object>} [options.filter] - Metadata conditions to scope the chat to.
+ * @param {string} [options.resume] - ID of a saved session to continue, or "last".
+ */
+async function startChat(options = {}) {
     console.log(chalk.cyan(`Welcome to ${pkg.name} v${pkg.version}!`));
 
     // 1. Check Configuration
@@ -173,9 +466,20 @@ program.action(async () => {
         }
         // If DB was already set up or was just set up successfully, continue...
 
-        // 3. Start the main application logic (Chat Interface)
+        // 3. Offer to re-embed documents if the embedding model changed
+        await checkEmbeddingModel({ allowMixed: true });
+
+        // 4. Load the session to resume, and resolve the collections to search (by default the session's)
+        const session = options.resume ? await loadSession(options.resume) : undefined;
+        const collectionIdentifiers = options.collection
+            || session?.scope.collections.map(collection => String(collection.id))
+            || [];
+        const collections = await Promise.all(collectionIdentifiers.map(findCollectionByNameOrId));
+        const metadataFilter = options.filter ?? session?.scope.metadata_filter ?? undefined;
+
+        // 5. Start the main application logic (Chat Interface)
         console.log(chalk.green('\nConfiguration and database setup verified.'));
-        await startChatLoop(); // Call the imported chat loop function
+        await startChatLoop({ collections, metadataFilter, session }); // Call the imported chat loop function
 
     } catch (error) {
         console.error(chalk.red('\n❌ An error occurred during startup:'));
@@ -183,7 +487,224 @@ program.action(async () => {
         console.log(chalk.yellow('Please check the error message, your network connection, and configuration.'));
         process.exit(1);
     }
-});
+}
+
+/**
+ * Exits unless the configuration exists and the database setup is complete.
+ * @param {string} activity - What the command is about to do, for the error message.
+ * @returns {Promise<void>} Resolves if the command can proceed.
+ */
+async function ensureDatabaseReady(activity) {
+    if (!hasConfig()) {
+        console.error(chalk.red('Configuration not found. Please run `ragchat configure` first.'));
+        process.exit(1);
+    }
+    try {
+        const setupStatus = await checkDatabaseSetup();
+        if (!setupStatus.allExist) {
+            console.error(chalk.red('Database setup is incomplete. Please run `ragchat setup-db` first.'));
+            console.log(chalk.yellow(`Missing: ${setupStatus.missing.join(', ')}`));
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(chalk.red(`Failed to check database status before ${activity}:`));
+        console.error(chalk.red(error.message)); // Show specific error
+        process.exit(1);
+    }
+}
+
+/**
+ * Selects the configuration profile for this run. Exits if the profile was chosen
+ * explicitly (with --profile or RAGCHAT_PROFILE) but does not exist, except for
+ * `configure`, which creates it, and the profile commands.
+ * @param {string|undefined} name - The `--profile` option value.
+ * @param {Command} actionCommand - The command about to run.
+ */
+function selectProfileForRun(name, actionCommand) {
+    try {
+        selectProfile(name);
+        const profile = getActiveProfileName();
+        const createsOrManagesProfiles = actionCommand.name() === 'configure' || actionCommand.parent?.name() === 'profile';
+        if ((name || process.env.RAGCHAT_PROFILE) && !createsOrManagesProfiles && !profileExists(profile)) {
+            console.error(chalk.red(`Profile not found: "${profile}". Create it with \`ragchat configure --profile ${profile}\`.`));
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+    }
+}
+
+/**
+ * Unlocks encrypted secrets before a command that may need them: from RAGCHAT_PASSPHRASE
+ * or RAGCHAT_KEY_FILE, else by asking for the passphrase in a terminal. Exits if they cannot be unlocked.
+ * Showing and managing profiles and the configuration works without the secrets.
+ * @param {Command} actionCommand - The command about to run.
+ * @returns {Promise<void>} Resolves once the secrets are unlocked or not needed.
+ */
+async function ensureSecretsUnlocked(actionCommand) {
+    const withoutSecrets = actionCommand.parent?.name() === 'profile'
+        || (actionCommand.parent?.name() === 'config' && actionCommand.name() !== 'rotate-key');
+    if (withoutSecrets || !isSecretEncryptionEnabled() || areSecretsUnlocked()) {
+        return;
+    }
+    try {
+        const fromEnvironment = readPassphraseFromEnvironment();
+        if (fromEnvironment) {
+            unlockSecrets(fromEnvironment.passphrase);
+            return;
+        }
+        if (!process.stdin.isTTY) {
+            throw new Error('Secrets in the configuration are encrypted. Set RAGCHAT_PASSPHRASE or RAGCHAT_KEY_FILE to unlock them.');
+        }
+        for (let attempt = 1; ; attempt++) {
+            const { passphrase } = await inquirer.prompt([
+                {
+                    type: 'password',
+                    name: 'passphrase',
+                    mask: '*',
+                    message: 'Passphrase for the encrypted secrets:'
+                }
+            ]);
+            try {
+                unlockSecrets(passphrase);
+                return;
+            } catch (error) {
+                if (attempt === 3) {
+                    throw error;
+                }
+                console.error(chalk.yellow(`${error.message} Try again.`));
+            }
+        }
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+    }
+}
+
+/**
+ * Redacts secrets in a console.error or console.warn argument. Errors are replaced with a
+ * copy holding their redacted message, stack and string properties; other properties, such
+ * as the request options SDK errors carry, are dropped.
+ * @param {*} value - The argument.
+ * @returns {*} The argument with secrets replaced by "[REDACTED]".
+ */
+function redactLogArgument(value) {
+    if (!(value instanceof Error)) {
+        return redactSecrets(value);
+    }
+    const copy = new Error(redactSecrets(value.message));
+    copy.name = value.name;
+    copy.stack = redactSecrets(value.stack);
+    for (const [key, property] of Object.entries(value)) {
+        if (typeof property === 'string') {
+            copy[key] = redactSecrets(property);
+        }
+    }
+    return copy;
+}
+
+/**
+ * Parses a non-negative integer option value for commander.
+ * @param {string} value - The raw option value.
+ * @returns {number} The parsed integer.
+ * @throws {InvalidArgumentError} If the value is not a non-negative integer.
+ */
+function parseInteger(value) {
+    const parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 0 || String(parsed) !== value.trim()) {
+        throw new InvalidArgumentError('Must be a non-negative integer.');
+    }
+    return parsed;
+}
+
+/**
+ * Parses a positive integer option value for commander.
+ * @param {string} value - The raw option value.
+ * @returns {number} The parsed integer.
+ * @throws {InvalidArgumentError} If the value is not a positive integer.
+ */
+function parsePositiveInteger(value) {
+    const parsed = parseInteger(value);
+    if (parsed === 0) {
+        throw new InvalidArgumentError('Must be a positive integer.');
+    }
+    return parsed;
+}
+
+/**
+ * Parses a TCP port option value for commander.
+ * @param {string} value - The raw option value.
+ * @returns {number} The parsed port.
+ * @throws {InvalidArgumentError} If the value is not a port number.
+ */
+function parsePort(value) {
+    const parsed = parseInteger(value);
+    if (parsed > 65535) {
+        throw new InvalidArgumentError('Must be a port number (0-65535).');
+    }
+    return parsed;
+}
+
+/**
+ * Parses a similarity option value between 0 and 1 for commander.
+ * @param {string} value - The raw option value.
+ * @returns {number} The parsed similarity.
+ * @throws {InvalidArgumentError} If the value is not a number between 0 and 1.
+ */
+function parseSimilarity(value) {
+    const parsed = Number(value);
+    if (value.trim() === '' || Number.isNaN(parsed) || parsed < 0 || parsed > 1) {
+        throw new InvalidArgumentError('Must be a number between 0 and 1.');
+    }
+    return parsed;
+}
+
+/**
+ * Collects `--meta` key=value pairs into a metadata object for commander.
+ * @param {string} value - One raw pair.
+ * @param {object} [previous] - The metadata collected so far.
+ * @returns {object} The metadata including this pair.
+ * @throws {InvalidArgumentError} If the pair is not key=value.
+ */
+function collectMetadata(value, previous = {}) {
+    try {
+        return { ...previous, ...parseMetadataPairs([value]) };
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+}
+
+/**
+ * Collects `--set` key=value options into settings for commander.
+ * @param {string} value - One raw key=value option.
+ * @param {object} [previous] - The settings collected so far.
+ * @returns {object} The settings including this one.
+ * @throws {InvalidArgumentError} If the setting is unknown or the value is invalid.
+ */
+function collectSetting(value, previous = {}) {
+    try {
+        const { key, value: settingValue } = parseSettingAssignment(value);
+        return { ...previous, [key]: settingValue };
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+}
+
+/**
+ * Collects `--filter` expressions into a list of metadata conditions for commander.
+ * @param {string} value - One raw filter expression.
+ * @param {Array<object>} [previous] - The conditions collected so far.
+ * @returns {Array<object>} The conditions including this one.
+ * @throws {InvalidArgumentError} If the expression cannot be parsed.
+ */
+function collectFilter(value, previous = []) {
+    try {
+        return [...previous, parseFilterExpression(value)];
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+}
 
 /**
  * Helper function to retrieve and print the setup SQL for manual execution.
@@ -203,5 +724,5 @@ async function printManualInstructions() {
     console.log(chalk.yellow(chalk.dim('----------------------------------------------------------------------')));
 }
 
-// Parse arguments
-program.parse(process.argv); 
\ No newline at end of file
+// Parse arguments (async, because unlocking secrets may ask for the passphrase)
+program.parseAsync(process.argv); 
\ No newline at end of file
@@ -1,167 +1,264 @@
-import inquirer from 'inquirer';
+import path from 'node:path';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import ora from 'ora';
 
 // Import RAG core functions
+import { streamResponse } from './openaiService.js';
+import { getConfigDir, getActiveProfileName } from './config.js';
+import { countTokens } from './tokenizer.js';
+import { extractCitations, stripCitations, renderSourcePanel } from './citations.js';
+import { retrieveSections, createDocumentDetailsLookup, getSectionDocumentNames } from './ragPipeline.js';
+import { describeFilter } from './metadataFilter.js';
+import { createSession, recordTurn } from './sessions.js';
+import { createLinePrompt } from './chatPrompt.js';
+import { isChatCommand, runChatCommand, completeChatCommand } from './chatCommands.js';
 import {
-    generateEmbedding,
-    generateResponse
-} from './openaiService.js';
-import {
-    addDocument,
-    searchDocumentSections,
-    getDocumentDetails
-} from './supabaseService.js';
+    createConversation,
+    getHistoryMessages,
+    addTurn,
+    toStandaloneQuery
+} from './conversation.js';
 
 // --- Helper Functions ---
 
 /**
- * Processes a user query using the RAG pipeline.
+ * Answers a user query using the RAG pipeline, streaming the answer to the terminal.
+ * Follow-up questions are rewritten into standalone queries for the search, and
+ * the answer sees the earlier turns of the conversation. With a reranker configured,
+ * more candidates are retrieved and only the best `matchCount` after reranking are used.
+ * Ctrl+C cancels only this answer: the partial text is kept and the chat continues.
+ * Sources and timing stats are printed once the answer is complete.
  * @param {string} query - The user's query.
- * @returns {Promise<string>} The AI-generated response.
+ * @param {object} conversation - The chat session's conversation (see conversation.js).
+ * @param {object} [options] - What to search and how to answer (the configured settings when omitted).
+ * @param {number[]} [options.collectionIds] - Only search documents in these collections.
+ * @param {Array<object>} [options.metadataFilter] - Only search sections whose metadata matches these conditions.
+ * @param {number} [options.matchCount] - Number of sections used as context.
+ * @param {number} [options.matchThreshold] - Minimum similarity of searched sections.
+ * @param {string} [options.model] - Chat model that answers.
+ * @returns {Promise<object|null>} The exchange (question, searchQuery, answer, aborted, sections,
+ *          documentNames, cited) once the answer is printed, or null if answering failed.
  */
-async function processQuery(query) {
+async function processQuery(query, conversation, options = {}) {
+    const { model, ...searchOptions } = options;
+    const controller = new AbortController();
+    const cancelAnswer = () => controller.abort();
+    // Replaces the default SIGINT behavior (exiting) while the answer is in progress
+    process.on('SIGINT', cancelAnswer);
+
     const spinner = ora({ text: chalk.blue('Processing your query...'), spinner: 'dots' }).start();
     try {
-        // 1. Generate embedding
-        spinner.text = chalk.blue('Generating query embedding...');
-        const queryEmbedding = await generateEmbedding(query);
+        // 1. Resolve follow-ups ("what about the second one?") into a standalone query
+        spinner.text = chalk.blue('Understanding your question...');
+        const searchQuery = await toStandaloneQuery(conversation, query);
+        if (searchQuery !== query) {
+            spinner.info(chalk.dim(`Searching for: ${searchQuery}`));
+            spinner.start();
+        }
+
+        // 2. Search documents (see ragPipeline.js)
+        const { sections: relevantSections } = await retrieveSections(searchQuery, {
+            ...searchOptions,
+            onProgress: (message) => {
+                spinner.text = chalk.blue(message);
+            },
+            onRerankError: (error) => {
+                spinner.warn(chalk.yellow(`Reranking failed, using search order: ${error.message}`));
+                spinner.start();
+            }
+        });
+        spinner.stop();
 
-        // 2. Search documents
-        spinner.text = chalk.blue('Searching relevant documents...');
-        const relevantSections = await searchDocumentSections(queryEmbedding);
+        // 3. Stream the response (document details are fetched once for the context and the sources)
+        const getDocumentDetailsOnce = createDocumentDetailsLookup();
 
-        // 3. Generate Response (passing getDocumentDetails as the callback)
-        spinner.text = chalk.blue('Generating response...');
-        const response = await generateResponse(query, relevantSections, getDocumentDetails);
+        console.log(chalk.bold.blue('\n🤖 AI:'));
+        const startedAt = Date.now();
+        let firstTokenAt = null;
+        const { text, aborted } = await streamResponse(query, relevantSections, getDocumentDetailsOnce, {
+            signal: controller.signal,
+            history: getHistoryMessages(conversation),
+            summary: conversation.summary,
+            model,
+            onToken: (token) => {
+                firstTokenAt ??= Date.now();
+                process.stdout.write(chalk.cyan(token));
+            }
+        });
+        process.stdout.write('\n');
+        if (aborted) {
+            console.log(chalk.yellow('\n⏹ Answer cancelled.'));
+        }
 
-        spinner.succeed(chalk.green('Processed query successfully!'));
-        return response;
+        const documentNames = await getSectionDocumentNames(relevantSections, getDocumentDetailsOnce);
+        const cited = extractCitations(text, relevantSections.length);
+        printSources(relevantSections, documentNames, cited);
+        printStats(text, startedAt, firstTokenAt);
 
+        // Remember the exchange (even a cancelled, partial answer) for follow-up questions
+        if (text.trim()) {
+            const answer = stripCitations(text);
+            await addTurn(conversation, query, aborted ? `${answer} (answer cancelled)` : answer);
+        }
+        return { question: query, searchQuery, answer: text, aborted, sections: relevantSections, documentNames, cited };
     } catch (error) {
-        spinner.fail(chalk.red('Error processing query:'));
+        if (spinner.isSpinning) {
+            spinner.fail(chalk.red('Error processing query:'));
+        } else {
+            console.error(chalk.red('\nError processing query:'));
+        }
         console.error(error.message || error);
-        return chalk.red('Sorry, I encountered an error. Please try again.');
+        console.log(chalk.red('Sorry, I encountered an error. Please try again.'));
+        return null;
+    } finally {
+        process.removeListener('SIGINT', cancelAnswer);
     }
 }
 
 /**
- * Handles the interactive process of adding a new document.
+ * Prints the source panel for an answer: the sections it cites, with their
+ * document, section index, similarity and a snippet, so the answer can be checked.
+ * @param {Array} sections - The sections used as context, numbered from 1 in this order.
+ * @param {string[]} documentNames - The document name of each section.
+ * @param {number[]} cited - The section numbers the answer cites.
  */
-async function handleAddDocument() {
-    try {
-        const { name } = await inquirer.prompt([
-            {
-                type: 'input',
-                name: 'name',
-                message: 'Enter a name for the new document:',
-                validate: input => input.trim() !== '' ? true : 'Document name cannot be empty.'
-            }
-        ]);
-
-        const { content } = await inquirer.prompt([
-            {
-                type: 'editor',
-                name: 'content',
-                message: 'Enter the document content (press Enter, then Ctrl+D or Esc when done):',
-                validate: input => input.trim() !== '' ? true : 'Document content cannot be empty.',
-                waitForUserInput: true // Keep editor open until user explicitly finishes
-            }
-        ]);
-
-        // Call supabaseService.addDocument, passing the generateEmbedding function from openaiService
-        await addDocument(name, content, generateEmbedding);
-        // addDocument already provides spinner feedback
-
-    } catch (error) {
-        // Catch errors from inquirer prompts or the addDocument service call
-        console.error(chalk.red('\n❌ Error during interactive document addition:'));
-        console.error(chalk.red(error.message)); // Display the specific error
+function printSources(sections, documentNames, cited) {
+    if (sections.length === 0) {
+        console.log(chalk.dim('\nNo matching document sections were found.'));
+        return;
+    }
+    console.log(renderSourcePanel(sections, documentNames, cited));
+}
 
-        // Add specific advice if known?
-        if (error.message.includes('embedding')) {
-             console.log(chalk.yellow('This might be due to an issue with the OpenAI API key or service.'));
-        }
-        if (error.message.includes('insert document sections') || error.message.includes('insert document metadata')) {
-             console.log(chalk.yellow('This might indicate an issue connecting to or writing to the Supabase database.'));
-        }
-         if (error.isTtyError || error.message.includes('canceled')) {
-             console.log(chalk.yellow('Document addition cancelled.'));
-         }
+/**
+ * Prints timing and size statistics for a streamed answer.
+ * @param {string} text - The answer text.
+ * @param {number} startedAt - When the request started (ms timestamp).
+ * @param {number|null} firstTokenAt - When the first token arrived (ms timestamp), or null if none did.
+ */
+function printStats(text, startedAt, firstTokenAt) {
+    const totalSeconds = (Date.now() - startedAt) / 1000;
+    const tokens = countTokens(text);
+    const parts = [];
+    if (firstTokenAt) {
+        parts.push(`first token ${((firstTokenAt - startedAt) / 1000).toFixed(1)}s`);
+    }
+    parts.push(`total ${totalSeconds.toFixed(1)}s`);
+    // Counted with the OpenAI tokenizer, so only approximate for other models
+    parts.push(`~${tokens} tokens`);
+    if (tokens > 0 && totalSeconds > 0) {
+        parts.push(`${(tokens / totalSeconds).toFixed(1)} tokens/s`);
     }
+    console.log(chalk.dim(`\n${parts.join(' · ')}\n`));
 }
 
 // --- Main Chat Loop ---
 
 /**
  * Starts the main interactive chat interface.
+ * Lines starting with "/" are slash commands (see chatCommands.js); they can change
+ * the scope and settings of later questions for the rest of the session.
+ * @param {object} [options] - Chat options.
+ * @param {Array<{id: number, name: string}>} [options.collections] - Collections to scope the chat to:
+ *        questions only search their documents. All documents are searched when omitted.
+ * @param {Array<object>} [options.metadataFilter] - Metadata conditions (see metadataFilter.js) that
+ *        searched sections must match.
+ * @param {object} [options.session] - A saved session to resume (see sessions.js): its conversation
+ *        memory is restored and new turns are added to it. A new session is started when omitted.
  */
-export async function startChatLoop() {
-    console.log(boxen(chalk.bold.cyan('RAG Chatbot Ready!'), {
+export async function startChatLoop(options = {}) {
+    const collections = options.collections ?? [];
+    const metadataFilter = options.metadataFilter;
+
+    // The profile decides which project questions and /add go to, so it is always shown
+    const banner = `${chalk.bold.cyan('RAG Chatbot Ready!')}\n${chalk.cyan('Profile:')} ${chalk.bold.yellow(getActiveProfileName())}`;
+    console.log(boxen(banner, {
         padding: 1,
         margin: 1,
         borderStyle: 'round',
         borderColor: 'cyan'
     }));
 
+    if (collections.length > 0) {
+        console.log(chalk.cyan(`Searching collection(s): ${collections.map(collection => collection.name).join(', ')}\n`));
+    }
+    if (metadataFilter) {
+        console.log(chalk.cyan(`Filtering by metadata: ${describeFilter(metadataFilter)}\n`));
+    }
+
     console.log(chalk.yellow('Commands:'));
-    console.log(`${chalk.green('•')} Ask any question to get an AI response.`);
-    console.log(`${chalk.green('•')} Type ${chalk.bold.white('add')} to add a new document.`);
-    console.log(`${chalk.green('•')} Type ${chalk.bold.white('exit')} or press ${chalk.bold.white('Ctrl+C')} to quit.`);
+    console.log(`${chalk.green('•')} Ask any question to get an AI response. Press ${chalk.bold.white('Ctrl+C')} while it is answering to stop the answer.`);
+    console.log(`${chalk.green('•')} Type ${chalk.bold.white('/help')} to see the commands, e.g. ${chalk.bold.white('/add')}, ${chalk.bold.white('/docs')}, ${chalk.bold.white('/topk')} or ${chalk.bold.white('/clear')}. ${chalk.bold.white('Tab')} completes them.`);
+    console.log(`${chalk.green('•')} Type ${chalk.bold.white('/exit')} (or just ${chalk.bold.white('exit')}) or press ${chalk.bold.white('Ctrl+C')} to quit.`);
 
-    let exitRequested = false;
-    while (!exitRequested) {
-        try {
-            const { input } = await inquirer.prompt([
-                {
-                    type: 'input',
-                    name: 'input',
-                    message: chalk.green('You:'),
-                    prefix: '🧠',
-                }
-            ]);
+    // Everything slash commands can change. Every answer is saved to the session,
+    // so it can be resumed or exported later.
+    const state = {
+        collections,
+        metadataFilter,
+        conversation: createConversation(),
+        session: options.session ?? createSession({ collections, metadataFilter }),
+        lastTurn: null,
+        settings: {}, // Per-session overrides of matchCount, matchThreshold and model
+        prompt: createLinePrompt({
+            historyPath: path.join(getConfigDir(), 'chat-history'),
+            completer: completeChatCommand
+        }),
+        exitRequested: false
+    };
+    if (options.session) {
+        Object.assign(state.conversation, state.session.conversation);
+        console.log(chalk.cyan(`\nResumed session ${state.session.id} (${state.session.turns.length} earlier question(s)). Recent questions:`));
+        for (const turn of state.session.turns.slice(-3)) {
+            console.log(chalk.dim(`  • ${turn.question}`));
+        }
+    }
 
-            const command = input.trim().toLowerCase();
+    while (!state.exitRequested) {
+        try {
+            const input = await state.prompt.ask(chalk.green('🧠 You: '));
 
-            if (command === 'exit') {
-                exitRequested = true;
+            // Ctrl+C or Ctrl+D at the prompt
+            if (input === null) {
+                state.exitRequested = true;
                 continue;
             }
 
-            if (command === 'add') {
-                await handleAddDocument();
+            if (!input.trim()) {
                 continue;
             }
 
-            // Process as a query
-            const response = await processQuery(input);
+            if (isChatCommand(input)) {
+                await runChatCommand(input, state);
+                continue;
+            }
 
-            console.log(boxen(chalk.cyan(response), {
-                padding: 1,
-                margin: { top: 1, bottom: 1 },
-                borderStyle: 'round',
-                borderColor: 'blue',
-                title: '🤖 AI',
-                titleAlignment: 'left'
-            }));
+            // Process as a query; the answer is streamed as it is generated
+            const turn = await processQuery(input, state.conversation, {
+                collectionIds: state.collections.length > 0 ? state.collections.map(collection => collection.id) : undefined,
+                metadataFilter: state.metadataFilter,
+                ...state.settings
+            });
+            if (turn) {
+                state.lastTurn = turn;
+                try {
+                    await recordTurn(state.session, turn, state.conversation);
+                } catch (error) {
+                    console.warn(chalk.yellow(`Could not save the chat session: ${error.message}`));
+                }
+            }
 
         } catch (error) {
-            // Handle potential errors from inquirer prompt itself (e.g., Ctrl+C)
-            if (error.isTtyError) {
-                console.log(chalk.yellow('\nPrompt failed. Exiting...'));
-                exitRequested = true;
-            } else if (error.message.includes('canceled')) { // Handle Ctrl+C during prompt
-                 console.log(chalk.yellow('\nOperation cancelled. Exiting...'));
-                 exitRequested = true;
-            } else {
-                console.error(chalk.red('\nAn unexpected error occurred in the chat loop:'), error);
-                // Decide whether to exit or continue
-                // exitRequested = true; 
-            }
+            console.error(chalk.red('\nAn unexpected error occurred in the chat loop:'), error.message);
         }
     }
 
+    state.prompt.close();
+
+    if (state.session.turns.length > 0) {
+        console.log(chalk.dim(`\nSession saved as ${state.session.id}. Resume it with \`ragchat chat --resume ${state.session.id}\`.`));
+    }
     console.log(chalk.yellow('\nThank you for using RAG Chatbot! Goodbye! 👋'));
     // process.exit(0); // Let the main cli script handle exit
-} 
\ No newline at end of file
+}
@@ -0,0 +1,422 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import boxen from 'boxen';
+import { generateEmbeddings } from './openaiService.js';
+import {
+    addDocument,
+    getDocumentDetails,
+    findDocumentByNameOrId,
+    findCollectionByNameOrId,
+    listCollections
+} from './vectorStore.js';
+import { getConfigValue } from './config.js';
+import { getChatProvider } from './providers/index.js';
+import { renderSourcePanel } from './citations.js';
+import { resetConversation } from './conversation.js';
+import { createSession, sessionToMarkdown } from './sessions.js';
+import { runListDocsCommand } from './commands/listDocs.js';
+import { runDeleteDocCommand } from './commands/deleteDoc.js';
+
+// Slash commands of the interactive chat. Each command gets the chat state that
+// startChatLoop keeps: the scope and settings later questions use, the conversation,
+// the session and the last answer, so changes apply without restarting.
+// Commands marked `prompts` ask questions with inquirer, so the chat's line prompt
+// (state.prompt) leaves the terminal to them while they run.
+
+// Longest document content shown by /show
+const SHOW_CONTENT_LENGTH = 3000;
+
+/**
+ * Handles the interactive process of adding a new document.
+ * @param {Array<{id: number, name: string}>} [collections] - The collections the chat is scoped to;
+ *        the document is added to one of them (asked when there are several).
+ */
+async function handleAddDocument(collections = []) {
+    try {
+        let collection = collections[0];
+        if (collections.length > 1) {
+            ({ collection } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'collection',
+                    message: 'Add the document to which collection?',
+                    choices: collections.map(item => ({ name: item.name, value: item }))
+                }
+            ]));
+        }
+
+
+        const { name } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Enter a name for the new document:',
+                validate: input => input.trim() !== '' ? true : 'Document name cannot be empty.'
+            }
+        ]);
+
+        const { content } = await inquirer.prompt([
+            {
+                type: 'editor',
+                name: 'content',
+                message: 'Enter the document content (press Enter, then Ctrl+D or Esc when done):',
+                validate: input => input.trim() !== '' ? true : 'Document content cannot be empty.',
+                waitForUserInput: true // Keep editor open until user explicitly finishes
+            }
+        ]);
+
+        // Call vectorStore.addDocument, passing the batch embedding function from openaiService
+        await addDocument(name, content, generateEmbeddings, { collectionId: collection?.id });
+        // addDocument already provides spinner feedback
+
+    } catch (error) {
+        // Catch errors from inquirer prompts or the addDocument service call
+        console.error(chalk.red('\n❌ Error during interactive document addition:'));
+        console.error(chalk.red(error.message)); // Display the specific error
+
+        // Add specific advice if known?
+        if (error.message.includes('embedding')) {
+             console.log(chalk.yellow('This might be due to an issue with the OpenAI API key or service.'));
+        }
+        if (error.message.includes('insert document sections') || error.message.includes('insert document metadata')) {
+             console.log(chalk.yellow('This might indicate an issue connecting to or writing to the Supabase database.'));
+        }
+         if (error.isTtyError || error.message.includes('canceled')) {
+             console.log(chalk.yellow('Document addition cancelled.'));
+         }
+    }
+}
+
+/**
+ * Shows or changes a numeric chat setting for the rest of the session.
+ * @param {object} state - The chat state.
+ * @param {string} key - The setting (`matchCount` or `matchThreshold`).
+ * @param {string} label - The setting's name for messages.
+ * @param {string} arg - The new value, "default" to use the configured value again, or empty to show it.
+ * @param {Function} parse - Parses the value, returning undefined if it is invalid.
+ * @param {string} expected - Describes valid values, for errors.
+ */
+function changeSetting(state, key, label, arg, parse, expected) {
+    if (arg === 'default') {
+        delete state.settings[key];
+    } else if (arg) {
+        const value = parse(arg);
+        if (value === undefined) {
+            console.log(chalk.red(`Invalid ${label}: "${arg}". Expected ${expected}.`));
+            return;
+        }
+        state.settings[key] = value;
+    } else {
+        const source = state.settings[key] === undefined ? ' (configured)' : ' (this session)';
+        console.log(chalk.cyan(`${label}: ${state.settings[key] ?? getConfigValue(key)}${source}`));
+        return;
+    }
+    console.log(chalk.green(`${label} set to ${state.settings[key] ?? `${getConfigValue(key)} (configured)`} for this session.`));
+}
+
+/**
+ * Prints the sources of the last answer, or the full text of one of them.
+ * @param {object} state - The chat state.
+ * @param {string} arg - A source number, or empty for the source panel.
+ */
+function showSources(state, arg) {
+    const turn = state.lastTurn;
+    if (!turn) {
+        console.log(chalk.yellow('No answer yet. Ask a question first.'));
+        return;
+    }
+    if (!arg) {
+        if (turn.sections.length === 0) {
+            console.log(chalk.dim('The last answer used no document sections.'));
+        } else {
+            console.log(renderSourcePanel(turn.sections, turn.documentNames, turn.cited));
+        }
+        return;
+    }
+
+    const number = Number(arg);
+    const section = turn.sections[number - 1];
+    if (!Number.isInteger(number) || !section) {
+        console.log(chalk.red(`No source [${arg}]. The last answer has ${turn.sections.length} source(s).`));
+        return;
+    }
+    const title = `[${number}] ${turn.documentNames[number - 1]}${section.section_title ? ` › ${section.section_title}` : ''}`;
+    console.log(boxen(section.content, { padding: { left: 1, right: 1 }, borderStyle: 'round', borderColor: 'yellow', title }));
+}
+
+/**
+ * Shows a document's content.
+ * @param {string} identifier - The document ID or name.
+ * @returns {Promise<void>} Resolves once the document is printed.
+ * @throws {Error} If the document cannot be found.
+ */
+async function showDocument(identifier) {
+    const documentId = await findDocumentByNameOrId(identifier);
+    const { name, content } = await getDocumentDetails(documentId);
+    const shown = content.length > SHOW_CONTENT_LENGTH
+        ? `${content.slice(0, SHOW_CONTENT_LENGTH)}\n${chalk.dim(`… (${content.length - SHOW_CONTENT_LENGTH} more characters)`)}`
+        : content;
+    console.log(boxen(shown, {
+        padding: { left: 1, right: 1 },
+        borderStyle: 'round',
+        borderColor: 'cyan',
+        title: `${name} (ID: ${documentId})`
+    }));
+}
+
+/**
+ * Shows the chat model, or changes it for the rest of the session.
+ * @param {object} state - The chat state.
+ * @param {string} arg - The model name, "default" for the configured model, or empty to show it.
+ */
+function changeModel(state, arg) {
+    const configured = getChatProvider().model;
+    if (!arg) {
+        console.log(chalk.cyan(`Chat model: ${state.settings.model ?? configured}${state.settings.model ? ' (this session)' : ' (configured)'}`));
+        return;
+    }
+    if (arg === 'default') {
+        delete state.settings.model;
+    } else {
+        state.settings.model = arg;
+    }
+    console.log(chalk.green(`Chat model set to ${state.settings.model ?? `${configured} (configured)`} for this session.`));
+}
+
+/**
+ * Shows the collections questions search, or changes them.
+ * @param {object} state - The chat state.
+ * @param {string} arg - Collection names or IDs separated by spaces, "all" for every document, or empty to show them.
+ * @returns {Promise<void>} Resolves once the scope is shown or changed.
+ * @throws {Error} If a collection does not exist.
+ */
+async function changeCollections(state, arg) {
+    if (!arg) {
+        console.log(chalk.cyan(state.collections.length > 0
+            ? `Searching collection(s): ${state.collections.map(collection => collection.name).join(', ')}`
+            : 'Searching all documents.'));
+        return;
+    }
+    state.collections = arg === 'all' ? [] : await Promise.all(arg.split(/\s+/).map(findCollectionByNameOrId));
+    state.session.scope.collections = state.collections.map(({ id, name }) => ({ id, name }));
+    console.log(chalk.green(state.collections.length > 0
+        ? `Now searching collection(s): ${state.collections.map(collection => collection.name).join(', ')}`
+        : 'Now searching all documents.'));
+}
+
+/**
+ * Saves the session as Markdown (or JSON, for a .json file name).
+ * @param {object} state - The chat state.
+ * @param {string} arg - The file to write; defaults to a name based on the session ID.
+ * @returns {Promise<void>} Resolves once the file is written.
+ * @throws {Error} If the file cannot be written.
+ */
+async function saveTranscript(state, arg) {
+    if (state.session.turns.length === 0) {
+        console.log(chalk.yellow('Nothing to save yet. Ask a question first.'));
+        return;
+    }
+    const outputPath = path.resolve(arg || `ragchat-session-${state.session.id}.md`);
+    const { conversation, ...transcript } = state.session;
+    const output = outputPath.endsWith('.json') ? `${JSON.stringify(transcript, null, 2)}\n` : sessionToMarkdown(state.session);
+    await fs.writeFile(outputPath, output);
+    console.log(chalk.green(`Saved the conversation to ${outputPath}`));
+}
+
+/**
+ * Parses a positive integer.
+ * @param {string} value - The text.
+ * @returns {number|undefined} The integer, or undefined if it is not one.
+ */
+function parsePositiveInteger(value) {
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Parses a similarity between 0 and 1.
+ * @param {string} value - The text.
+ * @returns {number|undefined} The similarity, or undefined if it is not one.
+ */
+function parseSimilarity(value) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 && parsed <= 1 ? parsed : undefined;
+}
+
+// The commands, in the order /help lists them
+const COMMANDS = [
+    {
+        name: 'help',
+        description: 'Show the available commands.',
+        run: () => printHelp()
+    },
+    {
+        name: 'add',
+        description: 'Add a document by typing or pasting its content.',
+        run: state => handleAddDocument(state.collections),
+        prompts: true
+    },
+    {
+        name: 'docs',
+        description: 'List the documents (of the collection being searched, if there is one).',
+        run: state => runListDocsCommand(state.collections.length === 1 ? { collection: String(state.collections[0].id) } : {})
+    },
+    {
+        name: 'show',
+        usage: '<id|name>',
+        description: 'Show a document\'s content.',
+        run: (state, arg) => showDocument(arg),
+        requiresArgument: true
+    },
+    {
+        name: 'delete',
+        usage: '<id|name>',
+        description: 'Delete a document (asks for confirmation).',
+        run: (state, arg) => runDeleteDocCommand(arg),
+        requiresArgument: true,
+        prompts: true
+    },
+    {
+        name: 'topk',
+        usage: '[count|default]',
+        description: 'Show or set the number of sections used as context.',
+        run: (state, arg) => changeSetting(state, 'matchCount', 'Top-k', arg, parsePositiveInteger, 'a positive integer')
+    },
+    {
+        name: 'threshold',
+        usage: '[0-1|default]',
+        description: 'Show or set the minimum similarity of retrieved sections.',
+        run: (state, arg) => changeSetting(state, 'matchThreshold', 'Threshold', arg, parseSimilarity, 'a number between 0 and 1')
+    },
+    {
+        name: 'model',
+        usage: '[name|default]',
+        description: 'Show or set the chat model.',
+        run: (state, arg) => changeModel(state, arg)
+    },
+    {
+        name: 'collection',
+        usage: '[names...|all]',
+        description: 'Show or set the collections questions search.',
+        run: (state, arg) => changeCollections(state, arg)
+    },
+    {
+        name: 'sources',
+        usage: '[number]',
+        description: 'Show the sources of the last answer, or the full text of one.',
+        run: (state, arg) => showSources(state, arg)
+    },
+    {
+        name: 'clear',
+        aliases: ['reset'],
+        description: 'Start a new conversation (forget earlier questions).',
+        run: (state) => {
+            resetConversation(state.conversation);
+            state.session = createSession({ collections: state.collections, metadataFilter: state.metadataFilter });
+            state.lastTurn = null;
+            console.log(chalk.green('Started a new conversation.'));
+        }
+    },
+    {
+        name: 'save',
+        usage: '[file]',
+        description: 'Save the conversation as Markdown (or JSON, for a .json file).',
+        run: (state, arg) => saveTranscript(state, arg)
+    },
+    {
+        name: 'exit',
+        aliases: ['quit'],
+        description: 'Leave the chat (exit and quit also work without the slash).',
+        run: (state) => {
+            state.exitRequested = true;
+        }
+    }
+];
+
+/**
+ * Prints the list of commands.
+ */
+function printHelp() {
+    const labels = COMMANDS.map(command => `/${command.name}${command.usage ? ` ${command.usage}` : ''}`);
+    const width = Math.max(...labels.map(label => label.length));
+    console.log(chalk.yellow('Commands:'));
+    COMMANDS.forEach((command, index) => {
+        const aliases = command.aliases ? chalk.dim(` (also /${command.aliases.join(', /')})`) : '';
+        console.log(`  ${chalk.bold.white(labels[index].padEnd(width))}  ${command.description}${aliases}`);
+    });
+    console.log(chalk.dim('Anything else that does not start with "/" is asked as a question. Use Tab to complete commands.'));
+}
+
+/**
+ * Finds a command by name or alias.
+ * @param {string} name - The command name, without the slash.
+ * @returns {object|undefined} The command.
+ */
+function findCommand(name) {
+    return COMMANDS.find(command => command.name === name || command.aliases?.includes(name));
+}
+
+// Commands that also work without the slash, as typing exit did before slash commands existed
+const BARE_COMMANDS = ['exit', 'quit'];
+
+/**
+ * Checks whether chat input is a command.
+ * @param {string} input - The chat input.
+ * @returns {boolean} True if it starts with "/", or is one of the commands that work without it.
+ */
+export function isChatCommand(input) {
+    const trimmed = input.trim();
+    return trimmed.startsWith('/') || BARE_COMMANDS.includes(trimmed.toLowerCase());
+}
+
+/**
+ * Runs a slash command. Errors are printed; they never end the chat.
+ * @param {string} input - The chat input, e.g. "/topk 8" or "exit".
+ * @param {object} state - The chat state (see startChatLoop).
+ * @returns {Promise<void>} Resolves once the command is done.
+ */
+export async function runChatCommand(input, state) {
+    const [, name, arg = ''] = input.trim().match(/^\/?(\S*)\s*([\s\S]*)$/);
+    const command = findCommand(name.toLowerCase());
+    if (!command) {
+        console.log(chalk.red(`Unknown command "/${name}". Type /help to see the commands.`));
+        return;
+    }
+    if (command.requiresArgument && !arg.trim()) {
+        console.log(chalk.red(`Usage: /${command.name} ${command.usage}`));
+        return;
+    }
+    try {
+        const run = () => command.run(state, arg.trim());
+        await (command.prompts ? state.prompt.pauseWhile(run) : run());
+    } catch (error) {
+        console.error(chalk.red(`❌ /${command.name} failed: ${error.message}`));
+    }
+}
+
+/**
+ * Tab completion for the chat prompt: command names, and collection names after /collection.
+ * @param {string} line - The input so far.
+ * @param {Function} callback - Receives (error, [completions, completedPart]).
+ */
+export function completeChatCommand(line, callback) {
+    const collectionMatch = /^\/collection\s+(?:\S+\s+)*(\S*)$/.exec(line);
+    if (collectionMatch) {
+        const partial = collectionMatch[1];
+        listCollections()
+            .then((collections) => {
+                const names = ['all', ...collections.map(collection => collection.name)];
+                callback(null, [names.filter(name => name.startsWith(partial)), partial]);
+            })
+            .catch(() => callback(null, [[], partial]));
+        return;
+    }
+    if (/^\/\S*$/.test(line)) {
+        const names = COMMANDS.flatMap(command => [command.name, ...(command.aliases ?? [])]).map(name => `/${name}`);
+        callback(null, [names.filter(name => name.startsWith(line)), line]);
+        return;
+    }
+    callback(null, [[], line]);
+}
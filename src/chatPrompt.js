@@ -0,0 +1,178 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+
+// Entries kept in the chat input history file
+const HISTORY_SIZE = 500;
+
+/**
+ * Creates the line prompt of the chat: a readline prompt with tab completion and
+ * a history (arrow keys) that is kept across sessions in a file.
+ * One readline interface serves the whole chat session. Lines are queued as they
+ * arrive, so input piped in or typed ahead is not lost. Between questions the
+ * terminal is left in its normal mode, so Ctrl+C reaches the answer cancellation;
+ * other prompts (inquirer) get the terminal through `pauseWhile`.
+ * @param {object} options - Prompt options.
+ * @param {string} options.historyPath - File the input history is stored in.
+ * @param {Function} [options.completer] - Readline completer, `(line, callback)` style.
+ * @returns {{ask: Function, pauseWhile: Function, close: Function}} The prompt; `ask(promptText)`
+ *          resolves with the entered line, or null when the user presses Ctrl+C or Ctrl+D or the
+ *          input ends.
+ */
+export function createLinePrompt({ historyPath, completer }) {
+    let history = null; // Newest entry first, as readline expects
+    let rl = null;
+    const queue = []; // Lines received and not asked for yet
+    let waiting = null; // Resolves the pending ask
+    let ended = false;
+    let suspended = false; // Another prompt is using the terminal
+
+    /**
+     * Loads the history file, once.
+     * @returns {Promise<string[]>} The history.
+     */
+    async function loadHistory() {
+        if (!history) {
+            try {
+                const lines = (await fs.readFile(historyPath, 'utf-8')).split('\n').filter(Boolean);
+                history = lines.reverse().slice(0, HISTORY_SIZE);
+            } catch (error) {
+                history = []; // No history yet
+            }
+        }
+        return history;
+    }
+
+    /**
+     * Writes the history file (oldest entry first). Failures only cost the history.
+     * @returns {Promise<void>} Resolves once the file is written or writing failed.
+     */
+    async function saveHistory() {
+        try {
+            await fs.mkdir(path.dirname(historyPath), { recursive: true });
+            await fs.writeFile(historyPath, `${[...history].reverse().join('\n')}\n`);
+        } catch (error) {
+            // Not worth interrupting the chat for
+        }
+    }
+
+    /**
+     * Switches the terminal between line editing (raw) and normal mode.
+     * @param {boolean} raw - Whether readline handles the keys.
+     */
+    function setRawMode(raw) {
+        if (process.stdin.isTTY) {
+            process.stdin.setRawMode(raw);
+        }
+    }
+
+    /**
+     * Hands a line, or null for the end of input, to the pending ask.
+     * @param {string|null} line - The line.
+     */
+    function deliver(line) {
+        const resolve = waiting;
+        waiting = null;
+        rl.pause();
+        setRawMode(false);
+        resolve(line);
+    }
+
+    /**
+     * Opens the readline interface, once.
+     * @returns {Promise<void>} Resolves once it is open.
+     */
+    async function open() {
+        if (rl) {
+            return;
+        }
+        const entries = await loadHistory();
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            completer,
+            history: [...entries],
+            historySize: HISTORY_SIZE,
+            terminal: Boolean(process.stdin.isTTY)
+        });
+        rl.on('line', (line) => {
+            if (suspended) {
+                return; // Typed into the other prompt
+            }
+            if (waiting) {
+                deliver(line);
+            } else {
+                queue.push(line);
+            }
+        });
+        rl.on('SIGINT', () => {
+            if (waiting) {
+                process.stdout.write('\n');
+                deliver(null);
+            }
+        });
+        rl.on('close', () => {
+            ended = true;
+            if (waiting) {
+                process.stdout.write('\n');
+                waiting(null);
+                waiting = null;
+            }
+        });
+        rl.pause();
+    }
+
+    return {
+        /**
+         * Reads one line.
+         * @param {string} promptText - The prompt to show.
+         * @returns {Promise<string|null>} The line, or null if the user pressed Ctrl+C or Ctrl+D
+         *          or the input ended.
+         */
+        async ask(promptText) {
+            await open();
+            let line;
+            if (queue.length > 0) {
+                line = queue.shift();
+                // Lines pasted in a terminal were echoed when they arrived
+                process.stdout.write(process.stdin.isTTY ? `${promptText}${line}\n` : promptText);
+            } else if (ended) {
+                line = null;
+            } else {
+                line = await new Promise((resolve) => {
+                    waiting = resolve;
+                    setRawMode(true);
+                    rl.setPrompt(promptText);
+                    rl.prompt();
+                });
+            }
+            if (line !== null && line.trim()) {
+                // Most recent first, without duplicates
+                history = [line, ...history.filter(entry => entry !== line)].slice(0, HISTORY_SIZE);
+                await saveHistory();
+            }
+            return line;
+        },
+
+        /**
+         * Runs a function that prompts with inquirer, ignoring the lines it reads.
+         * @param {Function} fn - The function; may be async.
+         * @returns {Promise<*>} What fn returns.
+         */
+        async pauseWhile(fn) {
+            suspended = true;
+            try {
+                return await fn();
+            } finally {
+                suspended = false;
+            }
+        },
+
+        /**
+         * Closes the readline interface, restoring the terminal.
+         */
+        close() {
+            rl?.close();
+        }
+    };
+}
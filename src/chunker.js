@@ -0,0 +1,188 @@
+import { countTokens, fitPrefixToTokens, MAX_RUN_CHARS } from './tokenizer.js';
+
+export const DEFAULT_CHUNK_SIZE = 512;
+export const DEFAULT_CHUNK_OVERLAP = 64;
+
+// Separators tried in order, from the most to the least structural.
+// Each pattern marks the position where a new piece starts.
+const SEPARATORS = [
+    /\n(?=#{1,6}\s)/g,          // Markdown headings
+    /\n[ \t]*\n(?=\S)/g,        // Paragraph breaks (blank lines)
+    /\n(?=\S)/g,                // Single line breaks
+    /(?<=[.!?])\s+(?=\S)/g,     // Sentence boundaries
+    /\s+(?=\S)/g                // Words
+];
+
+/**
+ * Splits a text range on a separator, returning contiguous sub-ranges.
+ * Each sub-range keeps its trailing separator so the ranges cover the
+ * original text without gaps (which keeps character offsets exact).
+ * @param {string} text - The full text.
+ * @param {number} start - Range start offset.
+ * @param {number} end - Range end offset.
+ * @param {RegExp} separator - Global regex matching the separator.
+ * @returns {Array<{start: number, end: number}>} Sub-ranges of [start, end).
+ */
+function splitRange(text, start, end, separator) {
+    const slice = text.slice(start, end);
+    const ranges = [];
+    let pieceStart = 0;
+
+    separator.lastIndex = 0;
+    let match;
+    while ((match = separator.exec(slice)) !== null) {
+        const boundary = match.index + match[0].length;
+        if (boundary > pieceStart && boundary < slice.length) {
+            ranges.push({ start: start + pieceStart, end: start + boundary });
+            pieceStart = boundary;
+        }
+        if (match[0].length === 0) {
+            separator.lastIndex++;
+        }
+    }
+    ranges.push({ start: start + pieceStart, end });
+    return ranges;
+}
+
+/**
+ * Recursively breaks a text range into pieces that each fit within the chunk size.
+ * Falls back to cutting on token boundaries when no separator applies.
+ * @param {string} text - The full text.
+ * @param {number} start - Range start offset.
+ * @param {number} end - Range end offset.
+ * @param {number} chunkSize - Maximum tokens per piece.
+ * @param {number} level - Index of the separator to try next.
+ * @param {number} [tokens] - Token count of the range, if already known.
+ * @returns {Array<{start: number, end: number, tokens: number}>} Ordered pieces.
+ */
+function splitRecursively(text, start, end, chunkSize, level, tokens = countTokens(text.slice(start, end))) {
+    if (tokens <= chunkSize) {
+        return [{ start, end, tokens }];
+    }
+
+    if (level >= SEPARATORS.length) {
+        // No structural boundary left (e.g. base64 data or a minified line): cut the range
+        // into short runs, which are cheap to tokenize, and those into token-sized windows.
+        const pieces = [];
+        let cursor = start;
+        while (cursor < end) {
+            let runEnd = Math.min(end, cursor + MAX_RUN_CHARS);
+            if (runEnd < end && /[\uD800-\uDBFF]/.test(text[runEnd - 1])) {
+                runEnd--; // Keep surrogate pairs together
+            }
+            const length = fitPrefixToTokens(text.slice(cursor, runEnd), chunkSize);
+            pieces.push({ start: cursor, end: cursor + length, tokens: countTokens(text.slice(cursor, cursor + length)) });
+            cursor += length;
+        }
+        return pieces;
+    }
+
+    const ranges = splitRange(text, start, end, SEPARATORS[level]);
+    if (ranges.length === 1) {
+        return splitRecursively(text, start, end, chunkSize, level + 1, tokens);
+    }
+
+    return ranges.flatMap(range => splitRecursively(text, range.start, range.end, chunkSize, level + 1));
+}
+
+/**
+ * Trims whitespace from a range and returns the trimmed offsets.
+ * @param {string} text - The full text.
+ * @param {number} start - Range start offset.
+ * @param {number} end - Range end offset.
+ * @returns {{start: number, end: number}} The trimmed range.
+ */
+function trimRange(text, start, end) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+}
+
+/**
+ * Finds the section a chunk belongs to.
+ * A chunk belongs to the section containing its start; a chunk that starts
+ * before the first heading takes the first section that begins inside it.
+ * @param {Array<{path: string[], start: number, end: number}>} sections - Document sections.
+ * @param {number} start - Chunk start offset.
+ * @param {number} end - Chunk end offset.
+ * @returns {object|null} The section, or null.
+ */
+function findSection(sections, start, end) {
+    return sections.find(s => s.start <= start && start < s.end)
+        || sections.find(s => s.start >= start && s.start < end)
+        || null;
+}
+
+/**
+ * Splits text into overlapping, token-bounded chunks.
+ * The text is split recursively on headings, paragraphs, lines, sentences and
+ * words (falling back to raw token windows), then the pieces are merged
+ * greedily up to `chunkSize` tokens. Consecutive chunks share up to
+ * `chunkOverlap` tokens of trailing context.
+ * @param {string} text - The text to chunk.
+ * @param {object} [options] - Chunking options.
+ * @param {number} [options.chunkSize=512] - Maximum tokens per chunk.
+ * @param {number} [options.chunkOverlap=64] - Tokens shared between consecutive chunks.
+ * @param {Array<{path: string[], start: number, end: number, metadata?: object}>} [options.sections] - Document
+ *        structure from an extractor, used to label each chunk with its section title and metadata.
+ * @returns {Array<{index: number, content: string, startOffset: number, endOffset: number, tokens: number, sectionTitle: string|null, metadata: object}>}
+ *          Chunks with their position in the original text.
+ * @throws {Error} If the options are invalid.
+ */
+export function chunkText(text, { chunkSize = DEFAULT_CHUNK_SIZE, chunkOverlap = DEFAULT_CHUNK_OVERLAP, sections = [] } = {}) {
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+        throw new Error(`Invalid chunk size: ${chunkSize}. It must be a positive integer.`);
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+        throw new Error(`Invalid chunk overlap: ${chunkOverlap}. It must be between 0 and the chunk size (${chunkSize}).`);
+    }
+    if (!text || text.trim().length === 0) {
+        return [];
+    }
+
+    const pieces = splitRecursively(text, 0, text.length, chunkSize, 0);
+    const chunks = [];
+    let first = 0;
+
+    while (first < pieces.length) {
+        // Grow the chunk until the next piece would exceed the budget.
+        let last = first;
+        let tokens = pieces[first].tokens;
+        while (last + 1 < pieces.length && tokens + pieces[last + 1].tokens <= chunkSize) {
+            last++;
+            tokens += pieces[last].tokens;
+        }
+
+        const { start, end } = trimRange(text, pieces[first].start, pieces[last].end);
+        if (end > start) {
+            const section = findSection(sections, start, end);
+            chunks.push({
+                index: chunks.length,
+                content: text.slice(start, end),
+                startOffset: start,
+                endOffset: end,
+                tokens: countTokens(text.slice(start, end)),
+                sectionTitle: section ? section.path.join(' > ') : null,
+                metadata: section?.metadata ?? {}
+            });
+        }
+
+        if (last + 1 >= pieces.length) {
+            break;
+        }
+
+        // Step back over trailing pieces to seed the next chunk with overlap,
+        // always advancing by at least one piece and leaving room for the
+        // piece that did not fit.
+        let next = last + 1;
+        let overlapTokens = 0;
+        const overlapBudget = Math.min(chunkOverlap, chunkSize - pieces[next].tokens);
+        while (next - 1 > first && overlapTokens + pieces[next - 1].tokens <= overlapBudget) {
+            next--;
+            overlapTokens += pieces[next].tokens;
+        }
+        first = next;
+    }
+
+    return chunks;
+}
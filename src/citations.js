@@ -0,0 +1,111 @@
+import chalk from 'chalk';
+import boxen from 'boxen';
+
+// Matches inline citations such as [1], [2][3] or [1, 4]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Maximum length of the source snippet shown for each section
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Finds the context sections an answer cites.
+ * @param {string} text - The answer text.
+ * @param {number} sourceCount - Number of sections given as context; other numbers are ignored.
+ * @returns {number[]} The cited section numbers (1-based), in ascending order.
+ */
+export function extractCitations(text, sourceCount) {
+    const cited = new Set();
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+        for (const part of match[1].split(',')) {
+            const number = Number.parseInt(part, 10);
+            if (number >= 1 && number <= sourceCount) {
+                cited.add(number);
+            }
+        }
+    }
+    return [...cited].sort((a, b) => a - b);
+}
+
+/**
+ * Removes inline citations from an answer. Citation numbers only make sense
+ * next to the context they refer to, so they are stripped from conversation history.
+ * @param {string} text - The answer text.
+ * @returns {string} The text without citations.
+ */
+export function stripCitations(text) {
+    return text.replace(new RegExp(`[ \\t]*${CITATION_PATTERN.source}`, 'g'), '');
+}
+
+/**
+ * Shortens section content to a one-line snippet.
+ * @param {string} content - The section content.
+ * @returns {string} The snippet.
+ */
+export function makeSnippet(content) {
+    const flat = content.replace(/\s+/g, ' ').trim();
+    return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH - 1).trimEnd()}…` : flat;
+}
+
+/**
+ * Describes where a section comes from: its section title and index within the document.
+ * @param {object} section - A search result section.
+ * @returns {string} The location label, e.g. "Install > Linux, section #3".
+ */
+function describeLocation(section) {
+    const parts = [];
+    if (section.section_title) parts.push(section.section_title);
+    if (section.chunk_index !== null && section.chunk_index !== undefined) parts.push(`section #${section.chunk_index}`);
+    return parts.join(', ');
+}
+
+/**
+ * Describes how well a section matched: its cosine similarity, or its keyword
+ * score when it was found by keyword search alone.
+ * @param {object} section - A search result section.
+ * @returns {string} The relevance label.
+ */
+function describeRelevance(section) {
+    if (section.similarity !== null && section.similarity !== undefined) {
+        return `similarity ${section.similarity.toFixed(2)}`;
+    }
+    return `keyword score ${section.score.toFixed(2)}`;
+}
+
+/**
+ * Renders the source panel shown under an answer: every cited section with its
+ * document name, section index, similarity (or keyword score) and a snippet, followed by a short
+ * list of the sections that were retrieved but not cited.
+ * @param {Array} sections - The sections given as context, in citation order.
+ * @param {string[]} documentNames - The document name of each section.
+ * @param {number[]} cited - The cited section numbers (1-based).
+ * @returns {string} The panel, ready to print.
+ */
+export function renderSourcePanel(sections, documentNames, cited) {
+    const lines = [];
+    for (const number of cited) {
+        const section = sections[number - 1];
+        const location = describeLocation(section);
+        lines.push(`${chalk.bold.yellow(`[${number}]`)} ${chalk.bold(documentNames[number - 1])}`
+            + `${location ? chalk.dim(` › ${location}`) : ''} ${chalk.dim(`· ${describeRelevance(section)}`)}`);
+        lines.push(chalk.dim(`    "${makeSnippet(section.content)}"`));
+    }
+
+    const uncited = sections.map((section, index) => index + 1).filter(number => !cited.includes(number));
+    if (uncited.length > 0) {
+        if (lines.length > 0) lines.push('');
+        lines.push(chalk.dim(cited.length > 0 ? 'Retrieved but not cited:' : 'The answer cites no sources. Retrieved:'));
+        for (const number of uncited) {
+            const section = sections[number - 1];
+            lines.push(chalk.dim(`[${number}] ${documentNames[number - 1]} · ${describeRelevance(section)}`));
+        }
+    }
+
+    return boxen(lines.join('\n'), {
+        padding: { left: 1, right: 1 },
+        margin: { top: 1 },
+        borderStyle: 'round',
+        borderColor: 'yellow',
+        title: '📚 Sources',
+        titleAlignment: 'left'
+    });
+}
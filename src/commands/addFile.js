@@ -1,66 +1,134 @@
-import fs from 'node:fs/promises';
 import path from 'node:path';
 import chalk from 'chalk';
-import { addDocument } from '../supabaseService.js';
-import { generateEmbedding } from '../openaiService.js';
+import Table from 'cli-table3';
+import { collectFiles, parseSize, DEFAULT_MAX_FILE_SIZE } from '../fileCollector.js';
+import { ingestFile } from '../ingest.js';
+import { findCollectionByNameOrId } from '../vectorStore.js';
 import ora from 'ora';
 
 /**
- * Handles adding a document from a local file path.
- * @param {string} filePath - The path to the local file.
+ * Handles adding documents from local files, directories or glob patterns.
+ * Every matching file is added as its own document, with its text extracted
+ * according to its format (PDF, DOCX, HTML, Markdown, EPUB or plain text).
+ * Files that were added before are not duplicated: unchanged files are skipped
+ * (only their metadata is updated when --meta changes it) and changed files
+ * replace their previous version.
+ * A failure on one file is reported and the remaining files are still processed.
+ * @param {string[]} inputs - File paths, directory paths or glob patterns.
+ * @param {object} [options] - Command options.
+ * @param {number} [options.chunkSize] - Override for the configured chunk size (tokens).
+ * @param {number} [options.chunkOverlap] - Override for the configured chunk overlap (tokens).
+ * @param {string[]} [options.include] - Glob patterns files inside directories must match.
+ * @param {string[]} [options.exclude] - Glob patterns for files to leave out.
+ * @param {boolean} [options.gitignore=true] - Whether to honor .gitignore files.
+ * @param {string} [options.maxSize] - Maximum file size (e.g. "10mb").
+ * @param {string} [options.collection] - Name or ID of the collection to add the files to.
+ * @param {object} [options.meta] - Metadata to attach to every added document.
+ * @returns {Promise<{added: number, updated: number, skipped: number, failed: number}>} Per-status file counts.
  */
-export async function runAddFileCommand(filePath) {
-    // Start spinner immediately for feedback
-    const spinner = ora(chalk.blue(`Processing file: ${filePath}...`)).start();
-    let absolutePath;
+export async function runAddFileCommand(inputs, options = {}) {
+    const paths = Array.isArray(inputs) ? inputs : [inputs];
+    const results = []; // { path, status, detail }
 
+    // 1. Expand the inputs into the list of files to ingest
+    const spinner = ora(chalk.blue(`Collecting files from: ${paths.join(', ')}...`)).start();
+    let collected;
+    let collectionId = null;
     try {
-        // 1. Resolve path and read file
-        absolutePath = path.resolve(filePath);
-        spinner.text = chalk.blue(`Reading file contents from: ${absolutePath}...`);
+        if (options.collection) {
+            collectionId = (await findCollectionByNameOrId(options.collection)).id;
+        }
+        collected = await collectFiles(paths, {
+            include: options.include,
+            exclude: options.exclude,
+            gitignore: options.gitignore !== false,
+            maxFileSize: options.maxSize ? parseSize(options.maxSize) : DEFAULT_MAX_FILE_SIZE
+        });
+    } catch (error) {
+        spinner.fail(chalk.red(options.collection ? 'Failed to collect files or find the collection.' : 'Failed to collect files.'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+        return { added: 0, updated: 0, skipped: 0, failed: 0 };
+    }
+
+    for (const item of collected.skipped) {
+        results.push({ path: item.path, status: 'skipped', detail: item.reason });
+    }
 
-        let fileContent;
+    if (collected.files.length === 0) {
+        spinner.warn(chalk.yellow('No files to add.'));
+    } else {
+        spinner.succeed(chalk.green(`Found ${collected.files.length} file(s) to add.`));
+    }
+
+    // 2. Add each file, continuing past failures
+    for (const [index, absolutePath] of collected.files.entries()) {
+        console.log(chalk.cyan(`\n[${index + 1}/${collected.files.length}] ${absolutePath}`));
         try {
-            await fs.access(absolutePath); // Check existence and read permissions
-            fileContent = await fs.readFile(absolutePath, 'utf-8');
-        } catch (readError) {
-            spinner.fail(chalk.red('Failed to read file.')); // Stop spinner on read error
-            if (readError.code === 'ENOENT') {
-                console.error(chalk.red(`Error: File not found at path: ${absolutePath}`));
-            } else if (readError.code === 'EACCES') {
-                console.error(chalk.red(`Error: Permission denied to read file: ${absolutePath}`));
+            const { status, documentId, metadataOnly } = await ingestFile(absolutePath, {
+                chunkSize: options.chunkSize,
+                chunkOverlap: options.chunkOverlap,
+                collectionId,
+                metadata: options.meta
+            });
+            if (status === 'unchanged') {
+                console.log(chalk.yellow(`Already up to date as document ID ${documentId}.`));
+                results.push({ path: absolutePath, status: 'skipped', detail: `unchanged (document ID ${documentId})` });
+            } else if (metadataOnly) {
+                console.log(chalk.green(`Content unchanged; updated the metadata of document ID ${documentId}.`));
+                results.push({ path: absolutePath, status, detail: `metadata only (document ID ${documentId})` });
             } else {
-                console.error(chalk.red(`Error reading file ${absolutePath}: ${readError.message}`));
+                results.push({ path: absolutePath, status, detail: `document ID ${documentId}` });
+            }
+        } catch (error) {
+            console.error(chalk.red(`❌ Failed to add document from file "${absolutePath}":`));
+            console.error(chalk.red(error.message)); // Display the specific error message
+            // Add specific advice if known?
+            if (error.message.includes('embedding')) {
+                 console.log(chalk.yellow('This might be due to an issue with the OpenAI API key or service.'));
+            }
+            if (error.message.includes('insert document sections') || error.message.includes('insert document metadata')) {
+                 console.log(chalk.yellow('This might indicate an issue connecting to or writing to the Supabase database.'));
             }
-            return; // Exit the command function on read error
+            results.push({ path: absolutePath, status: 'failed', detail: error.message });
         }
-        spinner.succeed(chalk.green(`Successfully read file: ${absolutePath}`));
+    }
 
-        // 2. Extract document name
-        const documentName = path.basename(absolutePath);
+    // 3. Summarize
+    const summary = printSummary(results);
+    if (summary.failed > 0) {
+        process.exitCode = 1;
+    }
+    return summary;
+}
 
-        // 3. Add document using the service (spinner handled mostly inside)
-        // Spinner will be updated by addDocument
-        await addDocument(documentName, fileContent, generateEmbedding);
-        
-        // Success message is handled within addDocument's spinner.succeed
-        // If addDocument throws, it will be caught below.
+/**
+ * Prints a per-file status table and the totals.
+ * @param {Array<{path: string, status: string, detail: string}>} results - Per-file results.
+ * @returns {{added: number, updated: number, skipped: number, failed: number}} Per-status counts.
+ */
+function printSummary(results) {
+    const counts = { added: 0, updated: 0, skipped: 0, failed: 0 };
+    const colors = { added: chalk.green, updated: chalk.green, skipped: chalk.yellow, failed: chalk.red };
 
-    } catch (error) {
-        // Catch errors from addDocument or any unexpected issues
-        // Spinner should have been failed by the service function if it errored during its process
-        // If the error happened *before* calling addDocument (e.g., path resolution), fail it here.
-        if (spinner.isSpinning) {
-            spinner.fail(chalk.red('An error occurred.'));
-        }
-        console.error(chalk.red(`\n❌ Failed to add document from file "${filePath}":`));
-        console.error(chalk.red(error.message)); // Display the specific error message
-        // Add specific advice if known?
-        if (error.message.includes('embedding')) {
-             console.log(chalk.yellow('This might be due to an issue with the OpenAI API key or service.'));
-        }
-        if (error.message.includes('insert document sections') || error.message.includes('insert document metadata')) {
-             console.log(chalk.yellow('This might indicate an issue connecting to or writing to the Supabase database.'));
+    if (results.length > 0) {
+        const table = new Table({
+            head: [chalk.cyan('File'), chalk.cyan('Status'), chalk.cyan('Details')],
+            colWidths: [50, 10, 40],
+            wordWrap: true
+        });
+        for (const result of results) {
+            counts[result.status]++;
+            table.push([
+                path.relative(process.cwd(), result.path) || result.path,
+                colors[result.status](result.status),
+                result.detail
+            ]);
         }
+        console.log(chalk.green('\nSummary:'));
+        console.log(table.toString());
     }
-} 
\ No newline at end of file
+
+    console.log(`${chalk.green(`${counts.added} added`)}, ${chalk.green(`${counts.updated} updated`)}, ${chalk.yellow(`${counts.skipped} skipped`)}, ${chalk.red(`${counts.failed} failed`)}`);
+    return counts;
+}
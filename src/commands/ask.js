@@ -0,0 +1,85 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { findCollectionByNameOrId } from '../vectorStore.js';
+import { renderSourcePanel } from '../citations.js';
+import { answerQuestion, toAnswerJson } from '../ragPipeline.js';
+
+/**
+ * Reads all of standard input as text.
+ * @returns {Promise<string>} The input.
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Answers one question with the RAG pipeline, without any prompts, for use in
+ * scripts, git hooks and CI. The answer is written to stdout; progress, warnings
+ * and sources go to stderr. With `json`, stdout gets a single JSON object with the
+ * answer, its sources and scores, and token usage instead.
+ * @param {string} [question] - The question; read from stdin when omitted or "-".
+ * @param {object} [options] - Command options.
+ * @param {number} [options.topK] - Sections to use as context (overrides the configured matchCount).
+ * @param {number} [options.threshold] - Minimum similarity of retrieved sections (overrides the configured value).
+ * @param {string[]} [options.collection] - Names or IDs of the collections to search.
+ * @param {Array<object>} [options.filter] - Metadata conditions that searched sections must match.
+ * @param {boolean} [options.json] - Print the result as JSON.
+ * @returns {Promise<void>} Resolves once the answer (or the error) has been printed; sets a non-zero exit code on failure.
+ */
+export async function runAskCommand(question, options = {}) {
+    const spinner = ora({ text: chalk.blue('Searching relevant documents...'), stream: process.stderr });
+    try {
+        let query = question && question !== '-' ? question : '';
+        if (!query && !process.stdin.isTTY) {
+            query = await readStdin();
+        }
+        query = query.trim();
+        if (!query) {
+            throw new Error('No question given. Pass it as an argument or on stdin.');
+        }
+
+        const collections = await Promise.all((options.collection || []).map(findCollectionByNameOrId));
+        spinner.start();
+        const startedAt = Date.now();
+        const result = await answerQuestion(query, {
+            matchCount: options.topK,
+            matchThreshold: options.threshold,
+            collectionIds: collections.length > 0 ? collections.map(collection => collection.id) : undefined,
+            metadataFilter: options.filter,
+            onProgress: (message) => {
+                spinner.text = chalk.blue(message);
+            },
+            onRerankError: (error) => {
+                spinner.warn(chalk.yellow(`Reranking failed, using search order: ${error.message}`));
+                spinner.start();
+            },
+            onRetrieved: () => spinner.stop(),
+            onToken: options.json ? undefined : token => process.stdout.write(token)
+        });
+
+        if (options.json) {
+            console.log(JSON.stringify({ ...toAnswerJson(result), duration_ms: Date.now() - startedAt }, null, 2));
+        } else {
+            process.stdout.write('\n');
+            if (result.sections.length === 0) {
+                console.error(chalk.dim('\nNo matching document sections were found.'));
+            } else {
+                console.error(renderSourcePanel(result.sections, result.documentNames, result.cited));
+            }
+        }
+    } catch (error) {
+        if (spinner.isSpinning) {
+            spinner.stop();
+        }
+        if (options.json) {
+            console.log(JSON.stringify({ error: error.message }, null, 2));
+        } else {
+            console.error(chalk.red(`❌ ${error.message}`));
+        }
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,55 @@
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { getCacheStats, clearCache } from '../embeddingCache.js';
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} A human-readable size.
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+}
+
+/**
+ * Displays statistics about the local embedding cache.
+ */
+export async function runCacheStatsCommand() {
+    try {
+        const stats = await getCacheStats();
+        const lookups = stats.hits + stats.misses;
+
+        const table = new Table();
+        table.push(
+            { [chalk.cyan('Directory')]: stats.directory },
+            { [chalk.cyan('Enabled')]: stats.enabled ? chalk.green('yes') : chalk.yellow('no') },
+            { [chalk.cyan('Entries')]: stats.entries },
+            { [chalk.cyan('Size')]: `${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}` },
+            { [chalk.cyan('Hit rate')]: lookups > 0 ? `${((stats.hits / lookups) * 100).toFixed(1)}% (${stats.hits} hits, ${stats.misses} misses)` : 'N/A' }
+        );
+        for (const [model, count] of Object.entries(stats.models)) {
+            table.push({ [chalk.cyan(`Model ${model}`)]: `${count} entries` });
+        }
+
+        console.log(chalk.green('\nEmbedding cache:'));
+        console.log(table.toString());
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error reading the embedding cache:'));
+        console.error(chalk.red(error.message));
+    }
+}
+
+/**
+ * Deletes every entry from the local embedding cache.
+ */
+export async function runCacheClearCommand() {
+    try {
+        const removed = await clearCache();
+        console.log(chalk.green(`Embedding cache cleared (${removed} entries removed).`));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error clearing the embedding cache:'));
+        console.error(chalk.red(error.message));
+    }
+}
@@ -0,0 +1,107 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import {
+    createCollection,
+    listCollections,
+    findCollectionByNameOrId,
+    deleteCollection
+} from '../vectorStore.js';
+
+/**
+ * Creates a collection of documents.
+ * @param {string} name - The collection name.
+ * @param {object} [options] - Command options.
+ * @param {string} [options.description] - What the collection contains.
+ */
+export async function runCollectionCreateCommand(name, options = {}) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+        console.error(chalk.red('Collection name cannot be empty.'));
+        process.exitCode = 1;
+        return;
+    }
+    // Numeric identifiers are read as collection IDs everywhere else
+    if (/^\d+$/.test(trimmed)) {
+        console.error(chalk.red('Collection names cannot be plain numbers, because they would be read as IDs.'));
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const collection = await createCollection(trimmed, options.description);
+        console.log(chalk.green(`Created collection "${collection.name}" (ID: ${collection.id}).`));
+        console.log(chalk.cyan(`Add documents with \`ragchat add <paths...> --collection ${collection.name}\`.`));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error creating collection:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Lists the collections with their document counts.
+ */
+export async function runCollectionListCommand() {
+    try {
+        const collections = await listCollections();
+        if (collections.length === 0) {
+            console.log(chalk.yellow('No collections found.'));
+            console.log(chalk.cyan('Create one with `ragchat collection create <name>`.'));
+            return;
+        }
+
+        const table = new Table({
+            head: [chalk.cyan('ID'), chalk.cyan('Name'), chalk.cyan('Documents'), chalk.cyan('Description')],
+            colWidths: [10, 25, 12, 43],
+            wordWrap: true
+        });
+        for (const collection of collections) {
+            table.push([collection.id, collection.name, collection.document_count, collection.description || '']);
+        }
+        console.log(chalk.green('\nCollections:'));
+        console.log(table.toString());
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error listing collections:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Deletes a collection and, after confirmation, every document in it.
+ * @param {string} identifier - The collection name or ID.
+ * @param {object} [options] - Command options.
+ * @param {boolean} [options.yes] - Skip the confirmation prompt.
+ */
+export async function runCollectionDeleteCommand(identifier, options = {}) {
+    try {
+        const collection = await findCollectionByNameOrId(identifier);
+        const documentCount = (await listCollections()).find(item => item.id === collection.id)?.document_count ?? 0;
+
+        if (!options.yes) {
+            const { confirmDelete } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmDelete',
+                    message: `Delete collection "${chalk.yellow(collection.name)}" and its ${documentCount} document(s)? This cannot be undone.`,
+                    default: false
+                }
+            ]);
+            if (!confirmDelete) {
+                console.log(chalk.yellow('Deletion cancelled.'));
+                return;
+            }
+        }
+
+        await deleteCollection(collection.id);
+        console.log(chalk.green(`Deleted collection "${collection.name}" and ${documentCount} document(s).`));
+    } catch (error) {
+        console.error(chalk.red(`\n❌ Error deleting collection "${identifier}":`));
+        console.error(chalk.red(error.message));
+        if (error.message.includes('not found')) {
+            console.log(chalk.yellow('Use `ragchat collection list` to see the available collections.'));
+        }
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,168 @@
+import path from 'node:path';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import {
+    resolveConfig,
+    getActiveProfileName,
+    profileExists,
+    listProfiles,
+    SECRET_KEYS,
+    maskSecret,
+    isSecretEncryptionEnabled,
+    rotateSecretKey,
+    getRedactedConfig
+} from '../config.js';
+import { isEncryptedValue, readKeyFile, createKeyFile } from '../secrets.js';
+
+// Shortest passphrase accepted for encrypting secrets
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Formats a setting value for display, masking secrets.
+ * @param {string} key - The setting name.
+ * @param {*} value - The value.
+ * @returns {string} The displayed value.
+ */
+function formatValue(key, value) {
+    if (value === undefined || value === '') {
+        return chalk.dim('(not set)');
+    }
+    if (isEncryptedValue(value)) {
+        return chalk.dim('(encrypted)');
+    }
+    return SECRET_KEYS.includes(key) ? maskSecret(value) : String(value);
+}
+
+/**
+ * Prints the settings saved in the active profile, or the effective settings with their source.
+ * Secrets are masked, and encrypted ones are not decrypted.
+ * @param {object} [options] - Command options.
+ * @param {boolean} [options.resolved] - Show the effective settings of every layer and where each comes from.
+ */
+export function runConfigShowCommand(options = {}) {
+    try {
+        const profile = getActiveProfileName();
+        if (!options.resolved) {
+            if (!profileExists(profile)) {
+                console.log(chalk.yellow(`Profile "${profile}" has no saved settings.`));
+                console.log(chalk.cyan(`Run \`ragchat configure --profile ${profile}\` to create it, or \`ragchat config show --resolved\` to see the effective settings.`));
+                return;
+            }
+            const { settings } = listProfiles().find(item => item.name === profile);
+            const table = new Table({
+                head: [chalk.cyan('Setting'), chalk.cyan('Value')],
+                colWidths: [26, 64],
+                wordWrap: true
+            });
+            for (const [key, value] of Object.entries(settings)) {
+                table.push([key, formatValue(key, value)]);
+            }
+            console.log(chalk.green(`\nSettings saved in profile "${profile}":`));
+            console.log(table.toString());
+            return;
+        }
+
+        const { values, sources } = resolveConfig({ decryptSecrets: false });
+        const table = new Table({
+            head: [chalk.cyan('Setting'), chalk.cyan('Value'), chalk.cyan('Source')],
+            colWidths: [26, 36, 38],
+            wordWrap: true,
+            wrapOnWordBoundary: false
+        });
+        for (const key of Object.keys(values).sort()) {
+            const source = sources[key] === 'default' ? chalk.dim('default') : sources[key];
+            table.push([key, formatValue(key, values[key]), source]);
+        }
+        console.log(chalk.green(`\nEffective settings (profile "${profile}"):`));
+        console.log(table.toString());
+        console.log(chalk.dim('Later sources win: default < profile < .ragchatrc < RAGCHAT_* variables < --set.'));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error showing the configuration:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Asks for a new passphrase, twice.
+ * @returns {Promise<string>} The passphrase.
+ * @throws {Error} If the two entries differ.
+ */
+async function promptNewPassphrase() {
+    const { passphrase, confirmation } = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'passphrase',
+            mask: '*',
+            message: 'New passphrase for the secrets:',
+            validate: input => input.length >= MIN_PASSPHRASE_LENGTH ? true : `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`
+        },
+        {
+            type: 'password',
+            name: 'confirmation',
+            mask: '*',
+            message: 'Repeat the passphrase:'
+        }
+    ]);
+    if (passphrase !== confirmation) {
+        throw new Error('The passphrases do not match.');
+    }
+    return passphrase;
+}
+
+/**
+ * Encrypts the secrets saved in every profile with a new key, replacing the current one,
+ * or stores them in plaintext again. Encryption is enabled if it was off.
+ * The new key is a passphrase typed in, or the content of a key file (created with a random key if missing).
+ * @param {object} [options] - Command options.
+ * @param {string} [options.keyFile] - Use the content of this key file as the new key.
+ * @param {boolean} [options.disable] - Store the secrets in plaintext.
+ */
+export async function runConfigRotateKeyCommand(options = {}) {
+    try {
+        let passphrase = null;
+        let keyFile;
+        if (options.disable) {
+            if (!isSecretEncryptionEnabled()) {
+                console.log(chalk.yellow('Secrets are not encrypted.'));
+                return;
+            }
+        } else if (options.keyFile) {
+            keyFile = path.resolve(options.keyFile);
+            try {
+                passphrase = readKeyFile(keyFile);
+            } catch (error) {
+                passphrase = createKeyFile(keyFile);
+                console.log(chalk.green(`Created key file ${keyFile} with a random key.`));
+            }
+        } else {
+            if (!process.stdin.isTTY) {
+                throw new Error('A passphrase can only be typed in a terminal. Use --key-file <path> instead.');
+            }
+            passphrase = await promptNewPassphrase();
+        }
+
+        const wasEncrypted = isSecretEncryptionEnabled();
+        const { secrets, profiles } = rotateSecretKey(passphrase);
+        if (passphrase === null) {
+            console.log(chalk.green(`Stored ${secrets} secret(s) in ${profiles} profile(s) in plaintext. Encryption is off.`));
+            return;
+        }
+        console.log(chalk.green(`${wasEncrypted ? 'Re-encrypted' : 'Encrypted'} ${secrets} secret(s) in ${profiles} profile(s) with the new key.`));
+        console.log(chalk.cyan(keyFile
+            ? `Set RAGCHAT_KEY_FILE=${keyFile} to unlock them without a prompt. Keep the file safe: the secrets cannot be recovered without it.`
+            : 'You will be asked for the passphrase when a command needs the secrets (or set RAGCHAT_PASSPHRASE).'));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error changing the secret key:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Prints the saved configuration of every profile as JSON with secrets removed, for sharing in bug reports.
+ */
+export function runConfigRedactCommand() {
+    console.log(JSON.stringify(getRedactedConfig(), null, 2));
+}
@@ -1,21 +1,115 @@
 import inquirer from 'inquirer';
-import { saveConfig, getConfig } from '../config.js';
+import {
+    saveConfig,
+    getUserConfig,
+    getActiveProfileName,
+    profileExists,
+    isSecretEncryptionEnabled,
+    getConfigFilePath,
+    SECRET_KEYS
+} from '../config.js';
+import { getLocalStorePath } from '../localStore.js';
 import chalk from 'chalk';
 
+/**
+ * Validates an optional URL answer.
+ * @param {string} input - The answer.
+ * @returns {true|string} True if the answer is empty or a valid URL, otherwise an error message.
+ */
+function validateOptionalUrl(input) {
+    if (!input) return true;
+    try {
+        new URL(input);
+        return true;
+    } catch (error) {
+        return 'Please enter a valid URL (e.g., http://localhost:11434/v1)';
+    }
+}
+
+/**
+ * Validates an integer answer within bounds.
+ * @param {string|number} input - The answer.
+ * @param {number} min - Smallest allowed value.
+ * @param {number} [max] - Largest allowed value.
+ * @returns {true|string} True if the answer is valid, otherwise an error message.
+ */
+function validateInteger(input, min, max = Infinity) {
+    const value = Number(input);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return max === Infinity ? `Please enter a whole number of at least ${min}.` : `Please enter a whole number between ${min} and ${max}.`;
+    }
+    return true;
+}
+
+/**
+ * Converts a numeric answer to an integer, leaving invalid input for validation to reject.
+ * @param {string} input - The answer.
+ * @returns {number|string} The integer, or the original input if it is not a number.
+ */
+function toInteger(input) {
+    const value = Number(input);
+    return Number.isInteger(value) ? value : input;
+}
+
+/**
+ * Builds the question for a secret. Secrets are never shown or pre-filled;
+ * when a value is saved, an empty answer keeps it.
+ * @param {string} question - The question, without the trailing colon.
+ * @param {string} [currentValue] - The saved value.
+ * @param {string} [emptyHint] - What an empty answer means when no value is saved.
+ * @returns {string} The question.
+ */
+function secretMessage(question, currentValue, emptyHint) {
+    const hint = currentValue ? 'leave empty to keep the saved one' : emptyHint;
+    return `${question}${hint ? ` (${hint})` : ''}:`;
+}
+
+/**
+ * Creates a validator for a required secret: empty answers are accepted only if a value is saved.
+ * @param {string} [currentValue] - The saved value.
+ * @param {string} errorMessage - The message for empty answers.
+ * @returns {Function} The inquirer validator.
+ */
+function keepOrRequire(currentValue, errorMessage) {
+    return input => input || currentValue ? true : errorMessage;
+}
+
 /**
  * Runs the interactive configuration wizard.
- * Prompts the user for Supabase and OpenAI credentials and saves them.
+ * Prompts the user for the vector store backend, the chat and embedding providers and their credentials, and saves them.
  */
 export async function runConfigureWizard() {
     console.log(chalk.cyan('Welcome to the RAG Chatbot CLI setup wizard!'));
-    console.log('Please provide your Supabase and OpenAI credentials.');
+    console.log('Please choose a vector store and model providers, and provide your credentials.');
+    const profile = getActiveProfileName();
+    console.log(chalk.cyan(profileExists(profile) ? `Editing profile "${profile}".` : `Creating profile "${profile}".`));
 
-    const currentConfig = getConfig();
+    // Edit what the profile saved, not values from .ragchatrc or the environment
+    const currentConfig = getUserConfig();
+    const usesSupabase = (answers) => answers.vectorStore === 'supabase';
 
     const questions = [
+        {
+            type: 'list',
+            name: 'vectorStore',
+            message: 'Where should documents and embeddings be stored?',
+            choices: [
+                { name: 'Supabase (hosted Postgres with pgvector)', value: 'supabase' },
+                { name: 'Local file (no server needed; good for laptops and CI)', value: 'local' }
+            ],
+            default: currentConfig.vectorStore || 'supabase'
+        },
+        {
+            type: 'input',
+            name: 'localStorePath',
+            message: 'Local store file:',
+            default: currentConfig.localStorePath || getLocalStorePath(),
+            when: (answers) => answers.vectorStore === 'local'
+        },
         {
             type: 'input',
             name: 'supabaseUrl',
+            when: usesSupabase,
             message: 'Enter your Supabase Project URL:',
             default: currentConfig.supabaseUrl,
             validate: (input) => {
@@ -32,25 +126,110 @@ export async function runConfigureWizard() {
         {
             type: 'password', // Use password type for keys
             name: 'supabaseKey',
+            when: usesSupabase,
+            mask: '*',
+            message: secretMessage(`Enter your Supabase Anon Key (${chalk.yellow('Use the public anon key, NOT the service_role key')})`, currentConfig.supabaseKey),
+            validate: keepOrRequire(currentConfig.supabaseKey, 'Supabase Key cannot be empty.')
+        },
+        {
+            type: 'password', // The connection string contains the database password
+            name: 'databaseUrl',
+            when: usesSupabase,
             mask: '*',
-            message: `Enter your Supabase Anon Key (${chalk.yellow('Use the public anon key, NOT the service_role key')}):`,
-            default: currentConfig.supabaseKey, // Be cautious pre-filling sensitive keys
-            validate: (input) => input ? true : 'Supabase Key cannot be empty.'
+            message: secretMessage('Database connection string for applying schema migrations (Project Settings > Database > Connection string)', currentConfig.databaseUrl, 'optional, leave empty to run the setup SQL by hand'),
+            validate: (input) => !input || /^postgres(ql)?:\/\//.test(input) ? true : 'Please enter a postgresql:// connection string.'
+        },
+        {
+            type: 'list',
+            name: 'chatProvider',
+            message: 'Which provider should answer questions?',
+            choices: [
+                { name: 'OpenAI or an OpenAI-compatible server (Ollama, llama.cpp, vLLM, ...)', value: 'openai' },
+                { name: 'Anthropic', value: 'anthropic' }
+            ],
+            default: currentConfig.chatProvider || 'openai'
+        },
+        {
+            type: 'input',
+            name: 'chatBaseUrl',
+            message: 'Chat API base URL (leave empty for the provider\'s official API):',
+            default: currentConfig.chatBaseUrl,
+            validate: validateOptionalUrl
+        },
+        {
+            type: 'input',
+            name: 'chatModel',
+            message: 'Chat model (leave empty for the provider default):',
+            default: currentConfig.chatModel
+        },
+        {
+            type: 'input',
+            name: 'maxTokens',
+            message: 'Maximum tokens per answer:',
+            default: currentConfig.maxTokens,
+            validate: (input) => validateInteger(input, 1),
+            filter: toInteger
+        },
+        {
+            type: 'password',
+            name: 'chatApiKey',
+            mask: '*',
+            message: secretMessage('Enter the API key for the chat provider', currentConfig.chatApiKey, 'leave empty if the server needs none'),
+            // Official OpenAI chat uses the OpenAI key asked for below
+            when: (answers) => answers.chatProvider !== 'openai' || Boolean(answers.chatBaseUrl),
+            validate: (input, answers) => input || currentConfig.chatApiKey || answers.chatBaseUrl ? true : 'API key cannot be empty.'
+        },
+        {
+            type: 'input',
+            name: 'embeddingBaseUrl',
+            message: 'Embedding API base URL, OpenAI-compatible (leave empty for api.openai.com):',
+            default: currentConfig.embeddingBaseUrl,
+            validate: validateOptionalUrl
+        },
+        {
+            type: 'input',
+            name: 'embeddingModel',
+            message: 'Embedding model (leave empty for text-embedding-ada-002):',
+            default: currentConfig.embeddingModel
+        },
+        {
+            type: 'input',
+            name: 'embeddingDimension',
+            message: 'Embedding dimension (output size of the embedding model, e.g. 1536 for text-embedding-ada-002, 768 for nomic-embed-text):',
+            default: currentConfig.embeddingDimension,
+            validate: (input) => validateInteger(input, 1, 2000),
+            filter: toInteger
+        },
+        {
+            type: 'password',
+            name: 'embeddingApiKey',
+            mask: '*',
+            message: secretMessage('Enter the API key for the embedding server', currentConfig.embeddingApiKey, 'leave empty if it needs none'),
+            when: (answers) => Boolean(answers.embeddingBaseUrl)
         },
         {
             type: 'password',
             name: 'openaiApiKey',
             mask: '*',
-            message: 'Enter your OpenAI API Key:',
-            default: currentConfig.openaiApiKey,
-            validate: (input) => input ? true : 'OpenAI API Key cannot be empty.'
+            message: secretMessage('Enter your OpenAI API Key', currentConfig.openaiApiKey),
+            when: (answers) => !answers.embeddingBaseUrl || (answers.chatProvider === 'openai' && !answers.chatBaseUrl),
+            validate: keepOrRequire(currentConfig.openaiApiKey, 'OpenAI API Key cannot be empty.')
         }
     ];
 
     try {
         const answers = await inquirer.prompt(questions);
+        // Secrets left empty keep their current value
+        for (const key of SECRET_KEYS) {
+            if (answers[key] === '' && currentConfig[key]) {
+                delete answers[key];
+            }
+        }
         saveConfig(answers);
         console.log(chalk.green('\nConfiguration saved successfully!'));
+        if (!isSecretEncryptionEnabled()) {
+            console.log(chalk.cyan(`Secrets are stored unencrypted in ${getConfigFilePath()}. Run \`ragchat config rotate-key\` to encrypt them.`));
+        }
     } catch (error) {
         console.error(chalk.red('\nError during configuration:'), error);
         console.log(chalk.yellow('Configuration was not saved.'));
@@ -1,19 +1,23 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
-import { findDocumentByNameOrId, deleteDocumentById, getDocumentDetails } from '../supabaseService.js';
+import { findDocumentByNameOrId, deleteDocumentById, getDocumentDetails, findCollectionByNameOrId } from '../vectorStore.js';
 
 /**
  * Handles deleting a document identified by ID or name using service functions.
  * @param {string | number} identifier - The ID or name of the document to delete.
+ * @param {object} [options] - Command options.
+ * @param {string} [options.collection] - Name or ID of the collection to look for the document in,
+ *        for names that exist in several collections.
  */
-export async function runDeleteDocCommand(identifier) {
+export async function runDeleteDocCommand(identifier, options = {}) {
     let documentId;
     let documentName;
 
     try {
         console.log(chalk.blue(`Finding document matching "${identifier}"...`));
-        documentId = await findDocumentByNameOrId(identifier);
+        const collection = options.collection ? await findCollectionByNameOrId(options.collection) : null;
+        documentId = await findDocumentByNameOrId(identifier, collection?.id);
         
         try {
             const details = await getDocumentDetails(documentId);
@@ -46,7 +50,7 @@ export async function runDeleteDocCommand(identifier) {
         console.error(chalk.red(error.message));
         
         if (error.message.includes('Multiple documents found')) {
-            console.log(chalk.yellow('Please be more specific or use the document ID.'));
+            console.log(chalk.yellow('Please be more specific, use the document ID, or pass --collection.'));
         }
         if (error.message.includes('not found')) {
              console.log(chalk.yellow('Use the `list` command to see available documents and their IDs.'));
@@ -1,32 +1,37 @@
 import Table from 'cli-table3';
 import chalk from 'chalk';
 import ora from 'ora';
-import { listDocuments } from '../supabaseService.js';
+import { listDocuments, listCollections, findCollectionByNameOrId } from '../vectorStore.js';
 
 /**
- * Fetches and displays a list of documents using the supabaseService.
+ * Fetches and displays a list of documents using the configured vector store.
+ * @param {object} [options] - Command options.
+ * @param {string} [options.collection] - Name or ID of a collection to list the documents of.
  */
-export async function runListDocsCommand() {
+export async function runListDocsCommand(options = {}) {
     try {
         console.log(chalk.blue('Fetching document list...')); // Simple message instead of spinner
-        const documents = await listDocuments(); // Call the service function
+        const collection = options.collection ? await findCollectionByNameOrId(options.collection) : null;
+        const documents = await listDocuments(collection ? { collectionId: collection.id } : {}); // Call the service function
 
         if (!documents || documents.length === 0) {
-            console.log(chalk.yellow('\nNo documents found in the database.'));
-            console.log(chalk.cyan('You can add documents using the `add <file_path>` command or the interactive `add` command within the chat.'));
+            console.log(chalk.yellow(collection ? `\nNo documents found in collection "${collection.name}".` : '\nNo documents found in the database.'));
+            console.log(chalk.cyan('You can add documents using the `add <paths...>` command or the `/add` command within the chat.'));
             return;
         }
 
-        console.log(chalk.green('\nAvailable Documents:'));
+        const collectionNames = new Map((await listCollections()).map(item => [item.id, item.name]));
+        console.log(chalk.green(collection ? `\nDocuments in collection "${collection.name}":` : '\nAvailable Documents:'));
         const table = new Table({
-            head: [chalk.cyan('ID'), chalk.cyan('Name'), chalk.cyan('Created At')],
-            colWidths: [10, 40, 30] 
+            head: [chalk.cyan('ID'), chalk.cyan('Name'), chalk.cyan('Collection'), chalk.cyan('Created At')],
+            colWidths: [10, 40, 20, 30] 
         });
 
         for (const doc of documents) {
             table.push([
                 doc.id,
                 doc.name,
+                collectionNames.get(doc.collection_id) ?? chalk.dim('-'),
                 // Format date with better error handling
                 formatDate(doc.created_at)
             ]);
@@ -0,0 +1,16 @@
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createMcpServer } from '../mcpServer.js';
+
+/**
+ * Runs the MCP server (see mcpServer.js) over stdio until the client disconnects.
+ * Stdout carries the protocol, so everything the CLI would print goes to stderr instead.
+ * @param {object} info - Server identification sent to clients.
+ * @param {string} info.name - Server name.
+ * @param {string} info.version - Server version.
+ * @returns {Promise<void>} Resolves once the server is connected.
+ */
+export async function runMcpCommand({ name, version }) {
+    const server = createMcpServer({ name, version });
+    await server.connect(new StdioServerTransport());
+    console.error(`${name} MCP server v${version} running on stdio.`);
+}
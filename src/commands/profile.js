@@ -0,0 +1,104 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { listProfiles, setActiveProfile, deleteProfile, profileExists } from '../config.js';
+
+/**
+ * Describes where a profile stores documents.
+ * @param {object} settings - The profile's settings.
+ * @returns {string} The Supabase project host, or the local store file.
+ */
+function describeStore(settings) {
+    if (settings.vectorStore === 'local') {
+        return `local${settings.localStorePath ? ` (${settings.localStorePath})` : ''}`;
+    }
+    try {
+        return `supabase (${new URL(settings.supabaseUrl).host})`;
+    } catch (error) {
+        return 'supabase (not configured)';
+    }
+}
+
+/**
+ * Lists the configuration profiles, marking the active one.
+ */
+export function runProfileListCommand() {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+        console.log(chalk.yellow('No profiles found.'));
+        console.log(chalk.cyan('Create one with `ragchat configure --profile <name>`.'));
+        return;
+    }
+
+    const table = new Table({
+        head: [chalk.cyan(''), chalk.cyan('Profile'), chalk.cyan('Vector Store'), chalk.cyan('Chat Model')],
+        colWidths: [4, 20, 40, 26],
+        wordWrap: true
+    });
+    for (const { name, active, settings } of profiles) {
+        table.push([
+            active ? chalk.green('*') : '',
+            active ? chalk.green(name) : name,
+            describeStore(settings),
+            `${settings.chatProvider ?? 'openai'}${settings.chatModel ? ` / ${settings.chatModel}` : ''}`
+        ]);
+    }
+    console.log(chalk.green('\nProfiles:'));
+    console.log(table.toString());
+    console.log(chalk.dim('* active profile. Use `--profile <name>` or RAGCHAT_PROFILE to pick another one for a single run.'));
+}
+
+/**
+ * Makes a profile the active one.
+ * @param {string} name - The profile name.
+ */
+export function runProfileUseCommand(name) {
+    try {
+        setActiveProfile(name);
+        console.log(chalk.green(`Now using profile "${name}".`));
+        if (process.env.RAGCHAT_PROFILE && process.env.RAGCHAT_PROFILE !== name) {
+            console.log(chalk.yellow(`Note: RAGCHAT_PROFILE is set to "${process.env.RAGCHAT_PROFILE}", which overrides the active profile.`));
+        }
+    } catch (error) {
+        console.error(chalk.red(`\n❌ Error switching profile: ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Deletes a profile after confirmation. Its documents are not touched.
+ * @param {string} name - The profile name.
+ * @param {object} [options] - Command options.
+ * @param {boolean} [options.yes] - Skip the confirmation prompt.
+ */
+export async function runProfileDeleteCommand(name, options = {}) {
+    try {
+        if (!profileExists(name)) {
+            throw new Error(`Profile not found: "${name}".`);
+        }
+        if (!options.yes) {
+            const { confirmDelete } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmDelete',
+                    message: `Delete profile "${chalk.yellow(name)}" and its settings? Its documents are kept.`,
+                    default: false
+                }
+            ]);
+            if (!confirmDelete) {
+                console.log(chalk.yellow('Deletion cancelled.'));
+                return;
+            }
+        }
+
+        deleteProfile(name);
+        console.log(chalk.green(`Deleted profile "${name}".`));
+    } catch (error) {
+        console.error(chalk.red(`\n❌ Error deleting profile "${name}":`));
+        console.error(chalk.red(error.message));
+        if (error.message.includes('not found')) {
+            console.log(chalk.yellow('Use `ragchat profile list` to see the available profiles.'));
+        }
+        process.exitCode = 1;
+    }
+}
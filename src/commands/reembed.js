@@ -0,0 +1,110 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { listDocumentModels } from '../vectorStore.js';
+import { getEmbeddingModelId } from '../openaiService.js';
+import { findStaleDocuments, reembedDocument } from '../reembed.js';
+
+/**
+ * Re-embeds documents with the configured embedding model.
+ * By default only documents embedded with another model are processed.
+ * @param {object} [options] - Command options.
+ * @param {boolean} [options.all] - Re-embed every document, not just the stale ones.
+ * @returns {Promise<{reembedded: number, failed: number}>} Per-status document counts.
+ */
+export async function runReembedCommand(options = {}) {
+    let documents;
+    try {
+        documents = options.all ? await listDocumentModels() : await findStaleDocuments();
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error finding documents to re-embed:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+        return { reembedded: 0, failed: 0 };
+    }
+
+    if (documents.length === 0) {
+        console.log(chalk.green(`All documents are embedded with ${getEmbeddingModelId()}. Nothing to do.`));
+        return { reembedded: 0, failed: 0 };
+    }
+
+    console.log(chalk.cyan(`Re-embedding ${documents.length} document(s) with ${getEmbeddingModelId()}...`));
+    let reembedded = 0;
+    const failures = [];
+    for (const [index, document] of documents.entries()) {
+        console.log(chalk.cyan(`\n[${index + 1}/${documents.length}] ${document.name} (ID: ${document.id})`));
+        try {
+            const result = await reembedDocument(document);
+            if (result.failures.length > 0) {
+                failures.push({ document, message: `${result.failures.length}/${result.sections} sections failed` });
+            } else {
+                reembedded++;
+            }
+        } catch (error) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            failures.push({ document, message: error.message });
+        }
+    }
+
+    console.log(chalk.green(`\nRe-embedded ${reembedded}/${documents.length} document(s).`));
+    if (failures.length > 0) {
+        console.log(chalk.red(`${failures.length} failure(s); run \`ragchat reembed\` again to retry them:`));
+        for (const failure of failures) {
+            console.log(chalk.red(`- ${failure.document.name} (ID: ${failure.document.id}): ${failure.message}`));
+        }
+        process.exitCode = 1;
+    }
+    return { reembedded, failed: failures.length };
+}
+
+/**
+ * Detects documents embedded with another model than the configured one and
+ * offers to re-embed them, so incompatible vectors are never mixed silently.
+ * Without a terminal to ask in, they are re-embedded only if `reembed` is set.
+ * @param {object} [options] - Check options.
+ * @param {boolean} [options.allowMixed=false] - Whether to continue with a warning when the user declines.
+ *        Commands that add embeddings should not, so the corpus does not end up with more mixed vectors.
+ * @param {boolean} [options.reembed=false] - Re-embed the documents without asking (e.g. `--reembed`).
+ * @returns {Promise<boolean>} True if the command can proceed.
+ * @throws {Error} If the documents cannot be listed.
+ */
+export async function checkEmbeddingModel({ allowMixed = false, reembed = false } = {}) {
+    const stale = await findStaleDocuments();
+    if (stale.length === 0) {
+        return true;
+    }
+
+    const previousModels = [...new Set(stale.map(doc => doc.embedding_model))].join(', ');
+    console.log(chalk.yellow(`\nThe embedding model changed: ${stale.length} document(s) were embedded with ${previousModels}, `
+        + `but the configured model is ${getEmbeddingModelId()}.`));
+    console.log(chalk.yellow('Their vectors cannot be compared with the new model\'s, so searches would not find them reliably.'));
+
+    if (!reembed && !process.stdin.isTTY) {
+        if (allowMixed) {
+            console.log(chalk.yellow('Continuing without re-embedding. Run `ragchat reembed` to fix this later.'));
+            return true;
+        }
+        console.error(chalk.red('Not re-embedding them without confirmation, as there is no terminal to ask in. '
+            + 'Run `ragchat reembed` first, or pass --reembed to re-embed them before adding documents.'));
+        return false;
+    }
+
+    const { confirmReembed } = reembed ? { confirmReembed: true } : await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirmReembed',
+            message: `Re-embed ${stale.length} document(s) with ${getEmbeddingModelId()} now?`,
+            default: true
+        }
+    ]);
+
+    if (confirmReembed) {
+        const { failed } = await runReembedCommand();
+        return allowMixed || failed === 0;
+    }
+    if (allowMixed) {
+        console.log(chalk.yellow('Continuing without re-embedding. Run `ragchat reembed` to fix this later.'));
+        return true;
+    }
+    console.log(chalk.yellow('Run `ragchat reembed`, or set embeddingModel back with `ragchat configure`, before adding documents.'));
+    return false;
+}
@@ -0,0 +1,45 @@
+import crypto from 'node:crypto';
+import chalk from 'chalk';
+import { getConfigValue } from '../config.js';
+import { createApiServer } from '../server.js';
+
+/**
+ * Starts the HTTP API server (see server.js) and keeps it running until interrupted.
+ * The API key comes from RAGCHAT_API_KEY or the `serverApiKey` setting; without
+ * either, a random key is generated for this run and printed.
+ * @param {object} [options] - Command options.
+ * @param {number} [options.port=8787] - Port to listen on.
+ * @param {string} [options.host='127.0.0.1'] - Address to bind to.
+ * @returns {Promise<void>} Resolves once the server is listening.
+ * @throws {Error} If the server cannot listen (e.g. the port is in use).
+ */
+export async function runServeCommand(options = {}) {
+    const port = options.port ?? 8787;
+    const host = options.host ?? '127.0.0.1';
+    let apiKey = process.env.RAGCHAT_API_KEY || getConfigValue('serverApiKey');
+    const generatedKey = !apiKey;
+    if (generatedKey) {
+        apiKey = crypto.randomBytes(24).toString('base64url');
+    }
+
+    const server = createApiServer({ apiKey });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const address = server.address();
+    const shownHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    console.log(chalk.green(`RAG API listening on http://${shownHost}:${address.port}`));
+    if (generatedKey) {
+        console.log(chalk.yellow(`No API key configured; using a generated key for this run: ${apiKey}`));
+        console.log(chalk.yellow('Set RAGCHAT_API_KEY or the serverApiKey setting to keep the same key across restarts.'));
+    }
+    console.log(chalk.dim('Endpoints: GET /health, POST /query, GET|POST /documents, GET|DELETE /documents/:id. Press Ctrl+C to stop.'));
+
+    process.once('SIGINT', () => {
+        console.log(chalk.cyan('\nStopping the server...'));
+        server.close();
+        server.closeAllConnections();
+    });
+}
@@ -0,0 +1,73 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { listSessions, loadSession, sessionToMarkdown, getSessionsDir } from '../sessions.js';
+
+// Longest first question shown in the session list
+const QUESTION_PREVIEW_LENGTH = 50;
+
+/**
+ * Lists saved chat sessions, most recently updated first.
+ * @returns {Promise<void>} Resolves once the list is printed.
+ */
+export async function runSessionsListCommand() {
+    try {
+        const sessions = await listSessions();
+        if (sessions.length === 0) {
+            console.log(chalk.yellow('No saved sessions yet. Sessions are saved automatically when you chat.'));
+            return;
+        }
+
+        const table = new Table({
+            head: ['ID', 'Started', 'Last updated', 'Questions', 'First question'].map(label => chalk.cyan(label))
+        });
+        for (const session of sessions) {
+            const question = session.first_question.replace(/\s+/g, ' ').trim();
+            table.push([
+                session.id,
+                new Date(session.started_at).toLocaleString(),
+                new Date(session.updated_at).toLocaleString(),
+                session.turns,
+                question.length > QUESTION_PREVIEW_LENGTH ? `${question.slice(0, QUESTION_PREVIEW_LENGTH - 1)}…` : question
+            ]);
+        }
+        console.log(chalk.green(`\nSaved sessions (${getSessionsDir()}):`));
+        console.log(table.toString());
+        console.log(chalk.dim('Resume one with `ragchat chat --resume <id>`, or export it with `ragchat sessions export <id>`.'));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error listing sessions:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Exports a session as Markdown or JSON, to stdout or a file.
+ * @param {string} id - The session ID, or "last".
+ * @param {object} [options] - Command options.
+ * @param {'markdown'|'json'} [options.format='markdown'] - Output format.
+ * @param {string} [options.output] - File to write to (stdout when omitted).
+ * @returns {Promise<void>} Resolves once the session is written.
+ */
+export async function runSessionsExportCommand(id, options = {}) {
+    try {
+        const session = await loadSession(id);
+        const format = options.format ?? 'markdown';
+        // The conversation memory is internal state for resuming, not part of the transcript
+        const { conversation, ...transcript } = session;
+        const output = format === 'json' ? `${JSON.stringify(transcript, null, 2)}\n` : sessionToMarkdown(session);
+
+        if (!options.output) {
+            process.stdout.write(output);
+            return;
+        }
+        const outputPath = path.resolve(options.output);
+        await fs.writeFile(outputPath, output);
+        console.log(chalk.green(`Exported session ${session.id} to ${outputPath}`));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error exporting the session:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
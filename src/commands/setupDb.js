@@ -1,16 +1,35 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import {
-    checkDatabaseSetup,
-    executeSetupSql,
-    getSetupSql
-} from '../supabaseService.js';
+import Table from 'cli-table3';
+import { checkDatabaseSetup, executeSetupSql } from '../vectorStore.js';
+import { getSetupSql } from '../supabaseService.js';
+import { getMigrationStatus, migrateUp, migrateDown } from '../migrations.js';
+import { getConfigValue } from '../config.js';
+
+// How migration statuses are shown
+const STATUS_LABELS = {
+    applied: chalk.green('applied'),
+    pending: chalk.yellow('pending'),
+    changed: chalk.red('changed since applied'),
+    unknown: chalk.red('not in this version')
+};
 
 /**
- * Runs the database setup check and potentially executes the setup script.
+ * Runs the database setup check and potentially executes the setup script,
+ * or manages the schema migrations.
  * Handles user prompts for confirmation and provides manual instructions on failure.
+ * @param {object} [options] - Command options.
+ * @param {boolean} [options.migrate] - Apply the pending schema migrations.
+ * @param {boolean} [options.status] - List the schema migrations and whether they are applied.
+ * @param {boolean} [options.down] - Revert the latest schema migration.
+ * @param {boolean} [options.yes] - Revert without asking for confirmation.
  */
-export async function runSetupDbCommand() {
+export async function runSetupDbCommand(options = {}) {
+    if (options.migrate || options.status || options.down) {
+        await runMigrationCommand(options);
+        return;
+    }
+
     console.log(chalk.cyan('Running database setup check...'));
 
     try {
@@ -69,6 +88,9 @@ export async function runSetupDbCommand() {
             } else {
                 console.log(chalk.red('Automatic setup reported failure.'));
                 console.log(chalk.yellow('This is often because the anon key cannot execute SQL statements directly.'));
+                if (!getConfigValue('databaseUrl')) {
+                    console.log(chalk.cyan('Set databaseUrl to the database connection string to let `ragchat setup-db --migrate` apply the schema directly.'));
+                }
                 
                 // Ask if they want to verify manual execution
                 const { manuallySet } = await inquirer.prompt([
@@ -119,8 +141,81 @@ export async function runSetupDbCommand() {
     }
 }
 
+/**
+ * Applies, lists or reverts the schema migrations over the direct database connection.
+ * @param {object} options - The setup-db options (see runSetupDbCommand).
+ */
+async function runMigrationCommand(options) {
+    if (getConfigValue('vectorStore') === 'local') {
+        console.log(chalk.yellow('Schema migrations only apply to the Supabase vector store; the local store needs none.'));
+        return;
+    }
+
+    try {
+        if (options.status) {
+            const migrations = await getMigrationStatus();
+            const table = new Table({
+                head: [chalk.cyan('Version'), chalk.cyan('Name'), chalk.cyan('Status'), chalk.cyan('Applied At')],
+                colWidths: [22, 24, 24, 26]
+            });
+            for (const migration of migrations) {
+                table.push([
+                    migration.version,
+                    migration.name,
+                    STATUS_LABELS[migration.status],
+                    migration.appliedAt ? new Date(migration.appliedAt).toLocaleString() : ''
+                ]);
+            }
+            console.log(chalk.green('\nSchema migrations:'));
+            console.log(table.toString());
+            const pending = migrations.filter(migration => migration.status === 'pending').length;
+            console.log(pending > 0
+                ? chalk.yellow(`${pending} migration(s) pending. Run \`ragchat setup-db --migrate\` to apply them.`)
+                : chalk.green('The schema is up to date.'));
+            if (migrations.some(migration => migration.status === 'changed')) {
+                console.log(chalk.yellow('Changed migrations are not run again; add a new migration for further schema changes.'));
+            }
+            return;
+        }
+
+        if (options.down) {
+            if (!options.yes) {
+                const { confirmDown } = await inquirer.prompt([
+                    {
+                        type: 'confirm',
+                        name: 'confirmDown',
+                        message: 'Revert the latest schema migration? This can drop tables or columns and the data in them.',
+                        default: false
+                    }
+                ]);
+                if (!confirmDown) {
+                    console.log(chalk.yellow('Revert cancelled.'));
+                    return;
+                }
+            }
+            const reverted = await migrateDown();
+            console.log(reverted
+                ? chalk.green(`Reverted migration ${reverted.version} (${reverted.name}).`)
+                : chalk.yellow('No migrations are applied.'));
+            return;
+        }
+
+        const applied = await migrateUp({
+            onMigration: migration => console.log(chalk.blue(`Applying migration ${migration.version} (${migration.name})...`))
+        });
+        console.log(applied.length > 0
+            ? chalk.green(`Applied ${applied.length} migration(s). The schema is up to date.`)
+            : chalk.green('The schema is already up to date.'));
+    } catch (error) {
+        console.error(chalk.red('\n❌ Error running the schema migrations:'));
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
 /**
  * Helper function to retrieve and print the setup SQL for manual execution.
+ * The script also records the migrations it contains, so `--migrate` and `--status` see them as applied.
  */
 async function printManualInstructions() {
     console.log(chalk.yellow('\n👉 Please try running the following SQL commands manually in your Supabase SQL Editor:'));
@@ -142,6 +237,8 @@ async function printManualInstructions() {
     console.log(chalk.cyan('4. Create a "New Query"'));
     console.log(chalk.cyan('5. Paste the SQL above and run it'));
     console.log(chalk.cyan('6. After running the SQL, come back and run `ragchat setup-db` again to verify the setup'));
+    console.log(chalk.cyan('\nAlternatively, set databaseUrl to the database connection string (Project Settings > Database > Connection string)'));
+    console.log(chalk.cyan('and run `ragchat setup-db --migrate` to apply the schema migrations directly.'));
 }
 
 // // Example usage (if you want to run this file directly for testing)
@@ -0,0 +1,193 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import ora from 'ora';
+import { collectFiles, parseSize, DEFAULT_MAX_FILE_SIZE } from '../fileCollector.js';
+import { listDocumentSources, deleteDocumentsByIds, findCollectionByNameOrId } from '../vectorStore.js';
+import { ingestFile, hasMetadataChanges } from '../ingest.js';
+import { hashFile } from '../hash.js';
+
+// Documents are deleted in batches to keep the request URL short
+const DELETE_BATCH_SIZE = 200;
+
+/**
+ * Synchronizes the documents loaded from a file or directory with its current contents.
+ * New files are added, changed files are re-embedded, unchanged files are left
+ * alone (no embedding calls) and documents whose source file is gone are removed.
+ * Documents whose file still exists but was filtered out or skipped this run are kept.
+ * Unchanged files whose documents lack the --meta values only get their metadata updated.
+ * @param {string} targetPath - The file or directory to synchronize.
+ * @param {object} [options] - Command options.
+ * @param {boolean} [options.dryRun] - Only report what would change.
+ * @param {string[]} [options.include] - Glob patterns files inside the directory must match.
+ * @param {string[]} [options.exclude] - Glob patterns for files to leave out.
+ * @param {boolean} [options.gitignore=true] - Whether to honor .gitignore files.
+ * @param {string} [options.maxSize] - Maximum file size (e.g. "10mb").
+ * @param {number} [options.chunkSize] - Override for the configured chunk size (tokens).
+ * @param {number} [options.chunkOverlap] - Override for the configured chunk overlap (tokens).
+ * @param {string} [options.collection] - Name or ID of the collection to sync (documents in no collection when omitted).
+ * @param {object} [options.meta] - Metadata to attach to added and changed documents.
+ */
+export async function runSyncCommand(targetPath, options = {}) {
+    const absoluteTarget = path.resolve(targetPath);
+    const spinner = ora(chalk.blue(`Scanning ${absoluteTarget}...`)).start();
+
+    let plan;
+    try {
+        const stats = await fs.stat(absoluteTarget).catch(() => null);
+        if (!stats) {
+            throw new Error(`Path not found: ${absoluteTarget}`);
+        }
+        const collectionId = options.collection ? (await findCollectionByNameOrId(options.collection)).id : null;
+
+        // 1. Collect the current files and the documents previously loaded from the same place
+        const { files, skipped } = await collectFiles([absoluteTarget], {
+            include: options.include,
+            exclude: options.exclude,
+            gitignore: options.gitignore !== false,
+            maxFileSize: options.maxSize ? parseSize(options.maxSize) : DEFAULT_MAX_FILE_SIZE
+        });
+
+        spinner.text = chalk.blue('Fetching indexed documents...');
+        const inScope = stats.isDirectory()
+            ? (sourcePath) => sourcePath.startsWith(absoluteTarget + path.sep)
+            : (sourcePath) => sourcePath === absoluteTarget;
+        const indexed = new Map(); // source path -> documents
+        for (const doc of await listDocumentSources(collectionId)) {
+            if (!inScope(doc.source_path)) continue;
+            if (!indexed.has(doc.source_path)) indexed.set(doc.source_path, []);
+            indexed.get(doc.source_path).push(doc);
+        }
+
+        // 2. Compare content hashes to decide what needs work
+        plan = { added: [], changed: [], metadata: [], unchanged: [], removed: [], kept: [], skipped, collectionId };
+        for (const [index, filePath] of files.entries()) {
+            spinner.text = chalk.blue(`Hashing files (${index + 1}/${files.length})...`);
+            const contentHash = await hashFile(filePath);
+            const existingDocuments = indexed.get(filePath) || [];
+            const entry = { path: filePath, contentHash, existingDocuments };
+
+            const indexedVersion = existingDocuments.find(doc => doc.content_hash === contentHash);
+            if (existingDocuments.length === 0) {
+                plan.added.push(entry);
+            } else if (indexedVersion) {
+                (hasMetadataChanges(indexedVersion.metadata, options.meta) ? plan.metadata : plan.unchanged).push(entry);
+            } else {
+                plan.changed.push(entry);
+            }
+        }
+
+        // Only documents whose file is gone are removed: a file left out by --include,
+        // --exclude or --max-size, or skipped as binary, still exists and keeps its documents
+        const current = new Set(files);
+        for (const [sourcePath, documents] of indexed) {
+            if (current.has(sourcePath)) continue;
+            const entry = { path: sourcePath, existingDocuments: documents };
+            try {
+                await fs.stat(sourcePath);
+                plan.kept.push(entry);
+            } catch (error) {
+                (error.code === 'ENOENT' ? plan.removed : plan.kept).push(entry);
+            }
+        }
+        spinner.succeed(chalk.green(`Scanned ${files.length} file(s) and ${indexed.size} indexed source(s).`));
+    } catch (error) {
+        spinner.fail(chalk.red('Failed to plan the sync.'));
+        console.error(chalk.red(`\n❌ ${error.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    printPlan(plan);
+
+    if (options.dryRun) {
+        console.log(chalk.cyan('\nDry run: no changes were made.'));
+        return;
+    }
+
+    if (plan.added.length + plan.changed.length + plan.metadata.length + plan.removed.length === 0) {
+        console.log(chalk.green('\nEverything is up to date.'));
+        return;
+    }
+
+    // 3. Apply the plan, continuing past individual failures
+    const failures = [];
+    const work = [...plan.added, ...plan.changed, ...plan.metadata];
+    for (const [index, entry] of work.entries()) {
+        console.log(chalk.cyan(`\n[${index + 1}/${work.length}] ${entry.path}`));
+        try {
+            const { metadataOnly } = await ingestFile(entry.path, {
+                contentHash: entry.contentHash,
+                existingDocuments: entry.existingDocuments,
+                chunkSize: options.chunkSize,
+                chunkOverlap: options.chunkOverlap,
+                collectionId: plan.collectionId,
+                metadata: options.meta
+            });
+            if (metadataOnly) {
+                console.log(chalk.green('Content unchanged; updated the metadata.'));
+            }
+        } catch (error) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            failures.push({ path: entry.path, message: error.message });
+        }
+    }
+
+    if (plan.removed.length > 0) {
+        const removeSpinner = ora(chalk.blue(`Removing ${plan.removed.length} document source(s) that no longer exist...`)).start();
+        const ids = plan.removed.flatMap(entry => entry.existingDocuments.map(doc => doc.id));
+        try {
+            for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+                await deleteDocumentsByIds(ids.slice(i, i + DELETE_BATCH_SIZE));
+            }
+            removeSpinner.succeed(chalk.green(`Removed ${ids.length} document(s).`));
+        } catch (error) {
+            removeSpinner.fail(chalk.red('Failed to remove documents.'));
+            failures.push({ path: '(removal)', message: error.message });
+        }
+    }
+
+    const succeeded = work.length - failures.filter(f => f.path !== '(removal)').length;
+    console.log(chalk.green(`\nSync finished: ${succeeded}/${work.length} file(s) embedded or updated, ${plan.unchanged.length} unchanged.`));
+    if (failures.length > 0) {
+        console.log(chalk.red(`${failures.length} failure(s):`));
+        for (const failure of failures) {
+            console.log(chalk.red(`- ${failure.path}: ${failure.message}`));
+        }
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Prints the planned changes.
+ * @param {object} plan - The sync plan with added, changed, metadata, unchanged, removed, kept and skipped entries.
+ */
+function printPlan(plan) {
+    console.log(chalk.cyan('\nSync plan:'));
+    console.log(`${chalk.green(`${plan.added.length} new`)}, ${chalk.yellow(`${plan.changed.length} changed`)}, `
+        + (plan.metadata.length > 0 ? `${chalk.blue(`${plan.metadata.length} metadata only`)}, ` : '')
+        + `${chalk.red(`${plan.removed.length} removed`)}, ${chalk.dim(`${plan.unchanged.length} unchanged`)}, `
+        + `${chalk.dim(`${plan.skipped.length} skipped`)}`
+        + (plan.kept.length > 0 ? `, ${chalk.dim(`${plan.kept.length} indexed but not scanned (kept)`)}` : ''));
+
+    const rows = [
+        ...plan.added.map(entry => [entry.path, chalk.green('new')]),
+        ...plan.changed.map(entry => [entry.path, chalk.yellow('changed')]),
+        ...plan.metadata.map(entry => [entry.path, chalk.blue('metadata')]),
+        ...plan.removed.map(entry => [entry.path, chalk.red('removed')])
+    ];
+    if (rows.length === 0) {
+        return;
+    }
+
+    const table = new Table({
+        head: [chalk.cyan('File'), chalk.cyan('Action')],
+        colWidths: [70, 10],
+        wordWrap: true
+    });
+    for (const [filePath, action] of rows) {
+        table.push([path.relative(process.cwd(), filePath) || filePath, action]);
+    }
+    console.log(table.toString());
+}
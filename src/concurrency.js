@@ -0,0 +1,68 @@
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>} Resolves after the delay.
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {Function} fn - Async function called with (item, index).
+ * @returns {Promise<Array>} The results, in input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Retries an async operation with exponential backoff and jitter.
+ * @param {Function} operation - Async function called with the attempt number (0-based).
+ * @param {object} [options] - Retry options.
+ * @param {number} [options.maxRetries=5] - Retries after the first attempt.
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry.
+ * @param {number} [options.maxDelayMs=60000] - Upper bound for a single delay.
+ * @param {Function} [options.isRetryable] - Returns true if the error is worth retrying.
+ * @param {Function} [options.getRetryAfterMs] - Returns a server-requested delay for the error, if any.
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before waiting.
+ * @returns {Promise<*>} The operation result.
+ * @throws {Error} The last error once retries are exhausted or the error is not retryable.
+ */
+export async function withRetry(operation, {
+    maxRetries = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000,
+    isRetryable = () => true,
+    getRetryAfterMs = () => null,
+    onRetry = () => {}
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delayMs = getRetryAfterMs(error) ?? backoff / 2 + Math.random() * backoff / 2;
+            onRetry(error, attempt + 1, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
@@ -1,7 +1,25 @@
 import Conf from 'conf';
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+import {
+	isEncryptedValue,
+	createSalt,
+	deriveKey,
+	encryptValue,
+	decryptValue,
+	readPassphraseFromEnvironment
+} from './secrets.js';
 
 // Initialize conf with a project name to namespace the config file
 // e.g., ~/.config/rag-chatbot-cli/config.json
+// Settings are kept in named profiles (e.g. dev, staging, prod), each a full set of
+// the settings below. Commands use the active profile, which `--profile` or
+// RAGCHAT_PROFILE override for a single run.
+// The effective settings are layered, later layers winning: schema defaults, the
+// profile's saved settings, a project .ragchatrc file, RAGCHAT_* environment
+// variables and `--set` options (see resolveConfig).
+// Secrets saved in profiles can be encrypted (see secrets.js and rotateSecretKey).
 const configSchema = {
 	supabaseUrl: {
 		type: 'string',
@@ -10,58 +28,787 @@ const configSchema = {
 	supabaseKey: {
 		type: 'string',
 	},
+	// Direct Postgres connection string of the Supabase database, used to apply schema migrations
+	databaseUrl: {
+		type: 'string',
+		pattern: '^postgres(ql)?://',
+	},
 	openaiApiKey: {
 		type: 'string',
 	},
+	// Vector store backend: 'supabase' (hosted) or 'local' (JSON file, no server needed)
+	vectorStore: {
+		type: 'string',
+		enum: ['supabase', 'local'],
+		default: 'supabase',
+	},
+	localStorePath: {
+		type: 'string',
+	},
+	// Chat and embedding providers. 'openai' also covers OpenAI-compatible
+	// servers (Ollama, llama.cpp, vLLM) through a custom base URL.
+	// Unset models use the provider's default; unset API keys fall back to openaiApiKey for 'openai'.
+	chatProvider: {
+		type: 'string',
+		enum: ['openai', 'anthropic'],
+		default: 'openai',
+	},
+	chatModel: {
+		type: 'string',
+	},
+	chatBaseUrl: {
+		type: 'string',
+	},
+	chatApiKey: {
+		type: 'string',
+	},
+	// Maximum tokens in a generated answer
+	maxTokens: {
+		type: 'integer',
+		minimum: 1,
+		default: 1000,
+	},
+	// Retrieval: 'vector' (embedding similarity), 'keyword' (full-text) or 'hybrid' (both, rank-fused)
+	searchMode: {
+		type: 'string',
+		enum: ['vector', 'keyword', 'hybrid'],
+		default: 'vector',
+	},
+	// Number of sections given to the model as context, and the similarity they need
+	matchCount: {
+		type: 'integer',
+		minimum: 1,
+		default: 5,
+	},
+	matchThreshold: {
+		type: 'number',
+		minimum: 0,
+		maximum: 1,
+		default: 0.7,
+	},
+	// Reranking: 'none', 'lexical' (term overlap, no model calls) or 'llm' (scored by the chat model).
+	// When enabled, rerankCandidates sections above the looser rerankThreshold are fetched and
+	// reranked, and the best matchCount of them are used as context.
+	reranker: {
+		type: 'string',
+		enum: ['none', 'lexical', 'llm'],
+		default: 'none',
+	},
+	rerankCandidates: {
+		type: 'integer',
+		minimum: 1,
+		default: 20,
+	},
+	rerankThreshold: {
+		type: 'number',
+		minimum: 0,
+		maximum: 1,
+		default: 0.3,
+	},
+	// Chat memory: token budget for earlier turns (0 disables memory) and what
+	// happens to turns over the budget ('summarize' them or 'truncate' them away)
+	historyMaxTokens: {
+		type: 'integer',
+		minimum: 0,
+		default: 2000,
+	},
+	historyMode: {
+		type: 'string',
+		enum: ['summarize', 'truncate'],
+		default: 'summarize',
+	},
+	// Rewrite follow-up questions into standalone queries before searching
+	rewriteFollowUps: {
+		type: 'boolean',
+		default: true,
+	},
+	embeddingProvider: {
+		type: 'string',
+		enum: ['openai'],
+		default: 'openai',
+	},
+	embeddingModel: {
+		type: 'string',
+	},
+	embeddingBaseUrl: {
+		type: 'string',
+	},
+	embeddingApiKey: {
+		type: 'string',
+	},
+	// Output dimension of the embedding model; sizes the Supabase vector column
+	embeddingDimension: {
+		type: 'integer',
+		minimum: 1,
+		maximum: 2000, // pgvector HNSW indexes support at most 2000 dimensions
+		default: 1536, // text-embedding-ada-002
+	},
+	// Chunking settings, measured in tokens
+	chunkSize: {
+		type: 'integer',
+		minimum: 32,
+		maximum: 8191, // Input limit of the OpenAI embedding models
+		default: 512,
+	},
+	chunkOverlap: {
+		type: 'integer',
+		minimum: 0,
+		default: 64,
+	},
+	// Embedding request batching and rate-limit handling
+	embeddingBatchSize: {
+		type: 'integer',
+		minimum: 1,
+		maximum: 2048, // OpenAI limit on inputs per request
+		default: 128,
+	},
+	embeddingBatchTokens: {
+		type: 'integer',
+		minimum: 1,
+		default: 100000,
+	},
+	embeddingConcurrency: {
+		type: 'integer',
+		minimum: 1,
+		default: 4,
+	},
+	embeddingMaxRetries: {
+		type: 'integer',
+		minimum: 0,
+		default: 6,
+	},
+	// API key clients of `ragchat serve` must send (RAGCHAT_API_KEY overrides it)
+	serverApiKey: {
+		type: 'string',
+	},
+	// Local embedding cache
+	embeddingCacheEnabled: {
+		type: 'boolean',
+		default: true,
+	},
+	embeddingCacheMaxMb: {
+		type: 'number',
+		minimum: 1,
+		default: 512,
+	},
 };
 
-const config = new Conf({ projectName: 'rag-chatbot-cli', schema: configSchema });
+// Profile used when none was chosen, and the one older flat configurations are moved into
+export const DEFAULT_PROFILE = 'default';
+
+// Profile names become part of setting keys and file names
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const config = new Conf({
+	projectName: 'rag-chatbot-cli',
+	schema: {
+		activeProfile: {
+			type: 'string',
+			pattern: PROFILE_NAME_PATTERN.source,
+		},
+		profiles: {
+			type: 'object',
+			propertyNames: { pattern: PROFILE_NAME_PATTERN.source },
+			additionalProperties: { type: 'object', properties: configSchema },
+		},
+		// Present when secrets are encrypted: the key derivation salt, and a value
+		// encrypted with the key to check passphrases against
+		encryption: {
+			type: 'object',
+			properties: {
+				salt: { type: 'string' },
+				check: { type: 'string' },
+			},
+			required: ['salt', 'check'],
+		},
+	},
+	defaults: { activeProfile: DEFAULT_PROFILE, profiles: {} },
+	// Profiles only hold what was saved to them; defaults are applied when resolving (see resolveConfig)
+	ajvOptions: { useDefaults: false },
+});
+
+// Values of unset settings
+const defaultSettings = Object.fromEntries(Object.entries(configSchema)
+	.filter(([, definition]) => definition.default !== undefined)
+	.map(([key, definition]) => [key, definition.default]));
+
+// Settings holding credentials, masked whenever settings are shown
+export const SECRET_KEYS = ['supabaseKey', 'databaseUrl', 'openaiApiKey', 'chatApiKey', 'embeddingApiKey', 'serverApiKey'];
+
+// Project configuration files, looked for in the working directory and its parents
+const PROJECT_CONFIG_NAMES = ['.ragchatrc', '.ragchatrc.json', '.ragchatrc.yaml', '.ragchatrc.yml'];
+
+// Profile chosen for this run with --profile (see selectProfile)
+let selectedProfile;
+
+// Settings given for this run with --set (see setCliSettings)
+let cliSettings = {};
+
+// The project configuration file, once looked up: { path, settings }, or null if there is none
+let projectConfig;
+
+// Key decrypting the secrets, once unlocked (see unlockSecrets)
+let secretKey = null;
+
+// Secret values redactSecrets looks for, once collected; reset when the settings of this run change
+let secretValues = null;
+
+// Plaintext encrypted to check passphrases
+const ENCRYPTION_CHECK = 'ragchat';
+
+migrateFlatConfig();
+
+/**
+ * Moves the settings of a configuration written before profiles existed into the default profile.
+ */
+function migrateFlatConfig() {
+	const store = config.store;
+	const flatKeys = Object.keys(store).filter(key => Object.hasOwn(configSchema, key));
+	if (flatKeys.length === 0) {
+		return;
+	}
+	const settings = Object.fromEntries(flatKeys.map(key => [key, store[key]]));
+	for (const key of flatKeys) {
+		delete store[key];
+	}
+	store.profiles = { ...store.profiles, [DEFAULT_PROFILE]: { ...settings, ...store.profiles?.[DEFAULT_PROFILE] } };
+	config.store = store;
+}
+
+/**
+ * Checks that a profile name can be used.
+ * @param {string} name - The profile name.
+ * @throws {Error} If the name contains characters other than letters, digits, "-" and "_".
+ */
+function validateProfileName(name) {
+	if (!PROFILE_NAME_PATTERN.test(name)) {
+		throw new Error(`Invalid profile name "${name}". Use letters, digits, "-" and "_".`);
+	}
+}
+
+/**
+ * Chooses the profile for this run, overriding RAGCHAT_PROFILE and the active profile.
+ * Used for the global `--profile` option.
+ * @param {string|undefined} name - The profile name, or undefined to keep the default choice.
+ * @throws {Error} If the name is invalid.
+ */
+export function selectProfile(name) {
+	if (name !== undefined) {
+		validateProfileName(name);
+	}
+	selectedProfile = name;
+	secretValues = null;
+}
+
+/**
+ * Returns the name of the profile commands use: the one chosen with `--profile`,
+ * else RAGCHAT_PROFILE, else the active profile (see setActiveProfile).
+ * @returns {string} The profile name.
+ * @throws {Error} If RAGCHAT_PROFILE holds an invalid name.
+ */
+export function getActiveProfileName() {
+	const name = selectedProfile || process.env.RAGCHAT_PROFILE || config.get('activeProfile') || DEFAULT_PROFILE;
+	validateProfileName(name);
+	return name;
+}
+
+/**
+ * Checks whether a profile has been created (by saving settings to it).
+ * @param {string} name - The profile name.
+ * @returns {boolean} True if the profile exists.
+ */
+export function profileExists(name) {
+	return Object.hasOwn(config.get('profiles'), name);
+}
+
+/**
+ * Lists the profiles.
+ * @returns {Array<{name: string, active: boolean, settings: object}>} Each profile with its saved settings,
+ *          sorted by name; `active` marks the profile commands use.
+ */
+export function listProfiles() {
+	const active = getActiveProfileName();
+	return Object.entries(config.get('profiles'))
+		.map(([name, settings]) => ({ name, active: name === active, settings }))
+		.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Makes a profile the active one, used by later runs without `--profile` or RAGCHAT_PROFILE.
+ * @param {string} name - The profile name.
+ * @throws {Error} If the profile does not exist.
+ */
+export function setActiveProfile(name) {
+	validateProfileName(name);
+	if (!profileExists(name)) {
+		throw new Error(`Profile not found: "${name}". Create it with \`ragchat configure --profile ${name}\`.`);
+	}
+	config.set('activeProfile', name);
+}
+
+/**
+ * Deletes a profile and its settings.
+ * @param {string} name - The profile name.
+ * @throws {Error} If the profile does not exist or is the active profile.
+ */
+export function deleteProfile(name) {
+	validateProfileName(name);
+	if (!profileExists(name)) {
+		throw new Error(`Profile not found: "${name}".`);
+	}
+	if (name === config.get('activeProfile')) {
+		throw new Error(`Profile "${name}" is the active profile. Switch to another one with \`ragchat profile use <name>\` first.`);
+	}
+	config.delete(`profiles.${name}`);
+}
 
 /**
- * Retrieves the entire configuration object.
+ * Converts the name of a setting to its environment variable, e.g. supabaseUrl to RAGCHAT_SUPABASE_URL.
+ * @param {string} key - The setting name.
+ * @returns {string} The environment variable name.
+ */
+export function getEnvironmentVariableName(key) {
+	return `RAGCHAT_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Converts a setting value given as text or parsed from a file to the setting's type and checks it against the schema.
+ * @param {string} key - The setting name.
+ * @param {*} value - The value.
+ * @param {string} source - Where the value comes from, for error messages.
+ * @returns {*} The value, converted to the setting's type.
+ * @throws {Error} If the setting does not exist or the value is not valid for it.
+ */
+export function parseSettingValue(key, value, source) {
+	const definition = configSchema[key];
+	if (!definition) {
+		throw new Error(`Unknown setting "${key}" in ${source}.`);
+	}
+	const invalid = expected => new Error(`Invalid value for ${key} in ${source}: "${value}". Expected ${expected}.`);
+	let parsed = value;
+	if (definition.type === 'integer' || definition.type === 'number') {
+		parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+		if (typeof parsed !== 'number' || Number.isNaN(parsed) || (definition.type === 'integer' && !Number.isInteger(parsed))) {
+			throw invalid(definition.type === 'integer' ? 'a whole number' : 'a number');
+		}
+		if ((definition.minimum !== undefined && parsed < definition.minimum) || (definition.maximum !== undefined && parsed > definition.maximum)) {
+			throw invalid(`a number between ${definition.minimum ?? '-∞'} and ${definition.maximum ?? '∞'}`);
+		}
+	} else if (definition.type === 'boolean') {
+		const text = String(value).toLowerCase();
+		if (!['true', 'false', '1', '0', 'yes', 'no'].includes(text)) {
+			throw invalid('true or false');
+		}
+		parsed = ['true', '1', 'yes'].includes(text);
+	} else {
+		parsed = String(value);
+		if (definition.enum && !definition.enum.includes(parsed)) {
+			throw invalid(`one of ${definition.enum.join(', ')}`);
+		}
+		if (definition.format === 'url' && !URL.canParse(parsed)) {
+			throw invalid('a URL');
+		}
+		if (definition.pattern && !new RegExp(definition.pattern).test(parsed)) {
+			throw invalid(`a value matching ${definition.pattern}`);
+		}
+	}
+	return parsed;
+}
+
+/**
+ * Parses a `--set key=value` option.
+ * @param {string} assignment - The option value.
+ * @returns {{key: string, value: *}} The setting and its converted value.
+ * @throws {Error} If the assignment is not key=value, or the value is invalid.
+ */
+export function parseSettingAssignment(assignment) {
+	const separator = assignment.indexOf('=');
+	if (separator <= 0) {
+		throw new Error(`Expected key=value, got "${assignment}".`);
+	}
+	const key = assignment.slice(0, separator).trim();
+	return { key, value: parseSettingValue(key, assignment.slice(separator + 1), '--set') };
+}
+
+/**
+ * Sets the settings given on the command line, which override every other layer.
+ * @param {object} settings - Settings by name, with converted values (see parseSettingAssignment).
+ */
+export function setCliSettings(settings = {}) {
+	cliSettings = settings;
+	secretValues = null;
+}
+
+/**
+ * Finds the project configuration file by walking up from the working directory.
+ * @returns {string|null} Absolute path of the nearest .ragchatrc file, or null if there is none.
+ */
+function findProjectConfigPath() {
+	let directory = process.cwd();
+	for (;;) {
+		for (const name of PROJECT_CONFIG_NAMES) {
+			const candidate = path.join(directory, name);
+			if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+				return candidate;
+			}
+		}
+		const parent = path.dirname(directory);
+		if (parent === directory) {
+			return null;
+		}
+		directory = parent;
+	}
+}
+
+/**
+ * Loads the project configuration file (once per run). It holds settings as JSON or YAML;
+ * a relative localStorePath is resolved against the file's directory.
+ * @returns {{path: string, settings: object}|null} The file and its settings, or null if there is none.
+ * @throws {Error} If the file cannot be read or parsed, or holds unknown settings or invalid values.
+ */
+function loadProjectConfig() {
+	if (projectConfig !== undefined) {
+		return projectConfig;
+	}
+	const filePath = findProjectConfigPath();
+	if (!filePath) {
+		projectConfig = null;
+		return projectConfig;
+	}
+
+	let data;
+	try {
+		const text = fs.readFileSync(filePath, 'utf-8');
+		// YAML is a superset of JSON, so extensionless files can hold either
+		data = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+	} catch (error) {
+		throw new Error(`Failed to read project configuration ${filePath}: ${error.message}`);
+	}
+	if (data === null || data === undefined) {
+		data = {};
+	}
+	if (typeof data !== 'object' || Array.isArray(data)) {
+		throw new Error(`Project configuration ${filePath} must contain settings as key: value pairs.`);
+	}
+
+	const settings = {};
+	for (const [key, value] of Object.entries(data)) {
+		settings[key] = parseSettingValue(key, value, filePath);
+	}
+	if (settings.localStorePath) {
+		settings.localStorePath = path.resolve(path.dirname(filePath), settings.localStorePath);
+	}
+	projectConfig = { path: filePath, settings };
+	return projectConfig;
+}
+
+/**
+ * Reads the settings given as RAGCHAT_* environment variables.
+ * @returns {Array<{key: string, value: *, variable: string}>} Each setting with its variable name.
+ * @throws {Error} If a variable holds an invalid value.
+ */
+function getEnvironmentSettings() {
+	return Object.keys(configSchema)
+		.map(key => ({ key, variable: getEnvironmentVariableName(key) }))
+		.filter(({ variable }) => process.env[variable] !== undefined && process.env[variable] !== '')
+		.map(({ key, variable }) => ({ key, variable, value: parseSettingValue(key, process.env[variable], variable) }));
+}
+
+/**
+ * Returns the saved settings of the active profile, with defaults for unset values,
+ * ignoring project files, environment variables and `--set`. Used to edit the profile.
+ * Secrets are returned as stored, so they may be encrypted.
+ * @returns {object} The profile's settings.
+ */
+export function getUserConfig() {
+	return { ...defaultSettings, ...config.get('profiles')[getActiveProfileName()] };
+}
+
+/**
+ * Resolves the effective settings from every layer, later layers winning: defaults,
+ * the active profile, the project .ragchatrc, RAGCHAT_* environment variables and `--set`.
+ * @param {object} [options] - Resolution options.
+ * @param {boolean} [options.decryptSecrets=true] - Decrypt encrypted secrets of the profile
+ *        (unlocking them from the environment if needed); when false they are returned encrypted.
+ * @returns {{values: object, sources: object}} The settings, and where each one comes from
+ *          (e.g. "default", "profile default", a file path, an environment variable or "--set").
+ * @throws {Error} If the project file or an environment variable holds an invalid setting,
+ *         or secrets are encrypted and cannot be unlocked.
+ */
+export function resolveConfig({ decryptSecrets = true } = {}) {
+	const values = {};
+	const sources = {};
+	const apply = (settings, source) => {
+		for (const [key, value] of Object.entries(settings)) {
+			values[key] = value;
+			sources[key] = source;
+		}
+	};
+
+	const profile = getActiveProfileName();
+	const profileSettings = { ...config.get('profiles')[profile] };
+	if (decryptSecrets) {
+		for (const key of SECRET_KEYS) {
+			if (isEncryptedValue(profileSettings[key])) {
+				profileSettings[key] = decryptValue(profileSettings[key], getSecretKey());
+			}
+		}
+	}
+	apply(defaultSettings, 'default');
+	apply(profileSettings, `profile ${profile}`);
+	const project = loadProjectConfig();
+	if (project) {
+		apply(project.settings, project.path);
+	}
+	for (const { key, value, variable } of getEnvironmentSettings()) {
+		apply({ [key]: value }, variable);
+	}
+	apply(cliSettings, '--set');
+	return { values, sources };
+}
+
+/**
+ * Retrieves the effective settings (see resolveConfig).
  * @returns {object} The configuration object.
  */
 export function getConfig() {
-	return config.store;
+	return resolveConfig().values;
+}
+
+/**
+ * Masks a secret for display, keeping just enough to recognize it.
+ * @param {string} value - The secret.
+ * @returns {string} The masked secret, e.g. "sk-…a1b2".
+ */
+export function maskSecret(value) {
+	if (!value) {
+		return value;
+	}
+	return value.length > 12 ? `${value.slice(0, 3)}…${value.slice(-4)}` : '********';
 }
 
 /**
- * Saves configuration data.
+ * Saves configuration data to the active profile, creating the profile if needed.
  * @param {object} configData - Object containing key-value pairs to save.
  * Example: { supabaseUrl: '...', supabaseKey: '...', openaiApiKey: '...' }
  */
 export function saveConfig(configData) {
-	for (const [key, value] of Object.entries(configData)) {
-		config.set(key, value);
+	const name = getActiveProfileName();
+	const settings = { ...configData };
+	if (isSecretEncryptionEnabled()) {
+		for (const key of SECRET_KEYS) {
+			if (settings[key] && !isEncryptedValue(settings[key])) {
+				settings[key] = encryptValue(settings[key], getSecretKey());
+			}
+		}
 	}
-	console.log('Configuration saved.'); // Add user feedback
+	config.set(`profiles.${name}`, { ...config.get('profiles')[name], ...settings });
+	secretValues = null;
+	console.log(`Configuration saved to profile "${name}".`); // Add user feedback
 }
 
 /**
- * Retrieves a specific configuration value by key.
+ * Checks whether secrets in the configuration file are encrypted.
+ * @returns {boolean} True if encryption is enabled (see rotateSecretKey).
+ */
+export function isSecretEncryptionEnabled() {
+	return config.has('encryption');
+}
+
+/**
+ * Checks whether the secrets have been unlocked in this run.
+ * @returns {boolean} True if the key is available.
+ */
+export function areSecretsUnlocked() {
+	return secretKey !== null;
+}
+
+/**
+ * Unlocks the encrypted secrets with a passphrase.
+ * @param {string} passphrase - The passphrase or key file content.
+ * @throws {Error} If the passphrase is wrong.
+ */
+export function unlockSecrets(passphrase) {
+	const { salt, check } = config.get('encryption');
+	const key = deriveKey(passphrase, salt);
+	try {
+		decryptValue(check, key);
+	} catch (error) {
+		throw new Error('Wrong passphrase for the encrypted secrets.');
+	}
+	secretKey = key;
+	secretValues = null;
+}
+
+/**
+ * Returns the key of the encrypted secrets, unlocking them from RAGCHAT_PASSPHRASE
+ * or RAGCHAT_KEY_FILE if they are still locked.
+ * @returns {Buffer} The key.
+ * @throws {Error} If the secrets cannot be unlocked.
+ */
+function getSecretKey() {
+	if (!secretKey) {
+		const fromEnvironment = readPassphraseFromEnvironment();
+		if (!fromEnvironment) {
+			throw new Error('Secrets in the configuration are encrypted. Enter the passphrase when asked, or set RAGCHAT_PASSPHRASE or RAGCHAT_KEY_FILE.');
+		}
+		try {
+			unlockSecrets(fromEnvironment.passphrase);
+		} catch (error) {
+			throw new Error(`${error.message} (from ${fromEnvironment.source})`);
+		}
+	}
+	return secretKey;
+}
+
+/**
+ * Re-encrypts every saved secret with a new passphrase, or stores them in plaintext.
+ * Enables encryption when it is off. Secrets must be unlocked first if they are encrypted.
+ * @param {string|null} passphrase - The new passphrase or key file content, or null to stop encrypting.
+ * @returns {{secrets: number, profiles: number}} How many secrets in how many profiles were rewritten.
+ * @throws {Error} If the current secrets cannot be decrypted.
+ */
+export function rotateSecretKey(passphrase) {
+	const store = config.store;
+	const salt = createSalt();
+	const newKey = passphrase === null ? null : deriveKey(passphrase, salt);
+	let secrets = 0;
+	let profiles = 0;
+	for (const settings of Object.values(store.profiles)) {
+		const keys = SECRET_KEYS.filter(key => settings[key]);
+		for (const key of keys) {
+			const plaintext = isEncryptedValue(settings[key]) ? decryptValue(settings[key], getSecretKey()) : settings[key];
+			settings[key] = newKey ? encryptValue(plaintext, newKey) : plaintext;
+		}
+		secrets += keys.length;
+		profiles += keys.length > 0 ? 1 : 0;
+	}
+	if (newKey) {
+		store.encryption = { salt, check: encryptValue(ENCRYPTION_CHECK, newKey) };
+	} else {
+		delete store.encryption;
+	}
+	config.store = store;
+	secretKey = newKey;
+	secretValues = null;
+	return { secrets, profiles };
+}
+
+/**
+ * Returns the stored configuration (every profile) with secrets replaced by "[REDACTED]",
+ * safe to share in bug reports.
+ * @returns {object} The redacted configuration.
+ */
+export function getRedactedConfig() {
+	const { encryption, ...store } = config.store;
+	const profiles = Object.fromEntries(Object.entries(store.profiles).map(([name, settings]) => [
+		name,
+		Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, SECRET_KEYS.includes(key) && value ? '[REDACTED]' : value]))
+	]));
+	return { ...store, secretsEncrypted: Boolean(encryption), profiles };
+}
+
+/**
+ * Collects the secret values to redact: the configured API keys and connection string
+ * (decrypted if the secrets are unlocked), the server key and the passphrase.
+ * @returns {string[]} The values; short ones are left out, as they would mask ordinary words.
+ */
+function getSecretValues() {
+	if (secretValues) {
+		return secretValues;
+	}
+	let values = [];
+	try {
+		values = Object.entries(resolveConfig({ decryptSecrets: areSecretsUnlocked() }).values)
+			.filter(([key]) => SECRET_KEYS.includes(key))
+			.map(([, value]) => value);
+	} catch (error) {
+		// Invalid configuration: redact what the environment holds
+	}
+	values.push(process.env.RAGCHAT_API_KEY, process.env.RAGCHAT_PASSPHRASE);
+	secretValues = values.filter(value => typeof value === 'string' && value.length >= 8 && !isEncryptedValue(value));
+	return secretValues;
+}
+
+/**
+ * Replaces known secret values (configured API keys, the server key and the passphrase) in text.
+ * Used for error output, so keys echoed back in error messages are not printed.
+ * @param {string} text - The text.
+ * @returns {string} The text with secrets replaced by "[REDACTED]".
+ */
+export function redactSecrets(text) {
+	if (typeof text !== 'string') {
+		return text;
+	}
+	return getSecretValues().reduce((result, value) => result.split(value).join('[REDACTED]'), text);
+}
+
+/**
+ * Retrieves a specific effective configuration value by key.
  * @param {string} key - The configuration key to retrieve.
  * @returns {*} The value associated with the key, or undefined if not found.
  */
 export function getConfigValue(key) {
-    return config.get(key);
+	return getConfig()[key];
 }
 
 
+/**
+ * Returns the directory holding the configuration file.
+ * Local data such as the embedding cache is stored next to it.
+ * @returns {string} Absolute path of the configuration directory.
+ */
+export function getConfigDir() {
+	return path.dirname(config.path);
+}
+
+/**
+ * Returns the path of the configuration file.
+ * @returns {string} Absolute path of the configuration file.
+ */
+export function getConfigFilePath() {
+	return config.path;
+}
+
+/**
+ * Returns the configured settings of the chat or embedding provider.
+ * @param {'chat'|'embedding'} kind - Which provider to describe.
+ * @returns {{provider: string, model: string|undefined, baseUrl: string|undefined, apiKey: string|undefined}}
+ *          The provider name, model, base URL and API key (unset values are undefined).
+ */
+export function getProviderSettings(kind) {
+	const settings = getConfig();
+	const provider = settings[`${kind}Provider`] || 'openai';
+	return {
+		provider,
+		model: settings[`${kind}Model`] || undefined,
+		baseUrl: settings[`${kind}BaseUrl`] || undefined,
+		apiKey: settings[`${kind}ApiKey`] || (provider === 'openai' ? settings.openaiApiKey : undefined) || undefined,
+	};
+}
+
 /**
  * Checks if the essential configuration keys are set.
+ * Providers need an API key unless they point at a self-hosted server (custom base URL).
  * @returns {boolean} True if essential configuration exists, false otherwise.
  */
 export function hasConfig() {
-	const requiredKeys = ['supabaseUrl', 'supabaseKey', 'openaiApiKey'];
-	return requiredKeys.every(key => config.has(key) && config.get(key));
+	const settings = getConfig();
+	const requiredKeys = settings.vectorStore === 'local' ? [] : ['supabaseUrl', 'supabaseKey'];
+	const providersReady = ['chat', 'embedding'].every((kind) => {
+		const { apiKey, baseUrl } = getProviderSettings(kind);
+		return Boolean(apiKey || baseUrl);
+	});
+	return providersReady && requiredKeys.every(key => Boolean(settings[key]));
 }
 
 /**
- * Clears the entire configuration.
+ * Clears the entire configuration, including every profile.
  */
 export function clearConfig() {
-    config.clear();
-    console.log('Configuration cleared.');
+	config.clear();
+	secretValues = null;
+	console.log('Configuration cleared.');
 }
 
 // Example usage (optional, for testing within this file)
@@ -0,0 +1,111 @@
+import chalk from 'chalk';
+import { getConfigValue } from './config.js';
+import { countTokens } from './tokenizer.js';
+import { rewriteFollowUpQuery, summarizeConversation } from './openaiService.js';
+
+// Share of the history budget the summary of older turns may use
+const SUMMARY_BUDGET_SHARE = 0.25;
+
+/**
+ * Creates an empty conversation. A conversation keeps the recent turns of a
+ * chat session verbatim and older turns as a running summary.
+ * @returns {{turns: Array<{question: string, answer: string}>, summary: string}} The conversation.
+ */
+export function createConversation() {
+    return { turns: [], summary: '' };
+}
+
+/**
+ * Returns the recent turns as chat messages, oldest first.
+ * @param {object} conversation - The conversation.
+ * @returns {Array<{role: string, content: string}>} Alternating user and assistant messages.
+ */
+export function getHistoryMessages(conversation) {
+    return conversation.turns.flatMap(turn => [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: turn.answer }
+    ]);
+}
+
+/**
+ * Checks whether the conversation has anything a follow-up question could refer to.
+ * @param {object} conversation - The conversation.
+ * @returns {boolean} True if there are earlier turns or a summary.
+ */
+export function hasHistory(conversation) {
+    return conversation.turns.length > 0 || Boolean(conversation.summary);
+}
+
+/**
+ * Counts the tokens of a turn.
+ * @param {{question: string, answer: string}} turn - The turn.
+ * @returns {number} Its size in tokens.
+ */
+function turnTokens(turn) {
+    return countTokens(turn.question) + countTokens(turn.answer);
+}
+
+/**
+ * Records a question and its answer, then fits the history into the configured
+ * token budget. Turns over the budget are folded into the summary (or dropped
+ * in 'truncate' mode, or if summarizing fails), oldest first.
+ * @param {object} conversation - The conversation.
+ * @param {string} question - The user's question, as asked.
+ * @param {string} answer - The assistant's answer.
+ * @returns {Promise<void>} Resolves once the history fits the budget.
+ */
+export async function addTurn(conversation, question, answer) {
+    const budget = getConfigValue('historyMaxTokens');
+    if (budget === 0) {
+        return; // Memory disabled
+    }
+    conversation.turns.push({ question, answer });
+
+    let total = conversation.turns.reduce((sum, turn) => sum + turnTokens(turn), 0);
+    const overflow = [];
+    while (total > budget && conversation.turns.length > 0) {
+        const turn = conversation.turns.shift();
+        overflow.push(turn);
+        total -= turnTokens(turn);
+    }
+    if (overflow.length === 0 || getConfigValue('historyMode') !== 'summarize') {
+        return;
+    }
+
+    const overflowMessages = getHistoryMessages({ turns: overflow });
+    try {
+        const summaryTokens = Math.max(64, Math.floor(budget * SUMMARY_BUDGET_SHARE));
+        conversation.summary = await summarizeConversation(conversation.summary, overflowMessages, summaryTokens);
+    } catch (error) {
+        console.warn(chalk.yellow(`Could not summarize older conversation turns; they were dropped: ${error.message}`));
+    }
+}
+
+/**
+ * Turns a follow-up question into a standalone query for retrieval, so the
+ * query embedding carries the subject the user refers to.
+ * Falls back to the question itself if there is no history or rewriting fails.
+ * @param {object} conversation - The conversation.
+ * @param {string} question - The user's latest question.
+ * @returns {Promise<string>} The query to embed and search with.
+ */
+export async function toStandaloneQuery(conversation, question) {
+    if (!hasHistory(conversation) || !getConfigValue('rewriteFollowUps')) {
+        return question;
+    }
+    try {
+        return await rewriteFollowUpQuery(question, getHistoryMessages(conversation), conversation.summary);
+    } catch (error) {
+        console.warn(chalk.yellow(`\nCould not rewrite the follow-up question; searching with it as asked: ${error.message}`));
+        return question;
+    }
+}
+
+/**
+ * Forgets every turn and the summary, starting a fresh conversation.
+ * @param {object} conversation - The conversation.
+ */
+export function resetConversation(conversation) {
+    conversation.turns = [];
+    conversation.summary = '';
+}
@@ -0,0 +1,29 @@
+import chalk from 'chalk';
+
+let debugEnabled = false;
+
+/**
+ * Turns debug output on or off (the `--debug` flag).
+ * @param {boolean} enabled - Whether to print debug output.
+ */
+export function setDebug(enabled) {
+    debugEnabled = Boolean(enabled);
+}
+
+/**
+ * Checks whether debug output is on, through `--debug` or the RAGCHAT_DEBUG environment variable.
+ * @returns {boolean} True if debug output should be printed.
+ */
+export function isDebugEnabled() {
+    return debugEnabled || ['1', 'true', 'yes'].includes((process.env.RAGCHAT_DEBUG || '').toLowerCase());
+}
+
+/**
+ * Prints a debug message to stderr when debug output is on.
+ * @param {...*} args - What to print, as for console.error.
+ */
+export function debugLog(...args) {
+    if (isDebugEnabled()) {
+        console.error(chalk.dim('[debug]'), ...args);
+    }
+}
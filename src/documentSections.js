@@ -0,0 +1,60 @@
+import chalk from 'chalk';
+import { getConfigValue } from './config.js';
+import { chunkText } from './chunker.js';
+
+/**
+ * Chunks a document and embeds its sections, reporting progress on a spinner.
+ * Shared by the vector store backends so every backend stores the same sections.
+ * @param {string} content - Document content.
+ * @param {Function} generateEmbeddingsFn - Async batch embedding function, called with
+ *        (texts, { onProgress }) and resolving to { embeddings, failures }.
+ * @param {object} options - Chunking options (chunkSize, chunkOverlap, sections); see addDocument.
+ * @param {object} spinner - The ora spinner used for progress feedback.
+ * @returns {Promise<{rows: Array<object>, total: number, failures: Array<{index: number, message: string}>, embeddingModel: string|null}>}
+ *          Section rows (without document_id) for the sections that were embedded,
+ *          the total number of sections, the sections that failed and the embedding model used.
+ * @throws {Error} If chunking fails or no section could be embedded.
+ */
+export async function prepareSections(content, generateEmbeddingsFn, options, spinner) {
+    // 1. Split content into token-bounded, overlapping chunks
+    spinner.text = chalk.blue('Splitting content into sections...');
+    const sections = chunkText(content, {
+        chunkSize: options.chunkSize ?? getConfigValue('chunkSize'),
+        chunkOverlap: options.chunkOverlap ?? getConfigValue('chunkOverlap'),
+        sections: options.sections
+    });
+    spinner.succeed(chalk.green(`Split into ${sections.length} sections.`));
+
+    if (sections.length === 0) {
+        return { rows: [], total: 0, failures: [], embeddingModel: null };
+    }
+
+    // 2. Generate embeddings in batches
+    spinner.start(chalk.blue(`Generating embeddings for ${sections.length} sections...`));
+    const { embeddings, failures, model } = await generateEmbeddingsFn(sections.map(section => section.content), {
+        onProgress: (done, total) => {
+            spinner.text = chalk.blue(`Generating embeddings (${done}/${total} sections)...`);
+        }
+    });
+    if (failures.length === sections.length) {
+        throw new Error(`Failed to generate embeddings for all ${sections.length} sections: ${failures[0].message}`);
+    }
+    if (failures.length > 0) {
+        spinner.warn(chalk.yellow(`Embeddings generated, but ${failures.length}/${sections.length} sections failed and will be skipped (last error: ${failures[failures.length - 1].message}).`));
+    } else {
+        spinner.succeed(chalk.green('Embeddings generated.'));
+    }
+
+    const rows = sections
+        .filter(section => embeddings[section.index])
+        .map(section => ({
+            content: section.content,
+            embedding: embeddings[section.index],
+            chunk_index: section.index,
+            start_offset: section.startOffset,
+            end_offset: section.endOffset,
+            section_title: section.sectionTitle,
+            metadata: section.metadata
+        }));
+    return { rows, total: sections.length, failures, embeddingModel: model ?? null };
+}
@@ -0,0 +1,203 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getConfigDir, getConfigValue } from './config.js';
+import { sha256 } from './hash.js';
+
+const INDEX_VERSION = 1;
+
+// After an eviction the cache is trimmed to this fraction of its limit,
+// so the next few writes do not trigger another eviction straight away.
+const EVICTION_TARGET = 0.9;
+
+let index = null; // { version, hits, misses, entries: { [key]: { model, bytes, lastUsed } } }
+let dirty = false;
+let tempFileCounter = 0; // Concurrent flushes each write their own temporary file
+
+/**
+ * Returns the directory holding the embedding cache.
+ * @returns {string} Absolute path of the cache directory.
+ */
+export function getCacheDir() {
+    return path.join(getConfigDir(), 'embedding-cache');
+}
+
+/**
+ * Builds the cache key for a text: the model plus a hash of the normalized text.
+ * Normalization (Unicode NFC, collapsed whitespace) lets trivially different
+ * copies of the same text share one entry.
+ * @param {string} model - The embedding model name.
+ * @param {string} text - The embedded text.
+ * @returns {string} The cache key.
+ */
+function cacheKey(model, text) {
+    const normalized = text.normalize('NFC').replace(/\s+/g, ' ').trim();
+    return sha256(`${model}\0${normalized}`);
+}
+
+/**
+ * Returns the path of the file storing one cache entry.
+ * Entries are sharded by key prefix to keep directories small.
+ * @param {string} key - The cache key.
+ * @returns {string} Absolute path of the entry file.
+ */
+function entryPath(key) {
+    return path.join(getCacheDir(), key.slice(0, 2), `${key}.bin`);
+}
+
+/**
+ * Loads the cache index from disk, once per process.
+ * @returns {Promise<object>} The cache index.
+ */
+async function loadIndex() {
+    if (index) {
+        return index;
+    }
+    try {
+        const stored = JSON.parse(await fs.readFile(path.join(getCacheDir(), 'index.json'), 'utf-8'));
+        if (stored.version === INDEX_VERSION) {
+            index = stored;
+            return index;
+        }
+    } catch (error) {
+        // Missing or unreadable index: start empty
+    }
+    index = { version: INDEX_VERSION, hits: 0, misses: 0, entries: {} };
+    return index;
+}
+
+/**
+ * Looks up cached embeddings for several texts.
+ * @param {string} model - The embedding model name.
+ * @param {string[]} texts - The texts to look up.
+ * @returns {Promise<Array<number[]|null>>} The cached embedding for each text, or null on a miss.
+ */
+export async function getCachedEmbeddings(model, texts) {
+    if (!getConfigValue('embeddingCacheEnabled')) {
+        return texts.map(() => null);
+    }
+
+    const cache = await loadIndex();
+    const now = Date.now();
+    return Promise.all(texts.map(async (text) => {
+        const key = cacheKey(model, text);
+        const entry = cache.entries[key];
+        if (entry) {
+            try {
+                const buffer = await fs.readFile(entryPath(key));
+                entry.lastUsed = now;
+                cache.hits++;
+                dirty = true;
+                return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
+            } catch (error) {
+                delete cache.entries[key]; // Entry file vanished; forget it
+            }
+        }
+        cache.misses++;
+        dirty = true;
+        return null;
+    }));
+}
+
+/**
+ * Stores embeddings in the cache and evicts least recently used entries over the size limit.
+ * @param {string} model - The embedding model name.
+ * @param {string[]} texts - The embedded texts.
+ * @param {Array<number[]|null>} embeddings - Embeddings for each text; null entries are skipped.
+ * @returns {Promise<void>} Resolves once the entries and the index are written.
+ */
+export async function cacheEmbeddings(model, texts, embeddings) {
+    if (!getConfigValue('embeddingCacheEnabled')) {
+        return;
+    }
+
+    const cache = await loadIndex();
+    const now = Date.now();
+    for (const [i, text] of texts.entries()) {
+        if (!embeddings[i]) continue;
+        const key = cacheKey(model, text);
+        const buffer = Buffer.from(new Float32Array(embeddings[i]).buffer);
+        await fs.mkdir(path.dirname(entryPath(key)), { recursive: true });
+        await fs.writeFile(entryPath(key), buffer);
+        cache.entries[key] = { model, bytes: buffer.length, lastUsed: now };
+        dirty = true;
+    }
+
+    await evictOverLimit(cache);
+    await flushCache();
+}
+
+/**
+ * Removes least recently used entries until the cache fits its size limit.
+ * @param {object} cache - The loaded cache index.
+ * @returns {Promise<void>} Resolves once evicted entries are deleted.
+ */
+async function evictOverLimit(cache) {
+    const maxBytes = getConfigValue('embeddingCacheMaxMb') * 1024 * 1024;
+    let totalBytes = Object.values(cache.entries).reduce((sum, entry) => sum + entry.bytes, 0);
+    if (totalBytes <= maxBytes) {
+        return;
+    }
+
+    const byAge = Object.entries(cache.entries).sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    for (const [key, entry] of byAge) {
+        if (totalBytes <= maxBytes * EVICTION_TARGET) break;
+        await fs.rm(entryPath(key), { force: true });
+        delete cache.entries[key];
+        totalBytes -= entry.bytes;
+    }
+    dirty = true;
+}
+
+/**
+ * Writes the cache index to disk if it changed.
+ * The index is written to a temporary file of its own and renamed so it is never left half-written.
+ * @returns {Promise<void>} Resolves once the index is saved.
+ */
+export async function flushCache() {
+    if (!index || !dirty) {
+        return;
+    }
+    const indexPath = path.join(getCacheDir(), 'index.json');
+    const tempPath = `${indexPath}.${process.pid}.${++tempFileCounter}.tmp`;
+    await fs.mkdir(getCacheDir(), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(index));
+    await fs.rename(tempPath, indexPath);
+    dirty = false;
+}
+
+/**
+ * Summarizes the cache contents.
+ * @returns {Promise<{directory: string, enabled: boolean, entries: number, bytes: number, maxBytes: number,
+ *          hits: number, misses: number, models: Object<string, number>}>} Cache statistics.
+ */
+export async function getCacheStats() {
+    const cache = await loadIndex();
+    const entries = Object.values(cache.entries);
+    const models = {};
+    for (const entry of entries) {
+        models[entry.model] = (models[entry.model] || 0) + 1;
+    }
+    return {
+        directory: getCacheDir(),
+        enabled: getConfigValue('embeddingCacheEnabled'),
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+        maxBytes: getConfigValue('embeddingCacheMaxMb') * 1024 * 1024,
+        hits: cache.hits,
+        misses: cache.misses,
+        models
+    };
+}
+
+/**
+ * Deletes every cached embedding and resets the statistics.
+ * @returns {Promise<number>} The number of entries removed.
+ */
+export async function clearCache() {
+    const cache = await loadIndex();
+    const removed = Object.keys(cache.entries).length;
+    await fs.rm(getCacheDir(), { recursive: true, force: true });
+    index = { version: INDEX_VERSION, hits: 0, misses: 0, entries: {} };
+    dirty = false;
+    return removed;
+}
@@ -0,0 +1,22 @@
+import mammoth from 'mammoth';
+import { htmlToText } from './html.js';
+import { outlineHeadings } from './markdown.js';
+
+export default {
+    name: 'docx',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    binary: true,
+    /**
+     * Extracts a Word document. The document is converted to HTML first so
+     * Word heading styles survive as section metadata.
+     * @param {Buffer} buffer - Raw file contents.
+     * @returns {Promise<{text: string, sections: Array}>} The text and its outline.
+     * @throws {Error} If the file is not a valid DOCX document.
+     */
+    async extract(buffer) {
+        const { value: html } = await mammoth.convertToHtml({ buffer });
+        const text = htmlToText(html);
+        return { text, sections: outlineHeadings(text) };
+    }
+};
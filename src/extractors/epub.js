@@ -0,0 +1,67 @@
+import path from 'node:path';
+import JSZip from 'jszip';
+import { parse } from 'node-html-parser';
+import { htmlToText } from './html.js';
+import { outlineHeadings } from './markdown.js';
+
+/**
+ * Reads a file from the EPUB archive as text.
+ * @param {JSZip} zip - The opened archive.
+ * @param {string} filePath - Path of the entry inside the archive.
+ * @returns {Promise<string>} The entry contents.
+ * @throws {Error} If the entry does not exist.
+ */
+async function readEntry(zip, filePath) {
+    const entry = zip.file(filePath);
+    if (!entry) {
+        throw new Error(`Invalid EPUB: missing ${filePath}`);
+    }
+    return entry.async('string');
+}
+
+export default {
+    name: 'epub',
+    extensions: ['.epub'],
+    mimeTypes: ['application/epub+zip'],
+    binary: true,
+    /**
+     * Extracts the chapters of an EPUB book in reading (spine) order.
+     * Chapter headings are kept as section metadata.
+     * @param {Buffer} buffer - Raw file contents.
+     * @returns {Promise<{text: string, sections: Array}>} The text and its outline.
+     * @throws {Error} If the archive is not a valid EPUB.
+     */
+    async extract(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+
+        // 1. Locate the package document through the container file
+        const container = parse(await readEntry(zip, 'META-INF/container.xml'));
+        const packagePath = container.querySelector('rootfile')?.getAttribute('full-path');
+        if (!packagePath) {
+            throw new Error('Invalid EPUB: container.xml does not reference a package document');
+        }
+
+        // 2. Resolve the spine (reading order) against the manifest
+        const packageDoc = parse(await readEntry(zip, packagePath));
+        const manifest = new Map();
+        for (const item of packageDoc.querySelectorAll('item')) {
+            manifest.set(item.getAttribute('id'), item.getAttribute('href'));
+        }
+        const baseDir = path.posix.dirname(packagePath);
+
+        // 3. Convert each chapter and join them
+        const chapters = [];
+        for (const itemref of packageDoc.querySelectorAll('itemref')) {
+            const href = manifest.get(itemref.getAttribute('idref'));
+            if (!href) continue;
+            const chapterPath = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href)));
+            const chapterText = htmlToText(await readEntry(zip, chapterPath));
+            if (chapterText) {
+                chapters.push(chapterText);
+            }
+        }
+
+        const text = chapters.join('\n\n');
+        return { text, sections: outlineHeadings(text) };
+    }
+};
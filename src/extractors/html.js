@@ -0,0 +1,101 @@
+import { parse } from 'node-html-parser';
+import { outlineHeadings } from './markdown.js';
+
+// Elements that never carry document content
+const BOILERPLATE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]'
+];
+
+// Page landmarks that are boilerplate only outside the content: the header of an
+// <article> holds its title and byline
+const PAGE_LANDMARK_SELECTORS = ['nav', 'header', 'footer'];
+const CONTENT_SELECTOR = 'article, main';
+
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'BLOCKQUOTE', 'UL', 'OL', 'TABLE',
+    'TR', 'DL', 'DT', 'DD', 'FIGURE', 'FIGCAPTION', 'HR', 'ADDRESS', 'BODY'
+]);
+
+/**
+ * Renders a DOM node as Markdown-flavoured plain text.
+ * Headings become `#` lines, blocks are separated by blank lines and list
+ * items get a bullet; everything else is reduced to its text.
+ * @param {object} node - A node-html-parser node.
+ * @returns {string} The rendered text.
+ */
+function renderNode(node) {
+    if (node.nodeType === 3) {
+        return node.text.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== 1) {
+        return '';
+    }
+
+    const tag = node.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+        const title = node.text.replace(/\s+/g, ' ').trim();
+        return title ? `\n\n${'#'.repeat(Number(tag[1]))} ${title}\n\n` : '';
+    }
+    if (tag === 'PRE') {
+        return `\n\n${node.text.replace(/\n+$/, '')}\n\n`;
+    }
+    if (tag === 'BR') {
+        return '\n';
+    }
+
+    const inner = node.childNodes.map(renderNode).join('');
+    if (tag === 'LI') {
+        return `\n- ${inner.trim()}`;
+    }
+    if (tag === 'TD' || tag === 'TH') {
+        return ` ${inner.trim()} |`;
+    }
+    if (BLOCK_TAGS.has(tag)) {
+        return `\n\n${inner}\n\n`;
+    }
+    return inner;
+}
+
+/**
+ * Converts HTML into Markdown-flavoured text, dropping page boilerplate
+ * (navigation, page headers and footers, scripts) and keeping the heading structure.
+ * When the page has a `<main>` or `<article>` element only that is kept.
+ * @param {string} html - The HTML source.
+ * @returns {string} The extracted text.
+ */
+export function htmlToText(html) {
+    const root = parse(html, { comment: false });
+    for (const element of root.querySelectorAll(BOILERPLATE_SELECTORS.join(','))) {
+        element.remove();
+    }
+    for (const element of root.querySelectorAll(PAGE_LANDMARK_SELECTORS.join(','))) {
+        if (!element.closest(CONTENT_SELECTOR)) {
+            element.remove();
+        }
+    }
+
+    const content = root.querySelector('main') || root.querySelector('article') || root.querySelector('body') || root;
+    return renderNode(content)
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+export default {
+    name: 'html',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    /**
+     * Extracts the readable content of an HTML page with its heading outline.
+     * @param {Buffer} buffer - Raw file contents.
+     * @returns {Promise<{text: string, sections: Array}>} The text and its outline.
+     */
+    async extract(buffer) {
+        const text = htmlToText(buffer.toString('utf-8'));
+        return { text, sections: outlineHeadings(text) };
+    }
+};
@@ -0,0 +1,129 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import textExtractor from './text.js';
+import markdownExtractor from './markdown.js';
+import htmlExtractor from './html.js';
+import pdfExtractor from './pdf.js';
+import docxExtractor from './docx.js';
+import epubExtractor from './epub.js';
+
+// Number of leading bytes read for MIME sniffing
+const SNIFF_BYTES = 512;
+
+const extractors = [];
+
+/**
+ * Registers a file format extractor.
+ * An extractor is an object with a `name`, the `extensions` and `mimeTypes` it
+ * handles, an optional `binary` flag and an async `extract(buffer, filePath)`
+ * returning `{ text, sections, metadata }`, where sections are
+ * `{ title, path, level, start, end, metadata }` spans of the extracted text.
+ * The optional metadata objects (e.g. front matter, page numbers) are stored
+ * with the document and with the chunks of each section, for filtering.
+ * Extractors registered later take precedence over earlier ones.
+ * @param {object} extractor - The extractor to register.
+ * @throws {Error} If the extractor is missing required fields.
+ */
+export function registerExtractor(extractor) {
+    if (!extractor?.name || typeof extractor.extract !== 'function') {
+        throw new Error('An extractor needs a name and an extract() function.');
+    }
+    extractors.unshift({ extensions: [], mimeTypes: [], ...extractor });
+}
+
+/**
+ * Guesses the MIME type of a file from its first bytes.
+ * @param {Buffer} head - The leading bytes of the file.
+ * @returns {string|null} The detected MIME type, or null if unknown.
+ */
+export function sniffMimeType(head) {
+    if (head.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return 'application/pdf';
+    }
+    if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) {
+        const latin = head.toString('latin1');
+        // EPUB stores an uncompressed "mimetype" entry first in the archive
+        if (latin.includes('mimetypeapplication/epub+zip')) return 'application/epub+zip';
+        if (latin.includes('word/') || latin.includes('[Content_Types].xml')) {
+            return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        }
+        return 'application/zip';
+    }
+    if (head.includes(0)) {
+        return null; // Unknown binary
+    }
+    const start = head.toString('utf-8').trimStart().slice(0, 100).toLowerCase();
+    if (start.startsWith('<!doctype html') || start.startsWith('<html') || (start.startsWith('<?xml') && start.includes('xhtml'))) {
+        return 'text/html';
+    }
+    return 'text/plain';
+}
+
+/**
+ * Picks the extractor for a file, by extension first and MIME sniffing second.
+ * @param {string} filePath - Path of the file (used for its extension).
+ * @param {Buffer} head - The leading bytes of the file.
+ * @returns {object|null} The matching extractor, or null if none applies.
+ */
+export function findExtractor(filePath, head) {
+    const extension = path.extname(filePath).toLowerCase();
+    const byExtension = extension && extractors.find(e => e.extensions.includes(extension));
+    if (byExtension) {
+        return byExtension;
+    }
+    const mimeType = sniffMimeType(head);
+    return (mimeType && extractors.find(e => e.mimeTypes.includes(mimeType))) || null;
+}
+
+/**
+ * Reads the leading bytes of a file.
+ * @param {string} filePath - Absolute path to the file.
+ * @returns {Promise<Buffer>} Up to SNIFF_BYTES bytes.
+ */
+async function readHead(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Checks whether a binary file has an extractor that can read it.
+ * @param {string} filePath - Absolute path to the file.
+ * @returns {Promise<boolean>} True if a binary-format extractor applies.
+ */
+export async function canExtractBinary(filePath) {
+    const extractor = findExtractor(filePath, await readHead(filePath));
+    return Boolean(extractor?.binary);
+}
+
+/**
+ * Extracts the text and section structure of a file.
+ * @param {string} filePath - Absolute path to the file.
+ * @returns {Promise<{text: string, sections: Array, metadata: object, format: string}>}
+ *          The extracted text, its sections, its metadata and the extractor name.
+ * @throws {Error} If no extractor applies or extraction fails.
+ */
+export async function extractDocument(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const extractor = findExtractor(filePath, buffer.subarray(0, SNIFF_BYTES));
+    if (!extractor) {
+        throw new Error(`Unsupported file format: ${path.basename(filePath)}`);
+    }
+
+    try {
+        const { text, sections = [], metadata = {} } = await extractor.extract(buffer, filePath);
+        return { text, sections, metadata, format: extractor.name };
+    } catch (error) {
+        throw new Error(`Failed to extract ${extractor.name} content from ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+// Built-in extractors (the text fallback is registered first so it has the lowest precedence)
+for (const extractor of [textExtractor, markdownExtractor, htmlExtractor, pdfExtractor, docxExtractor, epubExtractor]) {
+    registerExtractor(extractor);
+}
@@ -0,0 +1,83 @@
+import { parse as parseYaml } from 'yaml';
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Splits YAML front matter (a block between "---" lines at the very start) from a Markdown text.
+ * @param {string} text - Markdown text.
+ * @returns {{metadata: object, body: string}} The front matter fields (empty if there is none
+ *          or it is not a YAML mapping) and the text after it.
+ */
+export function splitFrontMatter(text) {
+    const match = FRONT_MATTER_PATTERN.exec(text);
+    if (!match) {
+        return { metadata: {}, body: text };
+    }
+    let metadata;
+    try {
+        metadata = parseYaml(match[1]);
+    } catch {
+        // Not YAML after all (e.g. a document starting with a horizontal rule): keep the text as is
+        return { metadata: {}, body: text };
+    }
+    const isMapping = metadata && typeof metadata === 'object' && !Array.isArray(metadata);
+    return { metadata: isMapping ? metadata : {}, body: text.slice(match[0].length) };
+}
+
+/**
+ * Builds the heading outline of a Markdown text.
+ * Each heading opens a section that runs until the next heading, and carries
+ * the full heading path (e.g. ["Install", "Linux"]) so chunks can be cited
+ * by where they sit in the document. Headings inside fenced code blocks are ignored.
+ * @param {string} text - Markdown text.
+ * @returns {Array<{title: string, path: string[], level: number, start: number, end: number}>}
+ *          Sections with character offsets into the text.
+ */
+export function outlineHeadings(text) {
+    const sections = [];
+    const stack = []; // Headings of the current path, by level
+    let inFence = false;
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+        } else if (!inFence) {
+            const match = HEADING_PATTERN.exec(line);
+            if (match) {
+                const level = match[1].length;
+                const title = match[2].trim();
+                while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+                    stack.pop();
+                }
+                stack.push({ level, title });
+
+                if (sections.length > 0) {
+                    sections[sections.length - 1].end = offset;
+                }
+                sections.push({ title, path: stack.map(h => h.title), level, start: offset, end: text.length });
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    return sections;
+}
+
+export default {
+    name: 'markdown',
+    extensions: ['.md', '.markdown', '.mdx'],
+    mimeTypes: ['text/markdown'],
+    /**
+     * Extracts Markdown, keeping the heading hierarchy as section metadata.
+     * Front matter is removed from the text and returned as document metadata.
+     * @param {Buffer} buffer - Raw file contents.
+     * @returns {Promise<{text: string, sections: Array, metadata: object}>} The text, its outline and its front matter.
+     */
+    async extract(buffer) {
+        const { metadata, body: text } = splitFrontMatter(buffer.toString('utf-8'));
+        return { text, sections: outlineHeadings(text), metadata };
+    }
+};
@@ -0,0 +1,64 @@
+// Import the library entry directly: the package index runs a debug self-test when loaded as main
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+/**
+ * Renders the text of one PDF page, keeping line breaks between text rows.
+ * @param {object} pageData - The pdf.js page proxy passed by pdf-parse.
+ * @returns {Promise<string>} The page text.
+ */
+async function renderPage(pageData) {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+    let text = '';
+    let lastY;
+    for (const item of textContent.items) {
+        const y = item.transform[5];
+        if (lastY !== undefined && y !== lastY) {
+            text += '\n';
+        }
+        text += item.str;
+        lastY = y;
+    }
+    return text;
+}
+
+export default {
+    name: 'pdf',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    binary: true,
+    /**
+     * Extracts the text layer of a PDF. Each page becomes a section titled
+     * "Page N" so citations can point back to the page.
+     * @param {Buffer} buffer - Raw file contents.
+     * @returns {Promise<{text: string, sections: Array}>} The text and its per-page sections.
+     * @throws {Error} If the PDF cannot be parsed.
+     */
+    async extract(buffer) {
+        const pages = [];
+        await pdfParse(buffer, {
+            pagerender: async (pageData) => {
+                const pageText = await renderPage(pageData);
+                pages[pageData.pageIndex] = pageText;
+                return pageText;
+            }
+        });
+
+        let text = '';
+        const sections = [];
+        for (const [index, pageText] of pages.entries()) {
+            if (!pageText || !pageText.trim()) continue;
+            if (text) text += '\n\n';
+            const title = `Page ${index + 1}`;
+            sections.push({
+                title,
+                path: [title],
+                level: 1,
+                start: text.length,
+                end: text.length + pageText.length,
+                metadata: { page: index + 1 }
+            });
+            text += pageText;
+        }
+        return { text, sections };
+    }
+};
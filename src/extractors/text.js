@@ -0,0 +1,13 @@
+export default {
+    name: 'text',
+    extensions: ['.txt', '.text', '.log'],
+    mimeTypes: ['text/plain'],
+    /**
+     * Decodes a plain text file. Used as the fallback for unknown text formats.
+     * @param {Buffer} buffer - Raw file contents.
+     * @returns {Promise<{text: string, sections: Array}>} The text without an outline.
+     */
+    async extract(buffer) {
+        return { text: buffer.toString('utf-8'), sections: [] };
+    }
+};
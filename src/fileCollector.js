@@ -0,0 +1,207 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import fg from 'fast-glob';
+import ignore from 'ignore';
+import { canExtractBinary } from './extractors/index.js';
+
+export const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Directories that are never worth indexing
+const ALWAYS_EXCLUDED = ['**/node_modules/**', '**/.git/**'];
+
+// Extensions that are treated as binary without sniffing the content.
+// Binary files are still collected when an extractor can read them (e.g. PDF).
+const BINARY_EXTENSIONS = new Set([
+    '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.tiff', '.psd',
+    '.mp3', '.wav', '.flac', '.ogg', '.mp4', '.mov', '.avi', '.mkv', '.webm',
+    '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.tar', '.jar',
+    '.exe', '.dll', '.so', '.dylib', '.bin', '.o', '.a', '.class', '.wasm', '.pyc',
+    '.woff', '.woff2', '.ttf', '.otf', '.eot',
+    '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.epub',
+    '.sqlite', '.db', '.dat', '.iso', '.dmg'
+]);
+
+// Number of leading bytes inspected when sniffing for binary content
+const SNIFF_BYTES = 8000;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parses a human-readable size such as "500kb" or "10MB" into bytes.
+ * @param {string|number} value - The size to parse. Plain numbers are bytes.
+ * @returns {number} The size in bytes.
+ * @throws {Error} If the value cannot be parsed.
+ */
+export function parseSize(value) {
+    if (typeof value === 'number') return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value);
+    if (!match) {
+        throw new Error(`Invalid size "${value}". Use a number of bytes or a value like 500kb, 10mb.`);
+    }
+    return Math.round(Number.parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Checks whether a file looks binary by looking for NUL bytes in its first block.
+ * @param {string} filePath - Absolute path to the file.
+ * @returns {Promise<boolean>} True if the file appears to be binary.
+ */
+async function looksBinary(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead).includes(0);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Loads the .gitignore files that apply to a directory tree: those inside the
+ * tree and those in its ancestors up to the enclosing git repository root.
+ * @param {string} rootDir - Absolute path of the directory being collected.
+ * @returns {Promise<Array<{dir: string, matcher: object}>>} One matcher per .gitignore file.
+ */
+async function loadGitignores(rootDir) {
+    const files = await fg('**/.gitignore', {
+        cwd: rootDir,
+        absolute: true,
+        dot: true,
+        ignore: ALWAYS_EXCLUDED
+    });
+
+    // Walk upwards until the repository root (or filesystem root) is reached
+    let dir = rootDir;
+    while (true) {
+        const parent = path.dirname(dir);
+        const isRepoRoot = await fs.stat(path.join(dir, '.git')).then(() => true, () => false);
+        if (isRepoRoot || parent === dir) break;
+        dir = parent;
+        files.push(path.join(dir, '.gitignore'));
+    }
+
+    const gitignores = [];
+    for (const file of files) {
+        try {
+            const rules = await fs.readFile(file, 'utf-8');
+            gitignores.push({ dir: path.dirname(file), matcher: ignore().add(rules) });
+        } catch (error) {
+            // Ancestor directories usually have no .gitignore; nothing to apply
+        }
+    }
+    return gitignores;
+}
+
+/**
+ * Checks whether a file is excluded by any applicable .gitignore.
+ * @param {string} filePath - Absolute path to the file.
+ * @param {Array<{dir: string, matcher: object}>} gitignores - Loaded matchers.
+ * @returns {boolean} True if the file is ignored.
+ */
+function isGitignored(filePath, gitignores) {
+    return gitignores.some(({ dir, matcher }) => {
+        const relative = path.relative(dir, filePath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return false;
+        return matcher.ignores(relative.split(path.sep).join('/'));
+    });
+}
+
+/**
+ * Expands files, directories and glob patterns into a list of files to ingest.
+ * Directories are walked recursively. Files are filtered by the include and
+ * exclude patterns, .gitignore rules, the size limit and binary detection
+ * (binary formats with an extractor, such as PDF or DOCX, are kept).
+ * Every file that is left out is reported with the reason.
+ * @param {string[]} inputs - File paths, directory paths or glob patterns.
+ * @param {object} [options] - Collection options.
+ * @param {string[]} [options.include] - Glob patterns a file must match (relative to the directory).
+ * @param {string[]} [options.exclude] - Glob patterns that exclude files.
+ * @param {boolean} [options.gitignore=true] - Whether to honor .gitignore files.
+ * @param {number} [options.maxFileSize] - Maximum file size in bytes.
+ * @returns {Promise<{files: string[], skipped: Array<{path: string, reason: string}>}>}
+ *          The files to ingest and the files that were skipped.
+ */
+export async function collectFiles(inputs, {
+    include = ['**/*'],
+    exclude = [],
+    gitignore = true,
+    maxFileSize = DEFAULT_MAX_FILE_SIZE
+} = {}) {
+    const candidates = new Map(); // absolute path -> gitignore matchers (or null)
+    const skipped = [];
+
+    for (const input of inputs) {
+        const absoluteInput = path.resolve(input);
+        const stats = await fs.stat(absoluteInput).catch(() => null);
+
+        if (stats?.isFile()) {
+            // Explicitly named files are always considered, even if gitignored
+            candidates.set(absoluteInput, null);
+            continue;
+        }
+
+        let cwd;
+        let patterns;
+        if (stats?.isDirectory()) {
+            cwd = absoluteInput;
+            patterns = include;
+        } else if (fg.isDynamicPattern(input)) {
+            cwd = process.cwd();
+            patterns = [input];
+        } else {
+            skipped.push({ path: absoluteInput, reason: 'not found' });
+            continue;
+        }
+
+        const gitignores = gitignore ? await loadGitignores(cwd) : [];
+        const matches = await fg(patterns, {
+            cwd,
+            absolute: true,
+            dot: false,
+            onlyFiles: true,
+            followSymbolicLinks: false,
+            ignore: [...ALWAYS_EXCLUDED, ...exclude]
+        });
+
+        if (matches.length === 0) {
+            skipped.push({ path: absoluteInput, reason: 'no matching files' });
+        }
+        for (const match of matches) {
+            const filePath = path.normalize(match);
+            if (!candidates.has(filePath)) {
+                candidates.set(filePath, gitignores);
+            }
+        }
+    }
+
+    const files = [];
+    for (const [filePath, gitignores] of candidates) {
+        if (gitignores && isGitignored(filePath, gitignores)) {
+            skipped.push({ path: filePath, reason: 'ignored by .gitignore' });
+            continue;
+        }
+
+        try {
+            const { size } = await fs.stat(filePath);
+            if (size > maxFileSize) {
+                skipped.push({ path: filePath, reason: `larger than ${maxFileSize} bytes` });
+                continue;
+            }
+
+            const binary = BINARY_EXTENSIONS.has(path.extname(filePath).toLowerCase()) || await looksBinary(filePath);
+            if (binary && !(await canExtractBinary(filePath))) {
+                skipped.push({ path: filePath, reason: 'binary file' });
+                continue;
+            }
+        } catch (error) {
+            skipped.push({ path: filePath, reason: `unreadable (${error.code || error.message})` });
+            continue;
+        }
+
+        files.push(filePath);
+    }
+
+    files.sort();
+    return { files, skipped };
+}
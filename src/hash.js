@@ -0,0 +1,21 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+
+/**
+ * Computes the SHA-256 hex digest of a string or buffer.
+ * @param {string|Buffer} data - The data to hash.
+ * @returns {string} The hex-encoded digest.
+ */
+export function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Computes the content hash of a file from its raw bytes.
+ * @param {string} filePath - Path to the file.
+ * @returns {Promise<string>} The hex-encoded SHA-256 digest.
+ * @throws {Error} If the file cannot be read.
+ */
+export async function hashFile(filePath) {
+    return sha256(await fs.readFile(filePath));
+}
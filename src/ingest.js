@@ -0,0 +1,158 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+    addDocument,
+    findDocumentsBySource,
+    deleteDocumentsByIds,
+    updateDocumentMetadata
+} from './vectorStore.js';
+import { generateEmbeddings } from './openaiService.js';
+import { extractDocument } from './extractors/index.js';
+import { hashFile } from './hash.js';
+
+// Metadata entry listing the keys that were given explicitly (e.g. with `--meta`),
+// so they are carried over when a changed file is added again
+const EXPLICIT_KEYS_FIELD = 'explicit_keys';
+
+/**
+ * Ingests a single file, deduplicating against documents already loaded from the same path.
+ * - If a document with the same content hash exists, nothing is re-embedded; explicit
+ *   metadata that differs from the stored one is merged into it.
+ * - If the file changed, the new version is added first and the old documents are removed.
+ *   Metadata given explicitly for the old version is kept unless `options.metadata` overrides it.
+ * - Otherwise the file is added as a new document.
+ * @param {string} absolutePath - Absolute path to the file.
+ * @param {object} [options] - Ingestion options.
+ * @param {Array<{id: number, content_hash: string, metadata: object}>} [options.existingDocuments] - Documents already
+ *        stored for this path; looked up when omitted.
+ * @param {string} [options.contentHash] - Precomputed hash of the file; computed when omitted.
+ * @param {number} [options.chunkSize] - Override for the configured chunk size (tokens).
+ * @param {number} [options.chunkOverlap] - Override for the configured chunk overlap (tokens).
+ * @param {number|null} [options.collectionId=null] - The collection to add the file to; files are
+ *        deduplicated within their collection, so the same file can be in several collections.
+ * @param {object} [options.metadata] - Extra document metadata (e.g. from `add --meta`). It is stored
+ *        on top of the path info and front matter, and also applied to an unchanged file's document.
+ * @returns {Promise<{status: 'added'|'updated'|'unchanged', documentId: number, metadataOnly?: boolean}>}
+ *          What happened to the file; metadataOnly is set when only the metadata of an unchanged file was updated.
+ * @throws {Error} If the file cannot be read or extracted, or the database update fails.
+ */
+export async function ingestFile(absolutePath, options = {}) {
+    const contentHash = options.contentHash ?? await hashFile(absolutePath).catch(error => {
+        throw describeReadError(absolutePath, error);
+    });
+    const collectionId = options.collectionId ?? null;
+    const existing = options.existingDocuments ?? await findDocumentsBySource(absolutePath, collectionId);
+
+    const current = existing.find(doc => doc.content_hash === contentHash);
+    if (current) {
+        // Same content already indexed: only drop stale duplicates left by earlier runs
+        await deleteDocumentsByIds(existing.filter(doc => doc.id !== current.id).map(doc => doc.id));
+        if (hasMetadataChanges(current.metadata, options.metadata)) {
+            await updateDocumentMetadata(current.id, withExplicitMetadata(current.metadata, options.metadata));
+            return { status: 'updated', documentId: current.id, metadataOnly: true };
+        }
+        return { status: 'unchanged', documentId: current.id };
+    }
+
+    const extracted = await extractDocument(absolutePath).catch(error => {
+        throw describeReadError(absolutePath, error);
+    });
+    if (!extracted.text.trim()) {
+        throw new Error(`No text could be extracted from ${absolutePath} (${extracted.format}).`);
+    }
+
+    // Spinner feedback for the upload is handled inside addDocument
+    const documentId = await addDocument(path.basename(absolutePath), extracted.text, generateEmbeddings, {
+        chunkSize: options.chunkSize,
+        chunkOverlap: options.chunkOverlap,
+        sections: extracted.sections,
+        sourcePath: absolutePath,
+        contentHash,
+        collectionId,
+        metadata: await buildDocumentMetadata(absolutePath, extracted, {
+            ...getExplicitMetadata(existing),
+            ...options.metadata
+        })
+    });
+
+    // Only remove the previous version once the new one is safely stored
+    const previousIds = existing.map(doc => doc.id);
+    await deleteDocumentsByIds(previousIds);
+
+    return { status: previousIds.length > 0 ? 'updated' : 'added', documentId };
+}
+
+/**
+ * Checks whether explicit metadata would change a document's stored metadata.
+ * @param {object} [current] - The stored metadata.
+ * @param {object} [metadata] - The explicit metadata (e.g. from `--meta`).
+ * @returns {boolean} True if a key is missing from the stored metadata or has another value.
+ */
+export function hasMetadataChanges(current = {}, metadata = {}) {
+    return Object.entries(metadata).some(([key, value]) => JSON.stringify(current[key]) !== JSON.stringify(value));
+}
+
+/**
+ * Collects the explicitly given metadata of a file's earlier documents; later documents win.
+ * @param {Array<{id: number, metadata: object}>} documents - Documents stored for the file.
+ * @returns {object} The explicit metadata.
+ */
+function getExplicitMetadata(documents) {
+    const explicit = {};
+    for (const { metadata = {} } of [...documents].sort((a, b) => a.id - b.id)) {
+        for (const key of metadata[EXPLICIT_KEYS_FIELD] ?? []) {
+            if (key in metadata) {
+                explicit[key] = metadata[key];
+            }
+        }
+    }
+    return explicit;
+}
+
+/**
+ * Adds explicit metadata to a document's metadata and records its keys.
+ * @param {object} [metadata] - The document metadata.
+ * @param {object} [explicit] - The explicit metadata.
+ * @returns {object} The combined metadata.
+ */
+function withExplicitMetadata(metadata = {}, explicit = {}) {
+    const keys = [...new Set([...(metadata[EXPLICIT_KEYS_FIELD] ?? []), ...Object.keys(explicit)])];
+    return { ...metadata, ...explicit, ...(keys.length > 0 ? { [EXPLICIT_KEYS_FIELD]: keys } : {}) };
+}
+
+/**
+ * Builds the metadata stored with a file's document: where the file is and when
+ * it was last modified, then its front matter, then the metadata given explicitly,
+ * whose keys are listed in `explicit_keys`. Later sources override earlier ones.
+ * @param {string} absolutePath - Absolute path to the file.
+ * @param {{metadata: object, format: string}} extracted - The extraction result.
+ * @param {object} [extra] - Explicit metadata.
+ * @returns {Promise<object>} The document metadata.
+ */
+async function buildDocumentMetadata(absolutePath, extracted, extra = {}) {
+    const stats = await fs.stat(absolutePath);
+    return withExplicitMetadata({
+        file_name: path.basename(absolutePath),
+        directory: path.dirname(absolutePath),
+        extension: path.extname(absolutePath).slice(1).toLowerCase(),
+        format: extracted.format,
+        modified_at: stats.mtime.toISOString(),
+        ...extracted.metadata
+    }, extra);
+}
+
+/**
+ * Turns a file system error into a user-facing error message.
+ * @param {string} absolutePath - The file that failed to read.
+ * @param {Error} error - The original error.
+ * @returns {Error} An error with a readable message.
+ */
+function describeReadError(absolutePath, error) {
+    if (error.code === 'ENOENT') {
+        return new Error(`File not found at path: ${absolutePath}`);
+    }
+    if (error.code === 'EACCES') {
+        return new Error(`Permission denied to read file: ${absolutePath}`);
+    }
+    return new Error(`Error reading file ${absolutePath}: ${error.message}`);
+}
@@ -0,0 +1,105 @@
+// Keyword ranking (BM25) and rank fusion for backends without a full-text
+// search engine, such as the local store. Mirrors keyword_match_document_sections
+// and hybrid_match_document_sections in src/sql/migrations/R_search_functions.sql.
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reciprocal rank fusion constant; higher values flatten the difference between top ranks
+export const RRF_K = 60;
+
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so',
+    'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+    'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Term frequencies per text, so repeated searches do not re-tokenize the corpus
+const termCache = new WeakMap();
+
+/**
+ * Splits text into lower-case search terms. Identifiers such as error codes,
+ * snake_case names and version numbers are kept whole; hyphenated and dotted
+ * words also yield their parts, like the Postgres parser does.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The terms, without stop words.
+ */
+export function tokenize(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*/gu) || [];
+    const terms = words.flatMap(word => (/[.-]/.test(word) ? [word, ...word.split(/[.-]/)] : [word]));
+    return terms.filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Counts the terms of an item's text, cached per item.
+ * @param {object} item - An object with a `content` string.
+ * @returns {{frequencies: Map<string, number>, length: number}} Term counts and total term count.
+ */
+function getTerms(item) {
+    let terms = termCache.get(item);
+    if (!terms) {
+        const tokens = tokenize(item.content || '');
+        const frequencies = new Map();
+        for (const token of tokens) {
+            frequencies.set(token, (frequencies.get(token) || 0) + 1);
+        }
+        terms = { frequencies, length: tokens.length };
+        termCache.set(item, terms);
+    }
+    return terms;
+}
+
+/**
+ * Ranks items by BM25 relevance to a query. Items containing none of the query terms are left out.
+ * @param {string} queryText - The query.
+ * @param {Array<object>} items - Items with a `content` string.
+ * @returns {Array<{item: object, score: number}>} Matching items with their score, best first.
+ */
+export function rankByKeywords(queryText, items) {
+    const queryTerms = [...new Set(tokenize(queryText))];
+    if (queryTerms.length === 0 || items.length === 0) {
+        return [];
+    }
+
+    const corpus = items.map(item => ({ item, ...getTerms(item) }));
+    const averageLength = corpus.reduce((sum, entry) => sum + entry.length, 0) / corpus.length || 1;
+    const inverseFrequency = new Map(queryTerms.map((term) => {
+        const containing = corpus.filter(entry => entry.frequencies.has(term)).length;
+        return [term, Math.log(1 + (corpus.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    const results = [];
+    for (const entry of corpus) {
+        let score = 0;
+        for (const term of queryTerms) {
+            const frequency = entry.frequencies.get(term);
+            if (!frequency) continue;
+            const normalization = BM25_K1 * (1 - BM25_B + BM25_B * (entry.length / averageLength));
+            score += inverseFrequency.get(term) * ((frequency * (BM25_K1 + 1)) / (frequency + normalization));
+        }
+        if (score > 0) {
+            results.push({ item: entry.item, score });
+        }
+    }
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Merges several rankings with reciprocal rank fusion: each item scores
+ * the sum of 1 / (k + rank) over the rankings it appears in.
+ * @param {Array<Array<*>>} rankings - Lists of item keys, best first.
+ * @param {number} [k=RRF_K] - The fusion constant.
+ * @returns {Map<*, number>} Fused score per item key.
+ */
+export function reciprocalRankFusion(rankings, k = RRF_K) {
+    const scores = new Map();
+    for (const ranking of rankings) {
+        ranking.forEach((key, index) => {
+            scores.set(key, (scores.get(key) || 0) + 1 / (k + index + 1));
+        });
+    }
+    return scores;
+}
@@ -0,0 +1,677 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import chalk from 'chalk';
+import ora from 'ora';
+import { getConfigDir, getConfigValue, getActiveProfileName, DEFAULT_PROFILE } from './config.js';
+import { prepareSections } from './documentSections.js';
+import { rankByKeywords, reciprocalRankFusion } from './keywordSearch.js';
+import { matchesMetadata } from './metadataFilter.js';
+import { sleep } from './concurrency.js';
+
+// Local vector store backend: keeps documents, sections and embeddings in a
+// single JSON file and searches them with brute-force cosine similarity.
+// It needs no server, which makes it suitable for laptops and CI runs.
+
+const STORE_VERSION = 1;
+
+// Another process (e.g. `ragchat add` next to a running `serve`) may write the file
+// too. Writes hold a lock file and reload the store first if the file changed.
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_STALE_MS = 60000; // A lock this old was left behind by a crashed process
+
+let store = null; // { version, nextDocumentId, nextSectionId, nextCollectionId, documents: [], sections: [], collections: [] }
+let storeFile = null; // { path, mtimeMs, size } of the file the store was read from or written to
+let writeQueue = Promise.resolve(); // Updates of this process, run one at a time
+let tempFileCounter = 0;
+
+/**
+ * Returns the path of the local store file. Unless one is configured, each
+ * profile gets its own file next to the configuration.
+ * @returns {string} Absolute path of the store file.
+ */
+export function getLocalStorePath() {
+    const configured = getConfigValue('localStorePath');
+    if (configured) {
+        return path.resolve(configured);
+    }
+    const profile = getActiveProfileName();
+    return path.join(getConfigDir(), profile === DEFAULT_PROFILE ? 'local-store.json' : `local-store-${profile}.json`);
+}
+
+/**
+ * Encodes an embedding as base64 float32, which is far more compact than a JSON number array.
+ * @param {number[]|Float32Array} embedding - The embedding vector.
+ * @returns {string} The base64 encoding.
+ */
+function encodeEmbedding(embedding) {
+    return Buffer.from(Float32Array.from(embedding).buffer).toString('base64');
+}
+
+/**
+ * Decodes an embedding stored with encodeEmbedding.
+ * @param {string} encoded - The base64 encoding.
+ * @returns {Float32Array} The embedding vector.
+ */
+function decodeEmbedding(encoded) {
+    const buffer = Buffer.from(encoded, 'base64');
+    return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+}
+
+/**
+ * Reads the modification time and size of the store file.
+ * @param {string} storePath - Path of the store file.
+ * @returns {Promise<{path: string, mtimeMs: number, size: number}|null>} The file's state, or null if it does not exist.
+ * @throws {Error} If the file cannot be inspected.
+ */
+async function statStoreFile(storePath) {
+    try {
+        const { mtimeMs, size } = await fs.stat(storePath);
+        return { path: storePath, mtimeMs, size };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read local store at ${storePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the store from disk. The loaded store is kept in memory and read again only
+ * when the file changed since, e.g. because another process wrote it. A missing file
+ * is an empty store.
+ * @returns {Promise<object>} The in-memory store.
+ * @throws {Error} If the store file exists but cannot be parsed.
+ */
+async function loadStore() {
+    const storePath = getLocalStorePath();
+    const current = await statStoreFile(storePath);
+    if (store && storeFile?.path === storePath
+        && (current === null ? storeFile.mtimeMs === null : current.mtimeMs === storeFile.mtimeMs && current.size === storeFile.size)) {
+        return store;
+    }
+
+    let raw;
+    try {
+        raw = await fs.readFile(storePath, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Failed to read local store at ${storePath}: ${error.message}`);
+        }
+        store = {
+            version: STORE_VERSION,
+            nextDocumentId: 1,
+            nextSectionId: 1,
+            nextCollectionId: 1,
+            documents: [],
+            sections: [],
+            collections: []
+        };
+        storeFile = { path: storePath, mtimeMs: null, size: 0 };
+        return store;
+    }
+
+    try {
+        const parsed = JSON.parse(raw);
+        if (parsed.version !== STORE_VERSION) {
+            throw new Error(`unsupported store version ${parsed.version}`);
+        }
+        for (const section of parsed.sections) {
+            section.embedding = decodeEmbedding(section.embedding);
+        }
+        // Stores written before collections existed
+        parsed.collections ??= [];
+        parsed.nextCollectionId ??= 1;
+        store = parsed;
+        storeFile = current;
+        return store;
+    } catch (error) {
+        throw new Error(`Local store at ${storePath} is corrupt: ${error.message}`);
+    }
+}
+
+/**
+ * Writes the store to disk atomically (temporary file plus rename). Each write
+ * uses its own temporary file.
+ * @returns {Promise<void>} Resolves once the store is saved.
+ */
+async function saveStore() {
+    const storePath = getLocalStorePath();
+    const tempPath = `${storePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    const serializable = {
+        ...store,
+        sections: store.sections.map(section => ({ ...section, embedding: encodeEmbedding(section.embedding) }))
+    };
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, JSON.stringify(serializable));
+        await fs.rename(tempPath, storePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+    storeFile = await statStoreFile(storePath);
+}
+
+/**
+ * Takes the lock file of the store, waiting while another process holds it.
+ * Locks older than LOCK_STALE_MS are taken over.
+ * @param {string} storePath - Path of the store file.
+ * @returns {Promise<Function>} Async function releasing the lock.
+ * @throws {Error} If the lock cannot be taken within LOCK_TIMEOUT_MS.
+ */
+async function acquireStoreLock(storePath) {
+    const lockPath = `${storePath}.lock`;
+    const startedAt = Date.now();
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    for (;;) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            await handle.writeFile(String(process.pid));
+            await handle.close();
+            return () => fs.rm(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw new Error(`Failed to lock local store at ${storePath}: ${error.message}`);
+            }
+        }
+        const lock = await fs.stat(lockPath).catch(() => null);
+        if (lock && Date.now() - lock.mtimeMs > LOCK_STALE_MS) {
+            await fs.rm(lockPath, { force: true });
+            continue;
+        }
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+            throw new Error(`Timed out waiting for the lock on local store at ${storePath}. If no other ragchat process is running, delete ${lockPath}.`);
+        }
+        await sleep(LOCK_RETRY_MS);
+    }
+}
+
+/**
+ * Changes the store and saves it. Updates run one at a time within the process and
+ * hold the store's lock file, and each starts from the latest file on disk, so
+ * concurrent writers (requests of `serve`, or other processes) do not lose each other's changes.
+ * @param {Function} mutate - Function called with the store to change it; its return value is passed on.
+ * @returns {Promise<*>} What `mutate` returned.
+ * @throws {Error} If `mutate` throws, or loading or saving the store fails; nothing is saved then.
+ */
+function updateStore(mutate) {
+    const run = async () => {
+        const release = await acquireStoreLock(getLocalStorePath());
+        try {
+            const data = await loadStore();
+            const result = await mutate(data);
+            await saveStore();
+            return result;
+        } catch (error) {
+            store = null; // Drop changes that were not saved
+            throw error;
+        } finally {
+            await release();
+        }
+    };
+    const result = writeQueue.then(run, run);
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Computes the cosine similarity of two vectors.
+ * @param {ArrayLike<number>} a - First vector.
+ * @param {ArrayLike<number>} b - Second vector.
+ * @returns {number} Similarity between -1 and 1 (0 if either vector is zero).
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Checks that the local store can be opened. There is no schema to create.
+ * @param {object} [options] - Check options.
+ * @param {boolean} [options.quiet=false] - Print no progress, e.g. for health checks of `serve`.
+ * @returns {Promise<{ allExist: boolean, missing: string[] }>} Always complete when the store is readable.
+ * @throws {Error} If the store file is unreadable or corrupt.
+ */
+export async function checkDatabaseSetup({ quiet = false } = {}) {
+    const spinner = ora({ text: chalk.blue('Checking local vector store...'), isSilent: quiet }).start();
+    try {
+        await loadStore();
+        spinner.succeed(chalk.green(`Local vector store ready (${getLocalStorePath()}).`));
+        return { allExist: true, missing: [] };
+    } catch (error) {
+        spinner.fail(chalk.red('Error opening the local vector store.'));
+        throw error;
+    }
+}
+
+/**
+ * Creates the local store file if it does not exist yet.
+ * @returns {Promise<boolean>} True on success.
+ */
+export async function executeSetupSql() {
+    try {
+        await updateStore(() => {});
+        return true;
+    } catch (error) {
+        console.error(chalk.red(`Error creating the local vector store: ${error.message}`));
+        return false;
+    }
+}
+
+/**
+ * Shapes a stored section like the rows of the search RPCs.
+ * @param {object} section - The stored section.
+ * @param {number|null} similarity - Cosine similarity to the query, if computed.
+ * @param {number} score - The score the section was ranked by.
+ * @returns {object} The search result row.
+ */
+function toMatch(section, similarity, score) {
+    return {
+        id: section.id,
+        document_id: section.document_id,
+        content: section.content,
+        chunk_index: section.chunk_index,
+        start_offset: section.start_offset,
+        end_offset: section.end_offset,
+        section_title: section.section_title,
+        similarity,
+        score
+    };
+}
+
+/**
+ * Search for relevant document sections by cosine similarity, BM25 keyword
+ * relevance, or both merged with reciprocal rank fusion.
+ * @param {number[]|null} queryEmbedding - The embedding vector of the query (not needed in keyword mode).
+ * @param {number} [matchThreshold=0.7] - Similarity threshold (0-1) for vector matches.
+ * @param {number} [matchCount=5] - Maximum number of matches to return.
+ * @param {object} [options] - Search options.
+ * @param {'vector'|'keyword'|'hybrid'} [options.mode='vector'] - The search mode.
+ * @param {string} [options.queryText] - The query text, required for keyword and hybrid search.
+ * @param {number[]} [options.collectionIds] - Only search documents in these collections (all documents when omitted).
+ * @param {Array<object>} [options.metadataFilter] - Conditions (see metadataFilter.js) that the document
+ *        metadata, overridden by the section metadata, must meet. Applied before ranking.
+ * @returns {Promise<Array>} - Matching sections, shaped like the search RPC rows.
+ */
+export async function searchDocumentSections(queryEmbedding, matchThreshold = 0.7, matchCount = 5, options = {}) {
+    const data = await loadStore();
+    const mode = options.mode ?? 'vector';
+    let sections = data.sections;
+    if (options.collectionIds) {
+        const collectionIds = new Set(options.collectionIds.map(Number));
+        const documentIds = new Set(data.documents.filter(doc => collectionIds.has(doc.collection_id)).map(doc => doc.id));
+        sections = sections.filter(section => documentIds.has(section.document_id));
+    }
+    if (options.metadataFilter) {
+        const documentMetadata = new Map(data.documents.map(doc => [doc.id, doc.metadata]));
+        sections = sections.filter(section => matchesMetadata(
+            { ...documentMetadata.get(section.document_id), ...section.metadata },
+            options.metadataFilter
+        ));
+    }
+
+    if (mode === 'keyword') {
+        return rankByKeywords(options.queryText || '', sections)
+            .slice(0, matchCount)
+            .map(({ item, score }) => toMatch(item, null, score));
+    }
+
+    const similarities = new Map();
+    for (const section of sections) {
+        const similarity = cosineSimilarity(queryEmbedding, section.embedding);
+        if (similarity > matchThreshold) {
+            similarities.set(section, similarity);
+        }
+    }
+    const byVector = [...similarities.keys()].sort((a, b) => similarities.get(b) - similarities.get(a));
+
+    if (mode !== 'hybrid') {
+        return byVector.slice(0, matchCount).map(section => toMatch(section, similarities.get(section), similarities.get(section)));
+    }
+
+    // Like hybrid_match_document_sections: fuse the top candidates of both rankings
+    const candidates = matchCount * 4;
+    const byKeyword = rankByKeywords(options.queryText || '', sections).slice(0, candidates).map(({ item }) => item);
+    const fused = reciprocalRankFusion([byKeyword, byVector.slice(0, candidates)]);
+    return [...fused.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, matchCount)
+        .map(([section, score]) => toMatch(section, cosineSimilarity(queryEmbedding, section.embedding), score));
+}
+
+/**
+ * Get document details (name and content) by ID.
+ * @param {number} documentId - The document ID.
+ * @returns {Promise<{name: string, content: string}>} - Document details { name, content }.
+ * @throws {Error} If the document is not found.
+ */
+export async function getDocumentDetails(documentId) {
+    const { documents } = await loadStore();
+    const document = documents.find(doc => doc.id === Number(documentId));
+    if (!document) {
+        throw new Error(`Document not found for ID: ${documentId}`);
+    }
+    return { name: document.name, content: document.content };
+}
+
+/**
+ * Adds a document and its sections (with embeddings) to the local store.
+ * Behaves like the Supabase backend: partial embedding failures are stored
+ * without a content hash so the next `sync` retries the document.
+ * @param {string} name - Document name.
+ * @param {string} content - Document content.
+ * @param {Function} generateEmbeddingsFn - Async batch embedding function (e.g., generateEmbeddings from openaiService).
+ * @param {object} [options] - Optional settings (chunkSize, chunkOverlap, sections, sourcePath, contentHash, collectionId, metadata).
+ * @returns {Promise<number>} The ID of the newly added document.
+ * @throws {Error} If chunking, embedding every section or saving the store fails.
+ */
+export async function addDocument(name, content, generateEmbeddingsFn, options = {}) {
+    const spinner = ora({ text: chalk.blue('Adding document...'), spinner: 'dots' }).start();
+
+    try {
+        const { rows, total, failures, embeddingModel } = await prepareSections(content, generateEmbeddingsFn, options, spinner);
+
+        spinner.start(chalk.blue('Saving document to the local store...'));
+        const documentId = await updateStore((data) => {
+            const id = data.nextDocumentId++;
+            const createdAt = new Date().toISOString();
+            data.documents.push({
+                id,
+                name,
+                content,
+                source_path: options.sourcePath ?? null,
+                content_hash: failures.length === 0 ? (options.contentHash ?? null) : null,
+                embedding_model: embeddingModel,
+                collection_id: options.collectionId ?? null,
+                metadata: options.metadata ?? {},
+                created_at: createdAt
+            });
+            for (const row of rows) {
+                data.sections.push({
+                    id: data.nextSectionId++,
+                    document_id: id,
+                    ...row,
+                    embedding: Float32Array.from(row.embedding),
+                    created_at: createdAt
+                });
+            }
+            return id;
+        });
+
+        if (total === 0) {
+            spinner.warn(chalk.yellow(`Document content resulted in zero sections. Only metadata was added (ID: ${documentId}).`));
+        } else {
+            spinner.succeed(chalk.green(`Successfully added document "${name}" with ${rows.length} sections (ID: ${documentId})`));
+        }
+        return documentId;
+    } catch (error) {
+        spinner.fail(chalk.red(`Error adding document "${name}".`));
+        throw error;
+    }
+}
+
+/**
+ * Lists documents (ID, name, collection and creation time), newest first.
+ * @param {object} [options] - List options.
+ * @param {number} [options.collectionId] - Only list the documents of this collection.
+ * @returns {Promise<Array<{id: number, name: string, collection_id: number|null, created_at: string}>>} List of documents.
+ */
+export async function listDocuments(options = {}) {
+    const spinner = ora(chalk.blue('Fetching document list...')).start();
+    try {
+        const { documents } = await loadStore();
+        spinner.succeed(chalk.green('Fetched document list.'));
+        return documents
+            .filter(doc => options.collectionId === undefined || doc.collection_id === Number(options.collectionId))
+            .map(({ id, name, collection_id, created_at }) => ({ id, name, collection_id: collection_id ?? null, created_at }))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    } catch (error) {
+        spinner.fail(chalk.red('Error fetching document list.'));
+        throw error;
+    }
+}
+
+/**
+ * Lists the documents that were loaded from files, with their source path and content hash.
+ * @param {number|null} [collectionId=null] - The collection to list (null: documents in no collection).
+ * @returns {Promise<Array<{id: number, name: string, source_path: string, content_hash: string, metadata: object}>>} Documents with a source.
+ */
+export async function listDocumentSources(collectionId = null) {
+    const { documents } = await loadStore();
+    return documents
+        .filter(doc => doc.source_path && (doc.collection_id ?? null) === collectionId)
+        .map(({ id, name, source_path, content_hash, metadata }) => ({ id, name, source_path, content_hash, metadata: metadata ?? {} }));
+}
+
+/**
+ * Finds the documents that were loaded from a given source file into a collection.
+ * @param {string} sourcePath - Absolute path of the source file.
+ * @param {number|null} [collectionId=null] - The collection to look in (null: documents in no collection).
+ * @returns {Promise<Array<{id: number, content_hash: string, metadata: object}>>} Matching documents.
+ */
+export async function findDocumentsBySource(sourcePath, collectionId = null) {
+    const { documents } = await loadStore();
+    return documents
+        .filter(doc => doc.source_path === sourcePath && (doc.collection_id ?? null) === collectionId)
+        .map(({ id, content_hash, metadata }) => ({ id, content_hash, metadata: metadata ?? {} }));
+}
+
+/**
+ * Finds a document's ID by its exact name or returns the ID if input is numeric.
+ * @param {string | number} identifier - The document name (string) or ID (number).
+ * @param {number} [collectionId] - Only look in this collection.
+ * @returns {Promise<number>} The document ID.
+ * @throws {Error} If the document is not found or if multiple documents match the name.
+ */
+export async function findDocumentByNameOrId(identifier, collectionId) {
+    const spinner = ora(chalk.blue(`Searching for document "${identifier}"...`)).start();
+    try {
+        const documents = (await loadStore()).documents
+            .filter(doc => collectionId === undefined || doc.collection_id === Number(collectionId));
+
+        const potentialId = Number.parseInt(identifier, 10);
+        if (!Number.isNaN(potentialId)) {
+            if (!documents.some(doc => doc.id === potentialId)) {
+                throw new Error(`Document not found with ID: ${potentialId}`);
+            }
+            spinner.succeed(chalk.green(`Found document by ID: ${potentialId}`));
+            return potentialId;
+        }
+
+        const matches = documents.filter(doc => doc.name === identifier);
+        if (matches.length === 0) {
+            throw new Error(`Document not found with name: "${identifier}"`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`Multiple documents found with name: "${identifier}". Please use the document ID instead.`);
+        }
+
+        spinner.succeed(chalk.green(`Found document "${matches[0].name}" with ID: ${matches[0].id}`));
+        return matches[0].id;
+    } catch (error) {
+        spinner.fail(chalk.red('Error finding document.'));
+        throw error;
+    }
+}
+
+/**
+ * Deletes a document and its sections.
+ * @param {number} documentId - The ID of the document to delete.
+ * @returns {Promise<void>} Resolves on successful deletion.
+ * @throws {Error} If saving the store fails.
+ */
+export async function deleteDocumentById(documentId) {
+    const spinner = ora(chalk.blue(`Attempting to delete document ID: ${documentId}...`)).start();
+    try {
+        await deleteDocumentsByIds([documentId]);
+        spinner.succeed(chalk.green(`Successfully deleted document ID: ${documentId}`));
+    } catch (error) {
+        spinner.fail(chalk.red(`Error deleting document ID: ${documentId}.`));
+        throw error;
+    }
+}
+
+/**
+ * Deletes several documents and their sections.
+ * @param {number[]} documentIds - The IDs of the documents to delete.
+ * @returns {Promise<void>} Resolves on successful deletion.
+ * @throws {Error} If saving the store fails.
+ */
+export async function deleteDocumentsByIds(documentIds) {
+    if (documentIds.length === 0) {
+        return;
+    }
+    const ids = new Set(documentIds.map(Number));
+    await updateStore((data) => {
+        data.documents = data.documents.filter(doc => !ids.has(doc.id));
+        data.sections = data.sections.filter(section => !ids.has(section.document_id));
+    });
+}
+
+/**
+ * Lists every document with the embedding model its sections were embedded with.
+ * @returns {Promise<Array<{id: number, name: string, embedding_model: string|null}>>} Documents and their models.
+ */
+export async function listDocumentModels() {
+    const { documents } = await loadStore();
+    return documents.map(({ id, name, embedding_model }) => ({ id, name, embedding_model: embedding_model ?? null }));
+}
+
+/**
+ * Lists the sections of a document in chunk order.
+ * @param {number} documentId - The document ID.
+ * @returns {Promise<Array<{id: number, document_id: number, content: string}>>} The document's sections.
+ */
+export async function getDocumentSections(documentId) {
+    const { sections } = await loadStore();
+    return sections
+        .filter(section => section.document_id === Number(documentId))
+        .sort((a, b) => (a.chunk_index ?? 0) - (b.chunk_index ?? 0) || a.id - b.id)
+        .map(({ id, document_id, content }) => ({ id, document_id, content }));
+}
+
+/**
+ * Replaces the embeddings of existing sections.
+ * @param {Array<{id: number, document_id: number, embedding: number[]}>} updates - New embedding per section.
+ * @returns {Promise<void>} Resolves once the store is saved.
+ */
+export async function updateSectionEmbeddings(updates) {
+    await updateStore((data) => {
+        const byId = new Map(data.sections.map(section => [section.id, section]));
+        for (const update of updates) {
+            const section = byId.get(update.id);
+            if (section) {
+                section.embedding = Float32Array.from(update.embedding);
+            }
+        }
+    });
+}
+
+/**
+ * Records the embedding model a document's sections were embedded with.
+ * @param {number} documentId - The document ID.
+ * @param {string} embeddingModel - The embedding model ID.
+ * @returns {Promise<void>} Resolves once the store is saved.
+ */
+export async function setDocumentEmbeddingModel(documentId, embeddingModel) {
+    await updateStore((data) => {
+        const document = data.documents.find(doc => doc.id === Number(documentId));
+        if (document) {
+            document.embedding_model = embeddingModel;
+        }
+    });
+}
+
+/**
+ * Replaces a document's metadata.
+ * @param {number} documentId - The document ID.
+ * @param {object} metadata - The new metadata.
+ * @returns {Promise<void>} Resolves once the store is saved.
+ */
+export async function updateDocumentMetadata(documentId, metadata) {
+    await updateStore((data) => {
+        const document = data.documents.find(doc => doc.id === Number(documentId));
+        if (document) {
+            document.metadata = metadata;
+        }
+    });
+}
+
+/**
+ * Creates a collection.
+ * @param {string} name - The collection name (unique).
+ * @param {string} [description] - What the collection contains.
+ * @returns {Promise<{id: number, name: string, description: string|null, created_at: string}>} The new collection.
+ * @throws {Error} If a collection with this name exists or saving the store fails.
+ */
+export async function createCollection(name, description) {
+    return updateStore((data) => {
+        if (data.collections.some(collection => collection.name === name)) {
+            throw new Error(`A collection named "${name}" already exists.`);
+        }
+        const collection = {
+            id: data.nextCollectionId++,
+            name,
+            description: description || null,
+            created_at: new Date().toISOString()
+        };
+        data.collections.push(collection);
+        return collection;
+    });
+}
+
+/**
+ * Lists all collections with their number of documents, by name.
+ * @returns {Promise<Array<{id: number, name: string, description: string|null, created_at: string, document_count: number}>>}
+ *          The collections.
+ */
+export async function listCollections() {
+    const { collections, documents } = await loadStore();
+    return collections
+        .map(collection => ({
+            ...collection,
+            document_count: documents.filter(doc => doc.collection_id === collection.id).length
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds a collection by its exact name or, if the input is numeric, by ID.
+ * @param {string | number} identifier - The collection name or ID.
+ * @returns {Promise<{id: number, name: string}>} The collection.
+ * @throws {Error} If the collection is not found.
+ */
+export async function findCollectionByNameOrId(identifier) {
+    const { collections } = await loadStore();
+    const potentialId = Number.parseInt(identifier, 10);
+    const collection = Number.isNaN(potentialId)
+        ? collections.find(item => item.name === identifier)
+        : collections.find(item => item.id === potentialId);
+    if (!collection) {
+        throw new Error(`Collection not found: "${identifier}"`);
+    }
+    return { id: collection.id, name: collection.name };
+}
+
+/**
+ * Deletes a collection together with its documents and their sections.
+ * @param {number} collectionId - The collection ID.
+ * @returns {Promise<void>} Resolves once the store is saved.
+ */
+export async function deleteCollection(collectionId) {
+    const id = Number(collectionId);
+    await updateStore((data) => {
+        const documentIds = new Set(data.documents.filter(doc => doc.collection_id === id).map(doc => doc.id));
+        data.collections = data.collections.filter(collection => collection.id !== id);
+        data.documents = data.documents.filter(doc => !documentIds.has(doc.id));
+        data.sections = data.sections.filter(section => !documentIds.has(section.document_id));
+    });
+}
@@ -0,0 +1,148 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { generateEmbeddings } from './openaiService.js';
+import {
+    addDocument,
+    listDocuments,
+    getDocumentDetails,
+    findCollectionByNameOrId
+} from './vectorStore.js';
+import { retrieveSections, getSectionDocumentNames, createDocumentDetailsLookup } from './ragPipeline.js';
+import { parseFilterExpression } from './metadataFilter.js';
+import { redactSecrets } from './config.js';
+
+// Model Context Protocol server exposing the knowledge base to AI assistants:
+// tools to search, read, list and add documents, and every document as a resource.
+
+// URI of a document resource
+const DOCUMENT_URI_TEMPLATE = 'ragchat://documents/{id}';
+
+/**
+ * Runs a tool and converts its result (or error) into MCP tool output.
+ * Errors are reported to the client as tool errors instead of failing the request,
+ * so the assistant can read them and adjust its call.
+ * @param {Function} fn - Async function returning the tool's result.
+ * @returns {Promise<object>} The tool output, with the result as JSON text.
+ */
+async function runTool(fn) {
+    try {
+        const result = await fn();
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+        return { isError: true, content: [{ type: 'text', text: redactSecrets(error.message) }] };
+    }
+}
+
+/**
+ * Resolves collection names or IDs to collection IDs.
+ * @param {string[]} [identifiers] - Collection names or IDs.
+ * @returns {Promise<number[]|undefined>} The IDs, or undefined if none were given.
+ * @throws {Error} If a collection does not exist.
+ */
+async function resolveCollectionIds(identifiers) {
+    if (!identifiers || identifiers.length === 0) {
+        return undefined;
+    }
+    const collections = await Promise.all(identifiers.map(findCollectionByNameOrId));
+    return collections.map(collection => collection.id);
+}
+
+/**
+ * Creates the MCP server with the knowledge base tools and document resources.
+ * @param {object} info - Server identification sent to clients.
+ * @param {string} info.name - Server name.
+ * @param {string} info.version - Server version.
+ * @returns {McpServer} The server, not yet connected to a transport.
+ */
+export function createMcpServer({ name, version }) {
+    const server = new McpServer({ name, version });
+
+    server.registerTool('search_documents', {
+        title: 'Search documents',
+        description: 'Searches the knowledge base for document sections relevant to a query, using the configured '
+            + 'search mode (semantic, keyword or hybrid) and reranker. Returns the best sections with their document and scores.',
+        inputSchema: {
+            query: z.string().min(1).describe('What to search for, in natural language.'),
+            top_k: z.number().int().min(1).max(50).optional().describe('Number of sections to return (default: the configured matchCount).'),
+            threshold: z.number().min(0).max(1).optional().describe('Minimum similarity of returned sections (default: the configured value).'),
+            collections: z.array(z.string()).optional().describe('Only search documents in these collections (names or IDs).'),
+            filter: z.array(z.string()).optional().describe('Metadata filter expressions that must all match, e.g. "type=runbook" or "updated>=2026-01-01".')
+        },
+        annotations: { readOnlyHint: true }
+    }, ({ query, top_k, threshold, collections, filter }) => runTool(async () => {
+        const { sections } = await retrieveSections(query, {
+            matchCount: top_k,
+            matchThreshold: threshold,
+            collectionIds: await resolveCollectionIds(collections),
+            metadataFilter: filter?.length ? filter.map(parseFilterExpression) : undefined
+        });
+        const documentNames = await getSectionDocumentNames(sections, createDocumentDetailsLookup());
+        return sections.map((section, index) => ({
+            document_id: section.document_id,
+            document_name: documentNames[index],
+            document_uri: DOCUMENT_URI_TEMPLATE.replace('{id}', section.document_id),
+            section_title: section.section_title ?? null,
+            chunk_index: section.chunk_index ?? null,
+            similarity: section.similarity ?? null,
+            score: section.score ?? null,
+            rerank_score: section.rerank_score ?? null,
+            content: section.content
+        }));
+    }));
+
+    server.registerTool('get_document', {
+        title: 'Get document',
+        description: 'Fetches the full text of a document by ID.',
+        inputSchema: {
+            id: z.number().int().min(1).describe('The document ID, as returned by search_documents or list_documents.')
+        },
+        annotations: { readOnlyHint: true }
+    }, ({ id }) => runTool(async () => ({ id, ...(await getDocumentDetails(id)) })));
+
+    server.registerTool('list_documents', {
+        title: 'List documents',
+        description: 'Lists the documents in the knowledge base (ID, name, collection and creation time), newest first.',
+        inputSchema: {
+            collection: z.string().optional().describe('Only list the documents of this collection (name or ID).')
+        },
+        annotations: { readOnlyHint: true }
+    }, ({ collection }) => runTool(async () => {
+        const collectionId = collection ? (await findCollectionByNameOrId(collection)).id : undefined;
+        return listDocuments({ collectionId });
+    }));
+
+    server.registerTool('add_document', {
+        title: 'Add document',
+        description: 'Adds a text document to the knowledge base, so later searches can find it.',
+        inputSchema: {
+            name: z.string().min(1).describe('Document name.'),
+            content: z.string().min(1).describe('Document text (Markdown is fine).'),
+            collection: z.string().optional().describe('Collection to add the document to (name or ID).'),
+            metadata: z.record(z.string(), z.union([z.string(), z.number(), z.boolean(), z.array(z.string())])).optional()
+                .describe('Metadata for filtering searches, e.g. { "type": "runbook" }.')
+        }
+    }, ({ name: documentName, content, collection, metadata }) => runTool(async () => {
+        const collectionId = collection ? (await findCollectionByNameOrId(collection)).id : undefined;
+        const id = await addDocument(documentName, content, generateEmbeddings, { collectionId, metadata });
+        return { id, name: documentName, uri: DOCUMENT_URI_TEMPLATE.replace('{id}', id) };
+    }));
+
+    server.registerResource('document', new ResourceTemplate(DOCUMENT_URI_TEMPLATE, {
+        list: async () => ({
+            resources: (await listDocuments()).map(document => ({
+                uri: DOCUMENT_URI_TEMPLATE.replace('{id}', document.id),
+                name: document.name,
+                mimeType: 'text/plain'
+            }))
+        })
+    }), {
+        title: 'Knowledge base document',
+        description: 'The full text of a document in the knowledge base.',
+        mimeType: 'text/plain'
+    }, async (uri, { id }) => {
+        const document = await getDocumentDetails(Number(id));
+        return { contents: [{ uri: uri.href, mimeType: 'text/plain', text: document.content }] };
+    });
+
+    return server;
+}
@@ -0,0 +1,156 @@
+// Document metadata values and filter expressions.
+// A filter is a list of conditions { key, op, value } that must all hold. The
+// Supabase backend evaluates them with metadata_matches() in src/sql/migrations/R_search_functions.sql;
+// matchesMetadata below mirrors it for the local store.
+
+// Comparison operators in filter expressions, longest first so ">=" is not read as ">"
+const OPERATORS = [
+    ['>=', 'gte'],
+    ['<=', 'lte'],
+    ['>', 'gt'],
+    ['<', 'lt'],
+    ['=', 'eq']
+];
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const KEY_PATTERN = /^[\p{L}\p{N}_.-]+$/u;
+
+/**
+ * Converts a metadata value given as text into a number or boolean where it looks like one.
+ * @param {string} raw - The value as typed.
+ * @returns {string|number|boolean} The typed value.
+ */
+export function parseMetadataValue(raw) {
+    const value = raw.trim();
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (NUMBER_PATTERN.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Parses `key=value` pairs (e.g. from `add --meta`) into a metadata object.
+ * @param {string[]} pairs - The pairs.
+ * @returns {object} The metadata.
+ * @throws {Error} If a pair has no key or no "=".
+ */
+export function parseMetadataPairs(pairs = []) {
+    const metadata = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        const key = separator > 0 ? pair.slice(0, separator).trim() : '';
+        if (!key || !KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid metadata "${pair}". Use key=value, with a key of letters, digits, "_", "." or "-".`);
+        }
+        metadata[key] = parseMetadataValue(pair.slice(separator + 1));
+    }
+    return metadata;
+}
+
+/**
+ * Removes quotes around a filter value.
+ * @param {string} value - The value as typed.
+ * @returns {string} The unquoted value.
+ */
+function unquote(value) {
+    const trimmed = value.trim();
+    return /^(["']).*\1$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+/**
+ * Parses a filter expression into a condition. Supported forms:
+ * `type=runbook`, `type in runbook,playbook`, and ranges such as
+ * `updated>=2026-01-01` or `version<3` (also `>`, `<=`).
+ * @param {string} expression - The filter expression.
+ * @returns {{key: string, op: string, value: string|string[]}} The condition.
+ * @throws {Error} If the expression cannot be parsed.
+ */
+export function parseFilterExpression(expression) {
+    const inMatch = /^\s*([^\s=<>]+)\s+in\s+(.+)$/i.exec(expression);
+    if (inMatch && KEY_PATTERN.test(inMatch[1])) {
+        const values = inMatch[2].trim().replace(/^[[(](.*)[\])]$/, '$1').split(',').map(unquote).filter(Boolean);
+        if (values.length > 0) {
+            return { key: inMatch[1], op: 'in', value: values };
+        }
+    }
+
+    for (const [symbol, op] of OPERATORS) {
+        const index = expression.indexOf(symbol);
+        if (index <= 0) continue;
+        const key = expression.slice(0, index).trim();
+        const value = unquote(expression.slice(index + symbol.length));
+        if (KEY_PATTERN.test(key) && value) {
+            return { key, op, value };
+        }
+    }
+    throw new Error(`Invalid filter "${expression}". Use key=value, "key in a,b", or a range like key>=2026-01-01.`);
+}
+
+/**
+ * Parses several filter expressions.
+ * @param {string[]} expressions - The filter expressions.
+ * @returns {Array<{key: string, op: string, value: string|string[]}>|undefined} The conditions, or undefined if there are none.
+ * @throws {Error} If an expression cannot be parsed.
+ */
+export function parseFilterExpressions(expressions = []) {
+    return expressions.length > 0 ? expressions.map(parseFilterExpression) : undefined;
+}
+
+/**
+ * Formats conditions back into filter expressions, for display.
+ * @param {Array<{key: string, op: string, value: string|string[]}>} conditions - The conditions.
+ * @returns {string} The expressions, joined with " and ".
+ */
+export function describeFilter(conditions) {
+    const symbols = Object.fromEntries(OPERATORS.map(([symbol, op]) => [op, symbol]));
+    return conditions
+        .map(({ key, op, value }) => (op === 'in' ? `${key} in ${value.join(',')}` : `${key}${symbols[op]}${value}`))
+        .join(' and ');
+}
+
+/**
+ * Lists the values of a metadata entry as text: the elements of an array, or the value itself.
+ * @param {*} value - The metadata value.
+ * @returns {string[]} The values (none for missing values and objects).
+ */
+function metadataValues(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter(item => item !== null && item !== undefined && typeof item !== 'object').map(String);
+}
+
+/**
+ * Compares two metadata values: numerically if both are numbers, as text otherwise
+ * (which orders ISO dates correctly).
+ * @param {string} a - The first value.
+ * @param {string} b - The second value.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareValues(a, b) {
+    if (NUMBER_PATTERN.test(a) && NUMBER_PATTERN.test(b)) {
+        return Math.sign(Number(a) - Number(b));
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Checks whether metadata satisfies every condition. A condition on an array
+ * holds if any element satisfies it; a condition on a missing key never holds.
+ * @param {object} metadata - The metadata.
+ * @param {Array<{key: string, op: string, value: string|string[]}>} [conditions] - The conditions.
+ * @returns {boolean} True if all conditions hold (or there are none).
+ */
+export function matchesMetadata(metadata, conditions) {
+    if (!conditions) {
+        return true;
+    }
+    return conditions.every(({ key, op, value }) => metadataValues(metadata?.[key]).some((item) => {
+        switch (op) {
+            case 'eq': return item === value;
+            case 'in': return value.includes(item);
+            case 'gt': return compareValues(item, value) > 0;
+            case 'gte': return compareValues(item, value) >= 0;
+            case 'lt': return compareValues(item, value) < 0;
+            case 'lte': return compareValues(item, value) <= 0;
+            default: return false;
+        }
+    }));
+}
@@ -0,0 +1,294 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import pg from 'pg';
+import { getConfigValue } from './config.js';
+import { sha256 } from './hash.js';
+
+// Versioned schema migrations for the Supabase backend, applied over a direct
+// Postgres connection (the databaseUrl setting).
+//
+// src/sql/migrations holds numbered migrations, NNNN_name.up.sql with an optional
+// NNNN_name.down.sql, applied once in order, and repeatable ones, R_name.sql,
+// applied after them and again whenever their content changes. Applied migrations
+// are recorded in public.schema_migrations with a checksum of their file.
+// The files are templates: {{EMBEDDING_DIMENSION}} is replaced with the configured
+// embedding dimension.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'sql', 'migrations');
+
+const VERSIONED_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const REPEATABLE_PATTERN = /^R_([a-z0-9_]+)\.sql$/;
+
+// Key of the advisory lock held while migrating, so two runs cannot interleave
+const MIGRATION_LOCK_KEY = 720_414_001;
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    version TEXT PRIMARY KEY, -- NNNN for numbered migrations, R_name for repeatable ones
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL, -- SHA-256 of the file (of the filled-in file for repeatable ones)
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);`;
+
+/**
+ * Fills in the placeholders of a migration template.
+ * @param {string} template - The migration file content.
+ * @returns {string} The SQL to run.
+ */
+function renderMigration(template) {
+    return template.replaceAll('{{EMBEDDING_DIMENSION}}', String(getConfigValue('embeddingDimension')));
+}
+
+/**
+ * Reads the migration files.
+ * @returns {Promise<{versioned: Array<{version: string, name: string, up: string, down: string|null, checksum: string}>,
+ *          repeatable: Array<{version: string, name: string, sql: string, checksum: string}>}>}
+ *          Numbered migrations in order, with their filled-in SQL, and repeatable ones by name.
+ * @throws {Error} If the directory cannot be read, or a numbered migration has no up file.
+ */
+export async function loadMigrations() {
+    let files;
+    try {
+        files = (await fs.readdir(MIGRATIONS_DIR)).sort();
+    } catch (error) {
+        throw new Error(`Failed to read the migrations directory ${MIGRATIONS_DIR}: ${error.message}`);
+    }
+
+    const versioned = new Map();
+    const repeatable = [];
+    for (const file of files) {
+        const versionedMatch = file.match(VERSIONED_PATTERN);
+        const repeatableMatch = file.match(REPEATABLE_PATTERN);
+        if (!versionedMatch && !repeatableMatch) {
+            continue;
+        }
+        const template = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf-8');
+        if (repeatableMatch) {
+            const sql = renderMigration(template);
+            repeatable.push({ version: `R_${repeatableMatch[1]}`, name: repeatableMatch[1], sql, checksum: sha256(sql) });
+            continue;
+        }
+        const [, version, name, direction] = versionedMatch;
+        const migration = versioned.get(version) ?? { version, name, up: null, down: null, checksum: null };
+        if (direction === 'up') {
+            migration.up = renderMigration(template);
+            // Numbered migrations are checked against their template, so changing the dimension does not flag them
+            migration.checksum = sha256(template);
+        } else {
+            migration.down = renderMigration(template);
+        }
+        versioned.set(version, migration);
+    }
+
+    for (const migration of versioned.values()) {
+        if (migration.up === null) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no up file.`);
+        }
+    }
+    return { versioned: [...versioned.values()], repeatable };
+}
+
+/**
+ * Connects to the database named by the databaseUrl setting.
+ * @returns {Promise<pg.Client>} The connected client.
+ * @throws {Error} If databaseUrl is not set or the connection fails.
+ */
+async function connect() {
+    const databaseUrl = getConfigValue('databaseUrl');
+    if (!databaseUrl) {
+        throw new Error('No database connection string is configured. Set databaseUrl with `ragchat configure`, '
+            + 'RAGCHAT_DATABASE_URL or `--set databaseUrl=postgresql://...` '
+            + '(Supabase: Project Settings > Database > Connection string).');
+    }
+    const client = new pg.Client({ connectionString: databaseUrl, connectionTimeoutMillis: 10000 });
+    // A dropped connection also fails the running query, which reports it
+    client.on('error', () => {});
+    try {
+        await client.connect();
+        // Supabase keeps extension types such as vector in the extensions schema
+        await client.query('SET search_path TO public, extensions');
+    } catch (error) {
+        await client.end().catch(() => {});
+        throw new Error(`Could not connect to the database: ${error.message}`);
+    }
+    return client;
+}
+
+/**
+ * Runs a function with a connection holding the migration lock, creating the migrations table first.
+ * @param {Function} fn - Called with the client; may be async.
+ * @returns {Promise<*>} What fn returns.
+ * @throws {Error} If connecting fails, or fn throws.
+ */
+async function withMigrationLock(fn) {
+    const client = await connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            await client.query(CREATE_MIGRATIONS_TABLE);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        await client.end();
+    }
+}
+
+/**
+ * Reads the applied migrations.
+ * @param {pg.Client} client - The connected client.
+ * @returns {Promise<Map<string, {version: string, name: string, checksum: string, applied_at: Date}>>}
+ *          Records by version; empty if the migrations table does not exist.
+ */
+async function getAppliedMigrations(client) {
+    const { rows: [{ exists }] } = await client.query(`SELECT to_regclass('public.schema_migrations') IS NOT NULL AS exists`);
+    if (!exists) {
+        return new Map();
+    }
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM public.schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Runs SQL in a transaction, together with the change to its migration record.
+ * @param {pg.Client} client - The connected client.
+ * @param {string} label - The migration, for error messages.
+ * @param {string} sql - The migration SQL.
+ * @param {string} recordSql - Statement updating schema_migrations.
+ * @param {Array} recordParams - Its parameters.
+ * @throws {Error} If a statement fails; nothing is changed then.
+ */
+async function runInTransaction(client, label, sql, recordSql, recordParams) {
+    try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query(recordSql, recordParams);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${label} failed: ${error.message}`);
+    }
+}
+
+const RECORD_MIGRATION = `INSERT INTO public.schema_migrations (version, name, checksum) VALUES ($1, $2, $3)
+    ON CONFLICT (version) DO UPDATE SET name = EXCLUDED.name, checksum = EXCLUDED.checksum, applied_at = NOW()`;
+
+/**
+ * Lists the migrations and whether they are applied.
+ * Statuses: 'applied'; 'pending'; 'changed' (a numbered migration whose file was edited after
+ * it was applied; it is not run again); 'unknown' (recorded in the database but has no file,
+ * e.g. applied by a newer version of ragchat).
+ * @returns {Promise<Array<{version: string, name: string, repeatable: boolean, status: string, appliedAt: Date|null}>>}
+ *          Numbered migrations in order, then repeatable ones.
+ * @throws {Error} If the files cannot be read or the database cannot be queried.
+ */
+export async function getMigrationStatus() {
+    const { versioned, repeatable } = await loadMigrations();
+    const client = await connect();
+    let applied;
+    try {
+        applied = await getAppliedMigrations(client);
+    } finally {
+        await client.end();
+    }
+
+    const describe = (migration, isRepeatable) => {
+        const record = applied.get(migration.version);
+        let status = 'pending';
+        if (record && record.checksum === migration.checksum) {
+            status = 'applied';
+        } else if (record && !isRepeatable) {
+            status = 'changed';
+        }
+        return { version: migration.version, name: migration.name, repeatable: isRepeatable, status, appliedAt: record?.applied_at ?? null };
+    };
+    const known = new Set([...versioned, ...repeatable].map(migration => migration.version));
+    const unknown = [...applied.values()]
+        .filter(record => !known.has(record.version))
+        .map(record => ({ version: record.version, name: record.name, repeatable: record.version.startsWith('R_'), status: 'unknown', appliedAt: record.applied_at }));
+    return [
+        ...versioned.map(migration => describe(migration, false)),
+        ...unknown,
+        ...repeatable.map(migration => describe(migration, true))
+    ];
+}
+
+/**
+ * Applies the pending numbered migrations in order, each in its own transaction, then the
+ * repeatable migrations that are new or changed. Stops at the first failure; the migrations
+ * applied before it stay applied.
+ * @param {object} [options] - Options.
+ * @param {Function} [options.onMigration] - Called with each migration ({version, name}) before it runs.
+ * @returns {Promise<Array<{version: string, name: string}>>} The migrations applied.
+ * @throws {Error} If connecting fails or a migration fails.
+ */
+export async function migrateUp({ onMigration } = {}) {
+    const { versioned, repeatable } = await loadMigrations();
+    return withMigrationLock(async (client) => {
+        const applied = await getAppliedMigrations(client);
+        const pending = [
+            ...versioned.filter(migration => !applied.has(migration.version))
+                .map(migration => ({ ...migration, sql: migration.up })),
+            ...repeatable.filter(migration => applied.get(migration.version)?.checksum !== migration.checksum)
+        ];
+        for (const migration of pending) {
+            onMigration?.(migration);
+            await runInTransaction(client, `${migration.version} (${migration.name})`, migration.sql,
+                RECORD_MIGRATION, [migration.version, migration.name, migration.checksum]);
+        }
+        return pending.map(({ version, name }) => ({ version, name }));
+    });
+}
+
+/**
+ * Reverts the most recently applied numbered migration with its down file. The repeatable
+ * migrations are marked as pending, so the next migrateUp recreates what they define on the
+ * reverted schema.
+ * @returns {Promise<{version: string, name: string}|null>} The reverted migration, or null if none is applied.
+ * @throws {Error} If the migration has no down file or no file at all, or reverting fails.
+ */
+export async function migrateDown() {
+    const { versioned } = await loadMigrations();
+    return withMigrationLock(async (client) => {
+        const applied = await getAppliedMigrations(client);
+        const latest = [...applied.values()].filter(record => !record.version.startsWith('R_')).at(-1);
+        if (!latest) {
+            return null;
+        }
+        const migration = versioned.find(item => item.version === latest.version);
+        if (!migration) {
+            throw new Error(`Migration ${latest.version} (${latest.name}) has no file here; it was probably applied by a newer version of ragchat.`);
+        }
+        if (migration.down === null) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) cannot be reverted: it has no down file.`);
+        }
+        await runInTransaction(client, `${migration.version} (${migration.name}) down`, migration.down,
+            `DELETE FROM public.schema_migrations WHERE version = $1 OR version LIKE 'R\\_%'`, [migration.version]);
+        return { version: migration.version, name: migration.name };
+    });
+}
+
+/**
+ * Builds a script applying every migration, for running by hand (e.g. in the Supabase SQL Editor)
+ * when no direct connection is configured. It records the migrations in schema_migrations, so
+ * later upgrades with `setup-db --migrate` only apply what is new.
+ * @returns {Promise<string>} The SQL script.
+ * @throws {Error} If the migration files cannot be read.
+ */
+export async function buildSetupScript() {
+    const { versioned, repeatable } = await loadMigrations();
+    const parts = [
+        `-- Generated by \`ragchat setup-db\` from src/sql/migrations (embedding dimension ${getConfigValue('embeddingDimension')}).`,
+        CREATE_MIGRATIONS_TABLE
+    ];
+    for (const migration of [...versioned.map(item => ({ ...item, sql: item.up })), ...repeatable]) {
+        parts.push(`-- Migration ${migration.version} (${migration.name})\n${migration.sql.trim()}`);
+        parts.push(`INSERT INTO public.schema_migrations (version, name, checksum) VALUES ('${migration.version}', '${migration.name}', '${migration.checksum}')
+    ON CONFLICT (version) DO UPDATE SET name = EXCLUDED.name, checksum = EXCLUDED.checksum, applied_at = NOW();`);
+    }
+    return `${parts.join('\n\n')}\n`;
+}
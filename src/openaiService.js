@@ -1,106 +1,395 @@
-import OpenAI from 'openai';
-import { getConfig } from './config.js';
 import chalk from 'chalk';
+import { getConfig } from './config.js';
+import { countTokens } from './tokenizer.js';
+import { mapWithConcurrency, withRetry } from './concurrency.js';
+import { getCachedEmbeddings, cacheEmbeddings } from './embeddingCache.js';
+import { getChatProvider, getEmbeddingProvider } from './providers/index.js';
 
-// We will need supabaseService later for context fetching in generateResponse
-// import { getDocumentDetails } from './supabaseService.js'; 
+// Chat and embedding requests go through the configured providers (see
+// src/providers), so this module works with OpenAI, OpenAI-compatible
+// self-hosted servers and other vendors alike.
 
-let openai = null;
+// OpenAI accepts at most 2048 inputs per embeddings request
+const MAX_INPUTS_PER_REQUEST = 2048;
 
 /**
- * Initializes and returns the OpenAI client instance.
- * Ensures the client is created only once.
- * @returns {OpenAI} The OpenAI client instance.
- * @throws {Error} If configuration is missing.
+ * Groups texts into request batches bounded by input count and total tokens.
+ * A single text larger than the token budget gets a batch of its own.
+ * @param {string[]} texts - The texts to embed.
+ * @param {number} maxInputs - Maximum texts per batch.
+ * @param {number} maxTokens - Maximum total tokens per batch.
+ * @returns {Array<number[]>} Batches, as lists of indexes into `texts`.
  */
-function getOpenAIClient() {
-    if (openai) {
-        return openai;
+function buildBatches(texts, maxInputs, maxTokens) {
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+
+    for (const [index, text] of texts.entries()) {
+        const tokens = countTokens(text);
+        if (batch.length > 0 && (batch.length >= maxInputs || batchTokens + tokens > maxTokens)) {
+            batches.push(batch);
+            batch = [];
+            batchTokens = 0;
+        }
+        batch.push(index);
+        batchTokens += tokens;
+    }
+    if (batch.length > 0) {
+        batches.push(batch);
     }
+    return batches;
+}
 
-    const config = getConfig();
-    if (!config.openaiApiKey) {
-        console.error(chalk.red('OpenAI API Key is missing in configuration.'));
-        console.log(chalk.yellow('Please run `ragchat configure` first.'));
-        throw new Error('Missing OpenAI configuration.');
+/**
+ * Generate embeddings for many texts using batched requests.
+ * Texts already in the local embedding cache are served from it, and
+ * duplicate texts are only sent once. The rest are grouped into batches sized
+ * by input count and token budget, the batches are sent with bounded
+ * concurrency, and temporary failures (429, 5xx, network errors) are retried
+ * with exponential backoff that honors the server's Retry-After header. A
+ * batch that still fails does not stop the others: its texts get a `null`
+ * embedding and are listed in `failures`.
+ * @param {string[]} texts - The input texts.
+ * @param {object} [options] - Optional settings.
+ * @param {Function} [options.onProgress] - Called with (completedTexts, totalTexts) after each batch.
+ * @returns {Promise<{embeddings: Array<number[]|null>, failures: Array<{index: number, message: string}>, model: string}>}
+ *          Embeddings in input order, the texts that could not be embedded and the embedding model ID.
+ */
+export async function generateEmbeddings(texts, { onProgress } = {}) {
+    const settings = getConfig();
+    const { provider, model, modelId } = getEmbeddingProvider();
+    const embeddings = await getCachedEmbeddings(modelId, texts);
+
+    // Group the cache misses by text so each distinct text is requested once
+    const pending = new Map(); // text -> indexes into `texts`
+    for (const [index, text] of texts.entries()) {
+        if (embeddings[index]) continue;
+        if (!pending.has(text)) pending.set(text, []);
+        pending.get(text).push(index);
     }
+    const uniqueTexts = [...pending.keys()];
+    const fetched = new Array(uniqueTexts.length).fill(null);
+    const failures = [];
+    let completed = texts.length - [...pending.values()].reduce((sum, indexes) => sum + indexes.length, 0);
 
-    openai = new OpenAI({
-        apiKey: config.openaiApiKey
-    });
+    if (uniqueTexts.length > 0) {
+        const batches = buildBatches(
+            uniqueTexts,
+            Math.min(settings.embeddingBatchSize, MAX_INPUTS_PER_REQUEST),
+            settings.embeddingBatchTokens
+        );
+
+        await mapWithConcurrency(batches, settings.embeddingConcurrency, async (batch) => {
+            try {
+                const batchEmbeddings = await withRetry(
+                    () => provider.embed({
+                        model,
+                        input: batch.map(index => uniqueTexts[index])
+                    }),
+                    {
+                        maxRetries: settings.embeddingMaxRetries,
+                        isRetryable: (error) => provider.isRetryableError(error),
+                        getRetryAfterMs: (error) => provider.getRetryAfterMs(error),
+                        onRetry: (error, attempt, delayMs) => {
+                            console.warn(chalk.yellow(`\nEmbedding request failed (${error.status ?? error.message}); retry ${attempt}/${settings.embeddingMaxRetries} in ${(delayMs / 1000).toFixed(1)}s.`));
+                        }
+                    }
+                );
+                checkDimension(batchEmbeddings, settings.embeddingDimension);
+                for (const [i, embedding] of batchEmbeddings.entries()) {
+                    fetched[batch[i]] = embedding;
+                }
+            } catch (error) {
+                for (const index of batch) {
+                    for (const textIndex of pending.get(uniqueTexts[index])) {
+                        failures.push({ index: textIndex, message: error.message });
+                    }
+                }
+            }
+            completed += batch.reduce((sum, index) => sum + pending.get(uniqueTexts[index]).length, 0);
+            onProgress?.(completed, texts.length);
+        });
+
+        for (const [i, text] of uniqueTexts.entries()) {
+            for (const index of pending.get(text)) {
+                embeddings[index] = fetched[i];
+            }
+        }
+    }
+
+    try {
+        await cacheEmbeddings(modelId, uniqueTexts, fetched);
+    } catch (cacheError) {
+        // The cache is an optimization; never fail an embedding request because of it
+        console.warn(chalk.yellow(`Could not update the embedding cache: ${cacheError.message}`));
+    }
 
-    return openai;
+    failures.sort((a, b) => a.index - b.index);
+    return { embeddings, failures, model: modelId };
 }
 
 /**
- * Generate embeddings for a text using OpenAI's embedding model
+ * Makes sure the embedding model produces vectors of the configured dimension,
+ * so mismatched vectors never reach the vector store.
+ * @param {number[][]} embeddings - Embeddings returned by the provider.
+ * @param {number} dimension - The configured embedding dimension.
+ * @throws {Error} If an embedding has a different dimension.
+ */
+function checkDimension(embeddings, dimension) {
+    const mismatch = embeddings.find(embedding => embedding && embedding.length !== dimension);
+    if (mismatch) {
+        throw new Error(`The embedding model returned ${mismatch.length}-dimensional vectors, but embeddingDimension is ${dimension}. `
+            + 'Update it with `ragchat configure` (and run `ragchat setup-db` for Supabase).');
+    }
+}
+
+/**
+ * Returns the ID of the configured embedding model, as recorded on documents and in the cache.
+ * @returns {string} The embedding model ID.
+ * @throws {Error} If the embedding provider is not configured.
+ */
+export function getEmbeddingModelId() {
+    return getEmbeddingProvider().modelId;
+}
+
+/**
+ * Generate embeddings for a text using the configured embedding model
  * @param {string} text - The input text to generate embeddings for
  * @returns {Promise<number[]>} - The embedding vector
  * @throws {Error} If embedding generation fails.
  */
 export async function generateEmbedding(text) {
-    try {
-        const client = getOpenAIClient();
-        const response = await client.embeddings.create({
-            model: 'text-embedding-ada-002',
-            input: text
+    const { embeddings, failures } = await generateEmbeddings([text]);
+    if (failures.length > 0) {
+        console.error(chalk.red('Error generating embedding:'), failures[0].message);
+        throw new Error(`Failed to generate embedding: ${failures[0].message}`);
+    }
+    return embeddings[0];
+}
+
+// Instructions given to the chat model with every question
+const SYSTEM_PROMPT = `You are a helpful assistant. Answer the user's question based on the provided context. If the context doesn't contain relevant information, say so and provide a general response based on your knowledge.
+The context sections are numbered. Cite the sections you use inline with their numbers in square brackets, like [1] or [2][3], right after the statement they support. Only cite numbers that appear in the context, and do not cite anything for general knowledge.`;
+
+/**
+ * Builds the system prompt, including the summary of older conversation turns if there is one.
+ * @param {string} [summary] - Summary of the earlier conversation.
+ * @returns {string} The system prompt.
+ */
+function buildSystemPrompt(summary) {
+    return summary ? `${SYSTEM_PROMPT}\n\nSummary of the earlier conversation:\n${summary}` : SYSTEM_PROMPT;
+}
+
+/**
+ * Builds the chat messages for a question and its context sections.
+ * @param {string} query - The user query
+ * @param {Array} relevantSections - Relevant document sections for context (from the vector store search)
+ * @param {Function} getDocDetailsFn - Function to fetch document details (e.g., getDocumentDetails from vectorStore)
+ * @param {Array<{role: string, content: string}>} [history] - Earlier turns of the conversation.
+ * @returns {Promise<Array<{role: string, content: string}>>} The messages to send after the system prompt.
+ */
+async function buildMessages(query, relevantSections, getDocDetailsFn, history = []) {
+    let context = '';
+
+    if (relevantSections && relevantSections.length > 0) {
+        context = "Here are some relevant sections from documents:\n\n";
+        // Use Promise.all for potentially faster context building if getDocDetailsFn is async.
+        // Sections are numbered from 1 in search order; answers cite them by these numbers.
+        const contextPromises = relevantSections.map(async (section, index) => {
+            const number = `[${index + 1}]`;
+            try {
+                // Fetch document details using the provided function
+                const document = await getDocDetailsFn(section.document_id);
+                if (document) {
+                    const sectionLabel = section.section_title ? `, section "${section.section_title}"` : '';
+                    return `${number} From document "${document.name}"${sectionLabel}:\n${section.content}\n\n`;
+                }
+                // Fallback if document details can't be fetched (no else needed)
+                return `${number} From document ID ${section.document_id}:\n${section.content}\n\n`;
+            } catch (docError) {
+                console.warn(chalk.yellow(`Could not fetch details for document ${section.document_id}: ${docError.message}`));
+                return `${number} From document ID ${section.document_id} (details unavailable):\n${section.content}\n\n`;
+            }
         });
-        return response.data[0].embedding;
-    } catch (error) {
-        console.error(chalk.red('Error generating embedding:'), error);
-        throw new Error(`Failed to generate embedding: ${error.message}`);
+        const contextSnippets = await Promise.all(contextPromises);
+        context += contextSnippets.join('');
+    } else {
+        context = "No relevant context found in the documents.";
     }
+
+    return [
+        ...history,
+        { role: 'user', content: `Context:\n${context}\nQuestion: ${query}` }
+    ];
 }
 
 /**
- * Generate a response using OpenAI's chat completion with context
+ * Generate a response with the configured chat provider, using the given context
  * @param {string} query - The user query
- * @param {Array} relevantSections - Relevant document sections for context (from Supabase search)
- * @param {Function} getDocDetailsFn - Function to fetch document details (e.g., getDocumentDetails from supabaseService)
+ * @param {Array} relevantSections - Relevant document sections for context (from the vector store search)
+ * @param {Function} getDocDetailsFn - Function to fetch document details (e.g., getDocumentDetails from vectorStore)
+ * @param {object} [options] - Conversation options.
+ * @param {Array<{role: string, content: string}>} [options.history] - Earlier turns of the conversation.
+ * @param {string} [options.summary] - Summary of turns older than the history.
  * @returns {Promise<string>} - AI generated response
  * @throws {Error} If chat completion fails.
  */
-export async function generateResponse(query, relevantSections, getDocDetailsFn) {
+export async function generateResponse(query, relevantSections, getDocDetailsFn, { history, summary } = {}) {
     try {
-        const client = getOpenAIClient();
-        let context = '';
-
-        if (relevantSections && relevantSections.length > 0) {
-            context = "Here are some relevant sections from documents:\n\n";
-            // Use Promise.all for potentially faster context building if getDocDetailsFn is async
-            const contextPromises = relevantSections.map(async (section) => {
-                try {
-                    // Fetch document details using the provided function
-                    const document = await getDocDetailsFn(section.document_id);
-                    if (document) {
-                        return `From document "${document.name}":\n${section.content}\n\n`;
-                    }
-                    // Fallback if document details can't be fetched (no else needed)
-                    return `From document ID ${section.document_id}:\n${section.content}\n\n`;
-                } catch (docError) {
-                    console.warn(chalk.yellow(`Could not fetch details for document ${section.document_id}: ${docError.message}`));
-                    return `From document ID ${section.document_id} (details unavailable):\n${section.content}\n\n`;
-                }
-            });
-            const contextSnippets = await Promise.all(contextPromises);
-            context += contextSnippets.join('');
-        } else {
-            context = "No relevant context found in the documents.";
-        }
-
-        const response = await client.chat.completions.create({
-            model: 'gpt-4o', // Or your preferred model
-            messages: [
-                { role: 'system', content: `You are a helpful assistant. Answer the user's question based on the provided context. If the context doesn't contain relevant information, say so and provide a general response based on your knowledge.` },
-                { role: 'user', content: `Context:\n${context}\nQuestion: ${query}` }
-            ],
-            max_tokens: 1000 // Adjust as needed
+        const { provider, model } = getChatProvider();
+        return await provider.chat({
+            model,
+            system: buildSystemPrompt(summary),
+            messages: await buildMessages(query, relevantSections, getDocDetailsFn, history),
+            maxTokens: getConfig().maxTokens
         });
+    } catch (error) {
+        console.error(chalk.red('Error generating response:'), error.message);
+        throw new Error(`Failed to generate response: ${error.message}`);
+    }
+}
 
-        return response.choices[0].message.content;
+/**
+ * Streams a response from the configured chat provider, using the given context.
+ * Text is passed to `onToken` as it arrives. Aborting `signal` stops the
+ * request and resolves with the text received so far. Token usage is the one
+ * reported by the provider, or estimated with the tokenizer if it reports none.
+ * @param {string} query - The user query
+ * @param {Array} relevantSections - Relevant document sections for context (from the vector store search)
+ * @param {Function} getDocDetailsFn - Function to fetch document details (e.g., getDocumentDetails from vectorStore)
+ * @param {object} [options] - Streaming and conversation options.
+ * @param {Function} [options.onToken] - Called with each piece of text as it arrives.
+ * @param {AbortSignal} [options.signal] - Cancels the answer when aborted.
+ * @param {Array<{role: string, content: string}>} [options.history] - Earlier turns of the conversation.
+ * @param {string} [options.summary] - Summary of turns older than the history.
+ * @param {string} [options.model] - Chat model to use instead of the configured one.
+ * @returns {Promise<{text: string, aborted: boolean, usage: {promptTokens: number, completionTokens: number, estimated: boolean}}>}
+ *          The complete (or partial, if aborted) answer and its token usage.
+ * @throws {Error} If chat completion fails for another reason than cancellation.
+ */
+export async function streamResponse(query, relevantSections, getDocDetailsFn, { onToken, signal, history, summary, model: modelOverride } = {}) {
+    let text = '';
+    let reportedUsage = null;
+    let prompt = [];
+    // Counted with the OpenAI tokenizer, so only approximate for other models
+    const getUsage = () => reportedUsage ? { ...reportedUsage, estimated: false } : {
+        promptTokens: countTokens(prompt.map(message => message.content).join('\n')),
+        completionTokens: countTokens(text),
+        estimated: true
+    };
+    try {
+        const { provider, model } = getChatProvider();
+        const system = buildSystemPrompt(summary);
+        const messages = await buildMessages(query, relevantSections, getDocDetailsFn, history);
+        prompt = [{ role: 'system', content: system }, ...messages];
+        const stream = provider.streamChat({
+            model: modelOverride ?? model,
+            system,
+            messages,
+            maxTokens: getConfig().maxTokens,
+            signal,
+            onUsage: (usage) => {
+                reportedUsage = usage;
+            }
+        });
+        for await (const token of stream) {
+            text += token;
+            onToken?.(token);
+        }
+        // Some SDK streams end quietly instead of throwing when aborted
+        return { text, aborted: Boolean(signal?.aborted), usage: getUsage() };
     } catch (error) {
-        console.error(chalk.red('Error generating response:'), error);
-        // Check for specific OpenAI API error types if needed
+        if (signal?.aborted) {
+            return { text, aborted: true, usage: getUsage() };
+        }
         throw new Error(`Failed to generate response: ${error.message}`);
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * Formats conversation turns as a plain-text transcript for prompts.
+ * @param {Array<{role: string, content: string}>} messages - Conversation messages.
+ * @returns {string} The transcript.
+ */
+function formatTranscript(messages) {
+    return messages
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Rewrites a follow-up question into a standalone query for document retrieval,
+ * resolving references like "the second one" from the conversation so far.
+ * @param {string} question - The user's latest question.
+ * @param {Array<{role: string, content: string}>} history - Earlier turns of the conversation.
+ * @param {string} [summary] - Summary of turns older than the history.
+ * @returns {Promise<string>} The standalone query (the question itself if it already stands alone).
+ * @throws {Error} If chat completion fails.
+ */
+export async function rewriteFollowUpQuery(question, history, summary) {
+    const { provider, model } = getChatProvider();
+    const earlier = summary ? `Summary of the earlier conversation:\n${summary}\n\n` : '';
+    const rewritten = await provider.chat({
+        model,
+        system: 'You rewrite follow-up questions into standalone search queries. Resolve pronouns and references '
+            + 'using the conversation, keep the original language and meaning, and reply with the query only. '
+            + 'If the question already stands on its own, repeat it unchanged.',
+        messages: [
+            { role: 'user', content: `${earlier}Conversation:\n${formatTranscript(history)}\n\nFollow-up question: ${question}\n\nStandalone query:` }
+        ],
+        maxTokens: 200
+    });
+    return rewritten.trim().replace(/^["']|["']$/g, '') || question;
+}
+
+/**
+ * Condenses older conversation turns (and any earlier summary) into a short summary.
+ * @param {string} previousSummary - The existing summary, or an empty string.
+ * @param {Array<{role: string, content: string}>} messages - The turns to fold into the summary.
+ * @param {number} maxTokens - Maximum length of the summary in tokens.
+ * @returns {Promise<string>} The new summary.
+ * @throws {Error} If chat completion fails.
+ */
+export async function summarizeConversation(previousSummary, messages, maxTokens) {
+    const { provider, model } = getChatProvider();
+    const earlier = previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '';
+    const summary = await provider.chat({
+        model,
+        system: 'You summarize conversations. Keep the facts, names, numbers and open questions a later reply may need, '
+            + 'and drop pleasantries. Reply with the summary only.',
+        messages: [
+            { role: 'user', content: `${earlier}New turns:\n${formatTranscript(messages)}\n\nUpdated summary:` }
+        ],
+        maxTokens
+    });
+    return summary.trim();
+}
+
+/**
+ * Asks the chat model to rate how well each passage answers a query, for reranking.
+ * @param {string} query - The search query.
+ * @param {string[]} passages - The candidate passages.
+ * @returns {Promise<number[]>} A score from 0 (irrelevant) to 10 (answers the query) per passage, in input order.
+ * @throws {Error} If chat completion fails or the reply does not contain a score for every passage.
+ */
+export async function scorePassageRelevance(query, passages) {
+    const { provider, model } = getChatProvider();
+    const listing = passages.map((passage, index) => `[${index + 1}]\n${passage}`).join('\n\n');
+    const reply = await provider.chat({
+        model,
+        system: 'You judge search results. Rate how well each passage helps answer the query, from 0 (irrelevant) '
+            + 'to 10 (answers it directly). Reply with a JSON array of numbers only, one per passage, in order.',
+        messages: [
+            { role: 'user', content: `Query: ${query}\n\nPassages:\n\n${listing}\n\nScores:` }
+        ],
+        maxTokens: 20 + passages.length * 6
+    });
+
+    const match = reply.match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : [];
+    if (scores.length !== passages.length || !scores.every(Number.isFinite)) {
+        throw new Error(`Expected ${passages.length} relevance scores, got: ${reply.trim().slice(0, 100)}`);
+    }
+    return scores.map(score => Math.min(Math.max(score, 0), 10));
+}
@@ -0,0 +1,95 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { parseRetryAfterHeaders } from './http.js';
+
+export const DEFAULT_CHAT_MODEL = 'claude-sonnet-4-5';
+
+/**
+ * Creates a chat provider for the Anthropic Messages API.
+ * Anthropic has no embeddings endpoint, so this provider only supports chat.
+ * @param {object} settings - Provider settings.
+ * @param {string} settings.apiKey - Anthropic API key.
+ * @param {string} [settings.baseUrl] - Custom API base URL (e.g. a gateway or proxy).
+ * @returns {object} The provider.
+ */
+export function createAnthropicProvider({ apiKey, baseUrl }) {
+    const client = new Anthropic({
+        apiKey,
+        baseURL: baseUrl || undefined
+    });
+
+    return {
+        name: 'anthropic',
+        defaultChatModel: DEFAULT_CHAT_MODEL,
+
+        /**
+         * Generates a chat completion.
+         * @param {object} request - The request.
+         * @param {string} request.model - Chat model name.
+         * @param {string} request.system - System prompt.
+         * @param {Array<{role: string, content: string}>} request.messages - Conversation messages.
+         * @param {number} request.maxTokens - Maximum tokens in the answer.
+         * @returns {Promise<string>} The answer text.
+         */
+        async chat({ model, system, messages, maxTokens }) {
+            const response = await client.messages.create({
+                model,
+                system,
+                messages,
+                max_tokens: maxTokens
+            });
+            return response.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        },
+
+        /**
+         * Streams a chat completion.
+         * @param {object} request - The request; same fields as chat(), plus:
+         * @param {AbortSignal} [request.signal] - Cancels the request when aborted.
+         * @param {Function} [request.onUsage] - Called with { promptTokens, completionTokens } once the answer is complete.
+         * @returns {AsyncGenerator<string>} The answer text, piece by piece.
+         */
+        async *streamChat({ model, system, messages, maxTokens, signal, onUsage }) {
+            const stream = await client.messages.create({
+                model,
+                system,
+                messages,
+                max_tokens: maxTokens,
+                stream: true
+            }, { signal });
+            // Input tokens are reported when the message starts, output tokens as it ends
+            let promptTokens = 0;
+            for await (const event of stream) {
+                if (event.type === 'message_start') {
+                    promptTokens = event.message.usage?.input_tokens ?? 0;
+                } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    yield event.delta.text;
+                } else if (event.type === 'message_delta' && event.usage) {
+                    onUsage?.({ promptTokens, completionTokens: event.usage.output_tokens });
+                }
+            }
+        },
+
+        /**
+         * Checks whether an error is temporary (rate limit, overload, server or network error).
+         * @param {Error} error - The error thrown by the client.
+         * @returns {boolean} True if the request should be retried.
+         */
+        isRetryableError(error) {
+            if (error instanceof Anthropic.APIConnectionError) {
+                return true; // Includes timeouts
+            }
+            return error instanceof Anthropic.APIError && (error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500);
+        },
+
+        /**
+         * Reads the delay requested by the server through the Retry-After headers.
+         * @param {Error} error - The error thrown by the client.
+         * @returns {number|null} The delay in milliseconds, or null if none was given.
+         */
+        getRetryAfterMs(error) {
+            return parseRetryAfterHeaders(error?.headers);
+        }
+    };
+}
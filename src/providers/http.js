@@ -0,0 +1,31 @@
+// Helpers shared by the HTTP-based providers
+
+/**
+ * Reads a response header. SDKs expose headers either as a plain object or as a fetch Headers instance.
+ * @param {object|Headers|undefined} headers - The response headers.
+ * @param {string} name - Lower-case header name.
+ * @returns {string|undefined} The header value, if present.
+ */
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name];
+}
+
+/**
+ * Parses the delay requested by a server through the retry-after-ms and
+ * Retry-After (seconds or HTTP-date) headers.
+ * @param {object|Headers|undefined} headers - The response headers.
+ * @returns {number|null} The delay in milliseconds, or null if none was given.
+ */
+export function parseRetryAfterHeaders(headers) {
+    const retryAfterMs = Number.parseFloat(readHeader(headers, 'retry-after-ms'));
+    if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+    const retryAfter = readHeader(headers, 'retry-after');
+    if (!retryAfter) return null;
+    const seconds = Number.parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter); // HTTP-date form
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,83 @@
+import chalk from 'chalk';
+import { getProviderSettings } from '../config.js';
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+
+/**
+ * A provider is an object created from { apiKey, baseUrl } settings with:
+ *
+ * - name, defaultChatModel and (for embedding providers) defaultEmbeddingModel
+ * - chat({ model, system, messages, maxTokens }) -> answer text
+ * - streamChat({ model, system, messages, maxTokens, signal, onUsage }) -> async iterable of answer text pieces;
+ *   onUsage receives { promptTokens, completionTokens } if the server reports token usage
+ * - embed({ model, input }) -> one embedding per input (embedding providers only)
+ * - isRetryableError(error) -> boolean
+ * - getRetryAfterMs(error) -> delay requested by the server, or null
+ */
+const CHAT_PROVIDERS = {
+    openai: createOpenAIProvider,
+    anthropic: createAnthropicProvider
+};
+
+const EMBEDDING_PROVIDERS = {
+    openai: createOpenAIProvider
+};
+
+export const CHAT_PROVIDER_NAMES = Object.keys(CHAT_PROVIDERS);
+export const EMBEDDING_PROVIDER_NAMES = Object.keys(EMBEDDING_PROVIDERS);
+
+const instances = {}; // kind -> { provider, model, modelId }
+
+/**
+ * Creates (once per process) the configured provider for chat or embeddings.
+ * @param {'chat'|'embedding'} kind - Which provider to create.
+ * @param {object} factories - Available provider factories by name.
+ * @returns {{provider: object, model: string, modelId: string}} The provider and the model to use with it.
+ * @throws {Error} If the provider is unknown or its API key is missing.
+ */
+function resolveProvider(kind, factories) {
+    if (instances[kind]) {
+        return instances[kind];
+    }
+
+    const settings = getProviderSettings(kind);
+    const factory = factories[settings.provider];
+    if (!factory) {
+        throw new Error(`Unknown ${kind} provider "${settings.provider}". Available: ${Object.keys(factories).join(', ')}.`);
+    }
+    // Self-hosted servers behind a custom base URL usually need no key
+    if (!settings.apiKey && !settings.baseUrl) {
+        console.error(chalk.red(`API key for the ${settings.provider} ${kind} provider is missing in configuration.`));
+        console.log(chalk.yellow('Please run `ragchat configure` first.'));
+        throw new Error(`Missing ${settings.provider} configuration.`);
+    }
+
+    const provider = factory(settings);
+    const model = settings.model || (kind === 'chat' ? provider.defaultChatModel : provider.defaultEmbeddingModel);
+    instances[kind] = {
+        provider,
+        model,
+        // Recorded on documents and embedding cache entries. Only the model name counts,
+        // so serving the same model from another host does not make every document stale.
+        modelId: model
+    };
+    return instances[kind];
+}
+
+/**
+ * Returns the configured chat provider and model.
+ * @returns {{provider: object, model: string, modelId: string}} The chat provider and model.
+ * @throws {Error} If the provider is unknown or its API key is missing.
+ */
+export function getChatProvider() {
+    return resolveProvider('chat', CHAT_PROVIDERS);
+}
+
+/**
+ * Returns the configured embedding provider and model.
+ * @returns {{provider: object, model: string, modelId: string}} The embedding provider and model.
+ * @throws {Error} If the provider is unknown or its API key is missing.
+ */
+export function getEmbeddingProvider() {
+    return resolveProvider('embedding', EMBEDDING_PROVIDERS);
+}
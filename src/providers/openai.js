@@ -0,0 +1,109 @@
+import OpenAI from 'openai';
+import { parseRetryAfterHeaders } from './http.js';
+
+export const DEFAULT_CHAT_MODEL = 'gpt-4o';
+export const DEFAULT_EMBEDDING_MODEL = 'text-embedding-ada-002';
+
+/**
+ * Creates a provider for the OpenAI API or any server implementing it
+ * (Ollama, llama.cpp, vLLM, LM Studio, ...), selected through `baseUrl`.
+ * It supports both chat completions and embeddings.
+ * @param {object} settings - Provider settings.
+ * @param {string} [settings.apiKey] - API key. Optional for self-hosted servers.
+ * @param {string} [settings.baseUrl] - Custom API base URL (e.g. http://localhost:11434/v1).
+ * @returns {object} The provider.
+ */
+export function createOpenAIProvider({ apiKey, baseUrl }) {
+    const client = new OpenAI({
+        // Self-hosted servers usually ignore the key, but the client refuses to start without one
+        apiKey: apiKey || 'not-needed',
+        baseURL: baseUrl || undefined
+    });
+
+    return {
+        name: 'openai',
+        defaultChatModel: DEFAULT_CHAT_MODEL,
+        defaultEmbeddingModel: DEFAULT_EMBEDDING_MODEL,
+
+        /**
+         * Generates a chat completion.
+         * @param {object} request - The request.
+         * @param {string} request.model - Chat model name.
+         * @param {string} request.system - System prompt.
+         * @param {Array<{role: string, content: string}>} request.messages - Conversation messages.
+         * @param {number} request.maxTokens - Maximum tokens in the answer.
+         * @returns {Promise<string>} The answer text.
+         */
+        async chat({ model, system, messages, maxTokens }) {
+            const response = await client.chat.completions.create({
+                model,
+                messages: [{ role: 'system', content: system }, ...messages],
+                max_tokens: maxTokens
+            });
+            return response.choices[0].message.content ?? '';
+        },
+
+        /**
+         * Streams a chat completion.
+         * @param {object} request - The request; same fields as chat(), plus:
+         * @param {AbortSignal} [request.signal] - Cancels the request when aborted.
+         * @param {Function} [request.onUsage] - Called with { promptTokens, completionTokens } if the server reports usage.
+         * @returns {AsyncGenerator<string>} The answer text, piece by piece.
+         */
+        async *streamChat({ model, system, messages, maxTokens, signal, onUsage }) {
+            const stream = await client.chat.completions.create({
+                model,
+                messages: [{ role: 'system', content: system }, ...messages],
+                max_tokens: maxTokens,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+            for await (const chunk of stream) {
+                const text = chunk.choices[0]?.delta?.content;
+                if (text) yield text;
+                // Sent in a final chunk without choices
+                if (chunk.usage) {
+                    onUsage?.({ promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens });
+                }
+            }
+        },
+
+        /**
+         * Embeds a batch of texts in one request. The client's own retry loop is
+         * disabled because callers retry with their own backoff policy.
+         * @param {object} request - The request.
+         * @param {string} request.model - Embedding model name.
+         * @param {string[]} request.input - The texts to embed.
+         * @returns {Promise<number[][]>} One embedding per input, in input order.
+         */
+        async embed({ model, input }) {
+            const response = await client.embeddings.create({ model, input }, { maxRetries: 0 });
+            const embeddings = new Array(input.length).fill(null);
+            for (const item of response.data) {
+                embeddings[item.index] = item.embedding;
+            }
+            return embeddings;
+        },
+
+        /**
+         * Checks whether an error is temporary (rate limit, server or network error).
+         * @param {Error} error - The error thrown by the client.
+         * @returns {boolean} True if the request should be retried.
+         */
+        isRetryableError(error) {
+            if (error instanceof OpenAI.APIConnectionError) {
+                return true; // Includes timeouts
+            }
+            return error instanceof OpenAI.APIError && (error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500);
+        },
+
+        /**
+         * Reads the delay requested by the server through the Retry-After headers.
+         * @param {Error} error - The error thrown by the client.
+         * @returns {number|null} The delay in milliseconds, or null if none was given.
+         */
+        getRetryAfterMs(error) {
+            return parseRetryAfterHeaders(error?.headers);
+        }
+    };
+}
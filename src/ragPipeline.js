@@ -0,0 +1,197 @@
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { generateEmbedding, streamResponse } from './openaiService.js';
+import { searchDocumentSections, getDocumentDetails } from './vectorStore.js';
+import { getConfig } from './config.js';
+import { makeSnippet, extractCitations } from './citations.js';
+import { getReranker, rerankSections } from './rerankers/index.js';
+import { isDebugEnabled, debugLog } from './debug.js';
+
+// The RAG pipeline shared by the interactive chat, the `ask` command and the HTTP server:
+// retrieval, answering a single question, and the JSON form of an answer.
+
+/**
+ * Finds the document sections to answer a query with: embeds the query (unless
+ * searching by keyword), searches the vector store and, with a reranker configured,
+ * over-fetches candidates and keeps the best `matchCount` after reranking.
+ * If reranking fails, the search order is used.
+ * @param {string} searchQuery - The standalone query to search for.
+ * @param {object} [options] - Retrieval options.
+ * @param {number} [options.matchCount] - Sections to return (the configured `matchCount` when omitted).
+ * @param {number} [options.matchThreshold] - Minimum similarity of searched sections (the configured
+ *        `matchThreshold`, or `rerankThreshold` with a reranker, when omitted).
+ * @param {number[]} [options.collectionIds] - Only search documents in these collections.
+ * @param {Array<object>} [options.metadataFilter] - Only search sections whose metadata matches these conditions.
+ * @param {Function} [options.onProgress] - Called with a description of each step as it starts.
+ * @param {Function} [options.onRerankError] - Called with the error when reranking fails.
+ * @returns {Promise<{sections: Array, candidates: Array, mode: string, reranker: string|null}>} The sections
+ *          to use as context, all retrieved candidates in final order, the search mode and the reranker used.
+ * @throws {Error} If embedding or searching fails.
+ */
+export async function retrieveSections(searchQuery, options = {}) {
+    const settings = getConfig();
+    const matchCount = options.matchCount ?? settings.matchCount;
+    const mode = settings.searchMode;
+
+    // Keyword search does not need an embedding
+    let queryEmbedding = null;
+    if (mode !== 'keyword') {
+        options.onProgress?.('Generating query embedding...');
+        queryEmbedding = await generateEmbedding(searchQuery);
+    }
+
+    const reranker = getReranker(settings.reranker);
+    options.onProgress?.(`Searching relevant documents (${mode} search)...`);
+    const candidates = await searchDocumentSections(
+        queryEmbedding,
+        options.matchThreshold ?? (reranker ? settings.rerankThreshold : settings.matchThreshold),
+        reranker ? Math.max(settings.rerankCandidates, matchCount) : matchCount,
+        {
+            mode,
+            queryText: searchQuery,
+            collectionIds: options.collectionIds,
+            metadataFilter: options.metadataFilter
+        }
+    );
+
+    if (!reranker) {
+        printRetrievalDebug(candidates, matchCount);
+        return { sections: candidates, candidates, mode, reranker: null };
+    }
+
+    options.onProgress?.(`Reranking ${candidates.length} candidate sections (${reranker.name})...`);
+    try {
+        const reranked = await rerankSections(reranker, searchQuery, candidates, matchCount);
+        printRetrievalDebug(reranked.candidates, matchCount);
+        return { sections: reranked.sections, candidates: reranked.candidates, mode, reranker: reranker.name };
+    } catch (error) {
+        options.onRerankError?.(error);
+        printRetrievalDebug(candidates, matchCount);
+        return { sections: candidates.slice(0, matchCount), candidates, mode, reranker: null };
+    }
+}
+
+/**
+ * Prints the retrieved candidates with their search and rerank scores, in debug mode only.
+ * @param {Array} candidates - The candidate sections, in final order.
+ * @param {number} keptCount - How many of them were used as context.
+ */
+function printRetrievalDebug(candidates, keptCount) {
+    if (!isDebugEnabled()) {
+        return;
+    }
+    const formatScore = score => (score === null || score === undefined ? '-' : score.toFixed(3));
+    const table = new Table({
+        style: { compact: true },
+        head: ['#', 'Doc', 'Chunk', 'Similarity', 'Search score', 'Rerank score', 'Used', 'Content'].map(label => chalk.cyan(label))
+    });
+    candidates.forEach((section, index) => {
+        table.push([
+            index + 1,
+            section.document_id,
+            section.chunk_index ?? '-',
+            formatScore(section.similarity),
+            formatScore(section.score),
+            formatScore(section.rerank_score),
+            index < keptCount ? chalk.green('yes') : chalk.dim('no'),
+            makeSnippet(section.content).slice(0, 50)
+        ]);
+    });
+    debugLog(`Retrieved ${candidates.length} candidate section(s):\n${table.toString()}`);
+}
+
+/**
+ * Creates a document details lookup that fetches each document once, so building
+ * the context and listing the sources of an answer do not repeat requests.
+ * @returns {Function} Function returning a promise of a document's details by ID.
+ */
+export function createDocumentDetailsLookup() {
+    const documentDetails = new Map();
+    return (documentId) => {
+        if (!documentDetails.has(documentId)) {
+            documentDetails.set(documentId, getDocumentDetails(documentId));
+        }
+        return documentDetails.get(documentId);
+    };
+}
+
+/**
+ * Looks up the document name of each section, falling back to its document ID.
+ * @param {Array} sections - The sections.
+ * @param {Function} getDetailsFn - Function returning a document's details by ID.
+ * @returns {Promise<string[]>} The document name of each section, in section order.
+ */
+export async function getSectionDocumentNames(sections, getDetailsFn) {
+    return Promise.all(sections.map(async (section) => {
+        try {
+            return (await getDetailsFn(section.document_id)).name;
+        } catch (error) {
+            return `Document ID ${section.document_id}`;
+        }
+    }));
+}
+
+/**
+ * Answers a single question without conversation history: retrieves sections
+ * (see retrieveSections) and generates an answer citing them.
+ * @param {string} question - The question.
+ * @param {object} [options] - Retrieval options (see retrieveSections), plus:
+ * @param {Function} [options.onRetrieved] - Called with the context sections before the answer is generated.
+ * @param {Function} [options.onToken] - Called with each piece of the answer as it arrives.
+ * @param {AbortSignal} [options.signal] - Cancels the answer when aborted.
+ * @returns {Promise<object>} The answer: `answer`, `aborted`, `usage`, `sections`, their `documentNames`,
+ *          the `cited` section numbers, the search `mode` and the `reranker` used.
+ * @throws {Error} If retrieval or answer generation fails.
+ */
+export async function answerQuestion(question, options = {}) {
+    const { sections, mode, reranker } = await retrieveSections(question, options);
+    options.onRetrieved?.(sections);
+    const getDocumentDetailsOnce = createDocumentDetailsLookup();
+    const { text, aborted, usage } = await streamResponse(question, sections, getDocumentDetailsOnce, {
+        onToken: options.onToken,
+        signal: options.signal
+    });
+    return {
+        question,
+        answer: text,
+        aborted,
+        usage,
+        sections,
+        documentNames: await getSectionDocumentNames(sections, getDocumentDetailsOnce),
+        cited: extractCitations(text, sections.length),
+        mode,
+        reranker
+    };
+}
+
+/**
+ * Converts an answer from answerQuestion into the JSON shape used by `ask --json` and the HTTP API.
+ * @param {object} result - The answer.
+ * @returns {object} The answer, its sources with their scores, and token usage.
+ */
+export function toAnswerJson(result) {
+    return {
+        question: result.question,
+        answer: result.answer,
+        search_mode: result.mode,
+        reranker: result.reranker,
+        sources: result.sections.map((section, index) => ({
+            number: index + 1,
+            cited: result.cited.includes(index + 1),
+            document_id: section.document_id,
+            document_name: result.documentNames[index],
+            section_title: section.section_title ?? null,
+            chunk_index: section.chunk_index ?? null,
+            similarity: section.similarity ?? null,
+            score: section.score ?? null,
+            rerank_score: section.rerank_score ?? null,
+            content: section.content
+        })),
+        usage: {
+            prompt_tokens: result.usage.promptTokens,
+            completion_tokens: result.usage.completionTokens,
+            total_tokens: result.usage.promptTokens + result.usage.completionTokens,
+            estimated: result.usage.estimated
+        }
+    };
+}
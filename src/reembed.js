@@ -0,0 +1,68 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import {
+    listDocumentModels,
+    getDocumentSections,
+    updateSectionEmbeddings,
+    setDocumentEmbeddingModel
+} from './vectorStore.js';
+import { generateEmbeddings, getEmbeddingModelId } from './openaiService.js';
+
+// Documents added before the embedding model was recorded were embedded with this model
+export const LEGACY_EMBEDDING_MODEL = 'text-embedding-ada-002';
+
+// Earlier versions recorded models served from a custom base URL as `model@baseUrl`
+const LEGACY_BASE_URL_SUFFIX = /@[a-z][a-z0-9+.-]*:\/\/.*$/i;
+
+/**
+ * Finds the documents whose sections were embedded with another model than the configured one.
+ * Their vectors are not comparable with query embeddings from the current model.
+ * @returns {Promise<Array<{id: number, name: string, embedding_model: string}>>} The stale documents,
+ *          with the model they were embedded with.
+ * @throws {Error} If the documents cannot be listed or the embedding provider is not configured.
+ */
+export async function findStaleDocuments() {
+    const currentModel = getEmbeddingModelId();
+    const documents = await listDocumentModels();
+    return documents
+        .map(doc => ({ ...doc, embedding_model: doc.embedding_model ?? LEGACY_EMBEDDING_MODEL }))
+        .filter(doc => doc.embedding_model.replace(LEGACY_BASE_URL_SUFFIX, '') !== currentModel);
+}
+
+/**
+ * Re-embeds the existing sections of a document with the configured model.
+ * Sections keep their content, position and IDs; only the vectors change. The
+ * document is marked with the new model only if every section succeeded, so a
+ * later run retries the rest.
+ * @param {{id: number, name: string}} document - The document to re-embed.
+ * @returns {Promise<{sections: number, failures: Array<{index: number, message: string}>}>}
+ *          The number of sections and the ones that could not be embedded.
+ * @throws {Error} If the sections cannot be read or updated.
+ */
+export async function reembedDocument(document) {
+    const spinner = ora(chalk.blue(`Re-embedding "${document.name}"...`)).start();
+    try {
+        const sections = await getDocumentSections(document.id);
+        const { embeddings, failures, model } = await generateEmbeddings(sections.map(section => section.content), {
+            onProgress: (done, total) => {
+                spinner.text = chalk.blue(`Re-embedding "${document.name}" (${done}/${total} sections)...`);
+            }
+        });
+
+        const updates = sections
+            .map((section, index) => ({ id: section.id, document_id: section.document_id, embedding: embeddings[index] }))
+            .filter(update => update.embedding);
+        await updateSectionEmbeddings(updates);
+
+        if (failures.length > 0) {
+            spinner.warn(chalk.yellow(`Re-embedded ${updates.length}/${sections.length} sections of "${document.name}" (last error: ${failures[failures.length - 1].message}).`));
+        } else {
+            await setDocumentEmbeddingModel(document.id, model);
+            spinner.succeed(chalk.green(`Re-embedded ${sections.length} sections of "${document.name}".`));
+        }
+        return { sections: sections.length, failures };
+    } catch (error) {
+        spinner.fail(chalk.red(`Error re-embedding "${document.name}".`));
+        throw error;
+    }
+}
@@ -0,0 +1,57 @@
+import lexicalReranker from './lexical.js';
+import llmReranker from './llm.js';
+
+/**
+ * A reranker is an object with:
+ *
+ * - name
+ * - rerank(query, sections) -> a relevance score between 0 and 1 per section, in input order
+ *
+ * Rerankers reorder search candidates by how well they answer the query, so the
+ * search itself can cast a wider net than what fits in the prompt.
+ */
+const RERANKERS = {
+    lexical: lexicalReranker,
+    llm: llmReranker
+};
+
+export const RERANKER_NAMES = ['none', ...Object.keys(RERANKERS)];
+
+/**
+ * Returns a reranker by name.
+ * @param {string} name - The reranker name (see RERANKER_NAMES).
+ * @returns {object|null} The reranker, or null for 'none'.
+ * @throws {Error} If the reranker is unknown.
+ */
+export function getReranker(name) {
+    if (!name || name === 'none') {
+        return null;
+    }
+    const reranker = RERANKERS[name];
+    if (!reranker) {
+        throw new Error(`Unknown reranker "${name}". Available: ${RERANKER_NAMES.join(', ')}.`);
+    }
+    return reranker;
+}
+
+/**
+ * Reranks search candidates and keeps the best ones.
+ * @param {object} reranker - The reranker to use.
+ * @param {string} query - The search query.
+ * @param {Array<object>} sections - The search candidates.
+ * @param {number} topN - How many sections to keep.
+ * @returns {Promise<{sections: Array<object>, candidates: Array<object>}>} The kept sections, best first,
+ *          and every candidate with its `rerank_score`, best first.
+ * @throws {Error} If the reranker fails.
+ */
+export async function rerankSections(reranker, query, sections, topN) {
+    if (sections.length === 0) {
+        return { sections: [], candidates: [] };
+    }
+    const scores = await reranker.rerank(query, sections);
+    // Ties keep their search order, since the sort is stable
+    const candidates = sections
+        .map((section, index) => ({ ...section, rerank_score: scores[index] }))
+        .sort((a, b) => b.rerank_score - a.rerank_score);
+    return { sections: candidates.slice(0, topN), candidates };
+}
@@ -0,0 +1,36 @@
+import { tokenize, rankByKeywords } from '../keywordSearch.js';
+
+/**
+ * Lightweight reranker that needs no model calls. Each candidate's lexical
+ * score is the mean of its BM25 score (normalized to the best candidate) and
+ * the share of query terms it contains; it is averaged with the retrieval
+ * similarity when there is one. This promotes sections that contain the exact
+ * identifiers, codes and names from the question.
+ */
+export default {
+    name: 'lexical',
+
+    /**
+     * Scores candidate sections for a query.
+     * @param {string} query - The search query.
+     * @param {Array<object>} sections - Candidate sections with `content` and `similarity`.
+     * @returns {Promise<number[]>} A score between 0 and 1 for each section, in input order.
+     */
+    async rerank(query, sections) {
+        const queryTerms = new Set(tokenize(query));
+        const bm25 = new Map(rankByKeywords(query, sections).map(({ item, score }) => [item, score]));
+        const bestBm25 = Math.max(0, ...bm25.values());
+
+        return sections.map((section) => {
+            const sectionTerms = new Set(tokenize(section.content || ''));
+            const coverage = queryTerms.size > 0
+                ? [...queryTerms].filter(term => sectionTerms.has(term)).length / queryTerms.size
+                : 0;
+            const normalizedBm25 = bestBm25 > 0 ? (bm25.get(section) || 0) / bestBm25 : 0;
+            const lexical = (coverage + normalizedBm25) / 2;
+            return section.similarity !== null && section.similarity !== undefined
+                ? (section.similarity + lexical) / 2
+                : lexical;
+        });
+    }
+};
@@ -0,0 +1,26 @@
+import { scorePassageRelevance } from '../openaiService.js';
+
+// Characters of each candidate shown to the model; enough to judge relevance, cheap to send
+const PASSAGE_LENGTH = 1000;
+
+/**
+ * Reranker that has the chat model rate every candidate against the query in a
+ * single request. Slower and costlier than the lexical reranker, but it judges
+ * meaning rather than shared words.
+ */
+export default {
+    name: 'llm',
+
+    /**
+     * Scores candidate sections for a query.
+     * @param {string} query - The search query.
+     * @param {Array<object>} sections - Candidate sections with `content`.
+     * @returns {Promise<number[]>} A score between 0 and 1 for each section, in input order.
+     * @throws {Error} If the chat model fails or does not return a score per section.
+     */
+    async rerank(query, sections) {
+        const passages = sections.map(section => section.content.replace(/\s+/g, ' ').trim().slice(0, PASSAGE_LENGTH));
+        const scores = await scorePassageRelevance(query, passages);
+        return scores.map(score => score / 10);
+    }
+};
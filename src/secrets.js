@@ -0,0 +1,123 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+// Encryption of secrets (API keys) in the configuration file: AES-256-GCM with a
+// key derived by scrypt from a passphrase. The passphrase is typed in, or read from
+// RAGCHAT_PASSPHRASE or from the file named by RAGCHAT_KEY_FILE.
+
+// Prefix of encrypted values; the version allows changing the format later
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// scrypt cost parameters (about 100 ms and 32 MB per derivation)
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * Checks whether a stored value is encrypted.
+ * @param {*} value - The stored value.
+ * @returns {boolean} True if the value was produced by encryptValue.
+ */
+export function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Creates a random salt for key derivation.
+ * @returns {string} The salt, base64-encoded.
+ */
+export function createSalt() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * Derives the encryption key from a passphrase.
+ * @param {string} passphrase - The passphrase or key file content.
+ * @param {string} salt - The salt, base64-encoded (see createSalt).
+ * @returns {Buffer} The 256-bit key.
+ */
+export function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, SCRYPT_OPTIONS);
+}
+
+/**
+ * Encrypts a value.
+ * @param {string} plaintext - The value.
+ * @param {Buffer} key - The key (see deriveKey).
+ * @returns {string} The encrypted value: prefix, IV, authentication tag and ciphertext.
+ */
+export function encryptValue(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':')}`;
+}
+
+/**
+ * Decrypts a value produced by encryptValue.
+ * @param {string} value - The encrypted value.
+ * @param {Buffer} key - The key (see deriveKey).
+ * @returns {string} The plaintext.
+ * @throws {Error} If the key is wrong or the value was tampered with.
+ */
+export function decryptValue(value, key) {
+    const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Could not decrypt a secret: wrong passphrase or corrupted value.');
+    }
+}
+
+/**
+ * Reads the passphrase from the environment: RAGCHAT_PASSPHRASE, or the content of
+ * the file named by RAGCHAT_KEY_FILE.
+ * @returns {{passphrase: string, source: string}|null} The passphrase and where it came from,
+ *          or null if neither variable is set.
+ * @throws {Error} If the key file cannot be read or is empty.
+ */
+export function readPassphraseFromEnvironment() {
+    if (process.env.RAGCHAT_PASSPHRASE) {
+        return { passphrase: process.env.RAGCHAT_PASSPHRASE, source: 'RAGCHAT_PASSPHRASE' };
+    }
+    const keyFile = process.env.RAGCHAT_KEY_FILE;
+    if (keyFile) {
+        return { passphrase: readKeyFile(keyFile), source: keyFile };
+    }
+    return null;
+}
+
+/**
+ * Reads a key file.
+ * @param {string} filePath - The key file.
+ * @returns {string} Its content, without surrounding whitespace.
+ * @throws {Error} If the file cannot be read or is empty.
+ */
+export function readKeyFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf-8').trim();
+    } catch (error) {
+        throw new Error(`Failed to read key file ${filePath}: ${error.message}`);
+    }
+    if (!content) {
+        throw new Error(`Key file ${filePath} is empty.`);
+    }
+    return content;
+}
+
+/**
+ * Writes a new key file with a random key, readable only by the current user.
+ * @param {string} filePath - The file to create; it must not exist yet.
+ * @returns {string} The key.
+ * @throws {Error} If the file exists or cannot be written.
+ */
+export function createKeyFile(filePath) {
+    const key = crypto.randomBytes(32).toString('base64');
+    try {
+        fs.writeFileSync(filePath, `${key}\n`, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+        throw new Error(`Failed to create key file ${filePath}: ${error.message}`);
+    }
+    return key;
+}
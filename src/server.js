@@ -0,0 +1,394 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import chalk from 'chalk';
+import { generateEmbeddings } from './openaiService.js';
+import {
+    checkDatabaseSetup,
+    addDocument,
+    listDocuments,
+    getDocumentDetails,
+    getDocumentSections,
+    deleteDocumentById,
+    findCollectionByNameOrId
+} from './vectorStore.js';
+import { getConfigValue, redactSecrets } from './config.js';
+import { answerQuestion, toAnswerJson } from './ragPipeline.js';
+import { parseFilterExpression } from './metadataFilter.js';
+
+// HTTP API over the RAG pipeline and the document store, for services that
+// cannot shell out to the CLI. Every response is JSON, except streamed query
+// answers, which are server-sent events.
+
+// Largest accepted request body; matches the default file size limit of `add`
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * An error with the HTTP status and machine-readable code to answer it with.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code.
+     * @param {string} code - Error code for the response body, e.g. "invalid_request".
+     * @param {string} message - Human-readable description.
+     * @param {object} [details] - Extra information, such as the invalid field.
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - HTTP status code.
+ * @param {object} body - The response body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an error as `{ error: { code, message, details } }`. Errors from the
+ * store about missing documents or collections become 404s; unknown errors 500s.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Error} error - The error.
+ */
+function sendError(res, error) {
+    let httpError = error;
+    if (!(error instanceof HttpError)) {
+        httpError = /^(Document|Collection) not found/.test(error.message)
+            ? new HttpError(404, 'not_found', error.message)
+            : new HttpError(500, 'internal_error', redactSecrets(error.message));
+    }
+    const body = { error: { code: httpError.code, message: httpError.message } };
+    if (httpError.details) {
+        body.error.details = httpError.details;
+    }
+    sendJson(res, httpError.status, body);
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} The parsed body (an empty object when there is none).
+ * @throws {HttpError} If the body is too large, is not valid JSON or is not an object.
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text.trim()) {
+        return {};
+    }
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`);
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'invalid_request', 'Request body must be a JSON object.');
+    }
+    return body;
+}
+
+/**
+ * Creates the error for an invalid request field.
+ * @param {string} field - The field name.
+ * @param {string} message - What is wrong with it.
+ * @returns {HttpError} A 400 error naming the field.
+ */
+function invalidField(field, message) {
+    return new HttpError(400, 'invalid_request', `"${field}" ${message}`, { field });
+}
+
+/**
+ * Validates an optional list of collection names or IDs and resolves them.
+ * @param {*} value - The `collections` field (a name, an ID or a list of them).
+ * @param {string} field - The field name, for errors.
+ * @returns {Promise<number[]|undefined>} The collection IDs, or undefined if none were given.
+ * @throws {HttpError} If the field is malformed.
+ * @throws {Error} If a collection does not exist.
+ */
+async function resolveCollectionIds(value, field) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const identifiers = Array.isArray(value) ? value : [value];
+    if (identifiers.length === 0 || identifiers.some(item => (typeof item !== 'string' || !item.trim()) && !Number.isInteger(item))) {
+        throw invalidField(field, 'must be a collection name or ID, or a non-empty list of them.');
+    }
+    const collections = await Promise.all(identifiers.map(item => findCollectionByNameOrId(String(item))));
+    return collections.map(collection => collection.id);
+}
+
+/**
+ * Validates a query request.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} The question, the answerQuestion options and whether to stream.
+ * @throws {HttpError} If a field is missing or invalid.
+ * @throws {Error} If a collection does not exist.
+ */
+async function parseQueryRequest(body) {
+    if (typeof body.question !== 'string' || !body.question.trim()) {
+        throw invalidField('question', 'is required and must be a non-empty string.');
+    }
+    if (body.top_k !== undefined && (!Number.isInteger(body.top_k) || body.top_k < 1)) {
+        throw invalidField('top_k', 'must be a positive integer.');
+    }
+    if (body.threshold !== undefined && (typeof body.threshold !== 'number' || body.threshold < 0 || body.threshold > 1)) {
+        throw invalidField('threshold', 'must be a number between 0 and 1.');
+    }
+    if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+        throw invalidField('stream', 'must be a boolean.');
+    }
+
+    let metadataFilter;
+    if (body.filter !== undefined) {
+        const expressions = Array.isArray(body.filter) ? body.filter : [body.filter];
+        if (expressions.some(expression => typeof expression !== 'string')) {
+            throw invalidField('filter', 'must be a filter expression or a list of them, e.g. "type=runbook".');
+        }
+        try {
+            metadataFilter = expressions.length > 0 ? expressions.map(parseFilterExpression) : undefined;
+        } catch (error) {
+            throw invalidField('filter', `is invalid: ${error.message}`);
+        }
+    }
+
+    return {
+        question: body.question.trim(),
+        stream: body.stream === true,
+        options: {
+            matchCount: body.top_k,
+            matchThreshold: body.threshold,
+            collectionIds: await resolveCollectionIds(body.collections, 'collections'),
+            metadataFilter
+        }
+    };
+}
+
+/**
+ * Parses a document ID from the URL.
+ * @param {string} value - The path segment.
+ * @returns {number} The document ID.
+ * @throws {HttpError} If it is not a positive integer.
+ */
+function parseDocumentId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new HttpError(400, 'invalid_request', `Invalid document ID: "${value}"`, { field: 'id' });
+    }
+    return id;
+}
+
+/**
+ * GET /health: reports whether the vector store is set up. Needs no API key.
+ * @param {object} context - The request context.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function handleHealth({ res }) {
+    try {
+        const setupStatus = await checkDatabaseSetup({ quiet: true });
+        sendJson(res, setupStatus.allExist ? 200 : 503, {
+            status: setupStatus.allExist ? 'ok' : 'unavailable',
+            vector_store: getConfigValue('vectorStore'),
+            database: { ready: setupStatus.allExist, missing: setupStatus.missing }
+        });
+    } catch (error) {
+        sendJson(res, 503, {
+            status: 'unavailable',
+            vector_store: getConfigValue('vectorStore'),
+            database: { ready: false, error: redactSecrets(error.message) }
+        });
+    }
+}
+
+/**
+ * POST /query: answers a question. With `"stream": true` (or an `Accept: text/event-stream`
+ * header) the answer is sent as server-sent events: `token` events with each piece of text,
+ * then a `done` event with the full answer, or an `error` event. Disconnecting cancels the answer.
+ * @param {object} context - The request context.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function handleQuery({ req, res }) {
+    const { question, stream, options } = await parseQueryRequest(await readJsonBody(req));
+    const startedAt = Date.now();
+
+    if (!stream && !(req.headers.accept || '').includes('text/event-stream')) {
+        const result = await answerQuestion(question, options);
+        sendJson(res, 200, { ...toAnswerJson(result), duration_ms: Date.now() - startedAt });
+        return;
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    try {
+        const result = await answerQuestion(question, {
+            ...options,
+            signal: controller.signal,
+            onToken: text => sendEvent('token', { text })
+        });
+        if (!result.aborted) {
+            sendEvent('done', { ...toAnswerJson(result), duration_ms: Date.now() - startedAt });
+        }
+    } catch (error) {
+        sendEvent('error', { code: 'internal_error', message: redactSecrets(error.message) });
+    }
+    res.end();
+}
+
+/**
+ * GET /documents: lists documents, optionally of one collection (`?collection=name-or-id`).
+ * @param {object} context - The request context.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function handleListDocuments({ res, url }) {
+    const collection = url.searchParams.get('collection');
+    const collectionId = collection ? (await findCollectionByNameOrId(collection)).id : undefined;
+    sendJson(res, 200, { documents: await listDocuments({ collectionId }) });
+}
+
+/**
+ * POST /documents: adds a document from `name` and `content`, optionally to a
+ * `collection` and with `metadata`.
+ * @param {object} context - The request context.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function handleAddDocument({ req, res }) {
+    const body = await readJsonBody(req);
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+        throw invalidField('name', 'is required and must be a non-empty string.');
+    }
+    if (typeof body.content !== 'string' || !body.content.trim()) {
+        throw invalidField('content', 'is required and must be a non-empty string.');
+    }
+    if (body.collection !== undefined && typeof body.collection !== 'string' && !Number.isInteger(body.collection)) {
+        throw invalidField('collection', 'must be a collection name or ID.');
+    }
+    if (body.metadata !== undefined && (body.metadata === null || typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+        throw invalidField('metadata', 'must be an object.');
+    }
+
+    const collectionId = body.collection === undefined
+        ? undefined
+        : (await findCollectionByNameOrId(String(body.collection))).id;
+    const name = body.name.trim();
+    const id = await addDocument(name, body.content, generateEmbeddings, { collectionId, metadata: body.metadata });
+    sendJson(res, 201, { id, name, collection_id: collectionId ?? null });
+}
+
+/**
+ * GET /documents/:id: shows a document with its sections.
+ * @param {object} context - The request context.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function handleShowDocument({ res, params }) {
+    const id = parseDocumentId(params[0]);
+    const { name, content } = await getDocumentDetails(id);
+    const sections = await getDocumentSections(id);
+    sendJson(res, 200, {
+        id,
+        name,
+        content,
+        sections: sections.map(section => ({ id: section.id, content: section.content }))
+    });
+}
+
+/**
+ * DELETE /documents/:id: deletes a document and its sections.
+ * @param {object} context - The request context.
+ * @returns {Promise<void>} Resolves once the response is sent.
+ */
+async function handleDeleteDocument({ res, params }) {
+    const id = parseDocumentId(params[0]);
+    await getDocumentDetails(id); // 404 for unknown documents
+    await deleteDocumentById(id);
+    sendJson(res, 200, { id, deleted: true });
+}
+
+// Routes: path pattern, then handler per method. Captured groups are passed as `params`.
+const ROUTES = [
+    { pattern: /^\/health$/, methods: { GET: handleHealth }, public: true },
+    { pattern: /^\/query$/, methods: { POST: handleQuery } },
+    { pattern: /^\/documents$/, methods: { GET: handleListDocuments, POST: handleAddDocument } },
+    { pattern: /^\/documents\/([^/]+)$/, methods: { GET: handleShowDocument, DELETE: handleDeleteDocument } }
+];
+
+/**
+ * Checks the API key of a request, from `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * Compares digests so the check takes the same time whatever the key.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {string} apiKey - The expected key.
+ * @returns {boolean} True if the request carries the key.
+ */
+function isAuthorized(req, apiKey) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : req.headers['x-api-key'];
+    if (typeof given !== 'string' || !given) {
+        return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(apiKey));
+}
+
+/**
+ * Creates the HTTP API server. Every endpoint except GET /health needs the API key.
+ * Each request is logged to stdout with its status and duration.
+ * @param {object} options - Server options.
+ * @param {string} options.apiKey - The API key clients must send.
+ * @returns {http.Server} The server, not yet listening.
+ */
+export function createApiServer({ apiKey }) {
+    return http.createServer(async (req, res) => {
+        const startedAt = Date.now();
+        res.on('close', () => {
+            // Load balancers probe /health every few seconds; only log the failing probes
+            if (req.url.split('?')[0] === '/health' && res.statusCode === 200) {
+                return;
+            }
+            console.log(chalk.dim(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - startedAt}ms`));
+        });
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const route = ROUTES.find(candidate => candidate.pattern.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, 'not_found', `No endpoint at ${url.pathname}`);
+            }
+            const handler = route.methods[req.method];
+            if (!handler) {
+                res.setHeader('Allow', Object.keys(route.methods).join(', '));
+                throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported on ${url.pathname}`);
+            }
+            if (!route.public && !isAuthorized(req, apiKey)) {
+                throw new HttpError(401, 'unauthorized', 'Missing or invalid API key. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".');
+            }
+            const params = url.pathname.match(route.pattern).slice(1);
+            await handler({ req, res, url, params });
+        } catch (error) {
+            if (res.headersSent) {
+                res.end();
+            } else {
+                sendError(res, error);
+            }
+        }
+    });
+}
@@ -0,0 +1,227 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { getConfigDir } from './config.js';
+import { describeFilter } from './metadataFilter.js';
+
+// Chat sessions, saved after every answer so they survive crashes and can be
+// resumed or exported. Each session is one JSON file in the sessions directory.
+
+const SESSION_VERSION = 1;
+
+/**
+ * Returns the directory holding saved chat sessions.
+ * @returns {string} Absolute path of the sessions directory.
+ */
+export function getSessionsDir() {
+    return path.join(getConfigDir(), 'sessions');
+}
+
+/**
+ * Returns the path of a session file.
+ * @param {string} id - The session ID.
+ * @returns {string} Absolute path of the session file.
+ */
+function sessionPath(id) {
+    return path.join(getSessionsDir(), `${id}.json`);
+}
+
+/**
+ * Creates a new, unsaved session. Its ID starts with the start time, so IDs sort chronologically.
+ * @param {object} [scope] - What the chat searches.
+ * @param {Array<{id: number, name: string}>} [scope.collections] - Collections the chat is scoped to.
+ * @param {Array<object>} [scope.metadataFilter] - Metadata conditions the chat is scoped to.
+ * @returns {object} The session.
+ */
+export function createSession(scope = {}) {
+    const startedAt = new Date();
+    const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return {
+        version: SESSION_VERSION,
+        id: `${stamp}-${crypto.randomBytes(2).toString('hex')}`,
+        started_at: startedAt.toISOString(),
+        updated_at: startedAt.toISOString(),
+        scope: {
+            collections: (scope.collections ?? []).map(({ id, name }) => ({ id, name })),
+            metadata_filter: scope.metadataFilter ?? null
+        },
+        turns: [],
+        conversation: { turns: [], summary: '' }
+    };
+}
+
+/**
+ * Writes a session to disk atomically (temporary file plus rename).
+ * @param {object} session - The session.
+ * @returns {Promise<void>} Resolves once the session is saved.
+ */
+async function saveSession(session) {
+    const filePath = sessionPath(session.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(getSessionsDir(), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(session, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Records an answered question and saves the session, together with the
+ * conversation memory needed to resume it.
+ * @param {object} session - The session.
+ * @param {object} turn - The exchange.
+ * @param {string} turn.question - The question, as asked.
+ * @param {string} turn.searchQuery - The query the documents were searched with.
+ * @param {string} turn.answer - The answer text, with its citations.
+ * @param {boolean} turn.aborted - Whether the answer was cancelled.
+ * @param {Array} turn.sections - The sections given as context.
+ * @param {string[]} turn.documentNames - The document name of each section.
+ * @param {number[]} turn.cited - The cited section numbers.
+ * @param {object} conversation - The conversation memory after the exchange (see conversation.js).
+ * @returns {Promise<void>} Resolves once the session is saved.
+ */
+export async function recordTurn(session, turn, conversation) {
+    const now = new Date().toISOString();
+    session.turns.push({
+        asked_at: now,
+        question: turn.question,
+        search_query: turn.searchQuery,
+        answer: turn.answer,
+        cancelled: turn.aborted,
+        sources: turn.sections.map((section, index) => ({
+            number: index + 1,
+            cited: turn.cited.includes(index + 1),
+            document_id: section.document_id,
+            document_name: turn.documentNames[index],
+            section_title: section.section_title ?? null,
+            chunk_index: section.chunk_index ?? null,
+            similarity: section.similarity ?? null,
+            score: section.score ?? null,
+            rerank_score: section.rerank_score ?? null
+        }))
+    });
+    session.updated_at = now;
+    session.conversation = { turns: [...conversation.turns], summary: conversation.summary };
+    await saveSession(session);
+}
+
+/**
+ * Loads a saved session.
+ * @param {string} id - The session ID, or "last" for the most recently updated session.
+ * @returns {Promise<object>} The session.
+ * @throws {Error} If the session does not exist or cannot be read.
+ */
+export async function loadSession(id) {
+    if (id === 'last') {
+        const [latest] = await listSessions();
+        if (!latest) {
+            throw new Error('No saved sessions yet.');
+        }
+        id = latest.id;
+    }
+    if (!/^[\w-]+$/.test(id)) {
+        throw new Error(`Session not found: "${id}"`);
+    }
+
+    let text;
+    try {
+        text = await fs.readFile(sessionPath(id), 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Session not found: "${id}". Run \`ragchat sessions list\` to see saved sessions.`);
+        }
+        throw error;
+    }
+    const session = JSON.parse(text);
+    if (session.version !== SESSION_VERSION) {
+        throw new Error(`Session "${id}" was saved by an incompatible version (format ${session.version}).`);
+    }
+    return session;
+}
+
+/**
+ * Lists saved sessions, most recently updated first. Unreadable files are skipped.
+ * @returns {Promise<Array<{id: string, started_at: string, updated_at: string, turns: number, first_question: string}>>}
+ *          A summary of each session.
+ */
+export async function listSessions() {
+    let files;
+    try {
+        files = await fs.readdir(getSessionsDir());
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const sessions = await Promise.all(files.filter(file => file.endsWith('.json')).map(async (file) => {
+        try {
+            const session = JSON.parse(await fs.readFile(path.join(getSessionsDir(), file), 'utf-8'));
+            return {
+                id: session.id,
+                started_at: session.started_at,
+                updated_at: session.updated_at,
+                turns: session.turns.length,
+                first_question: session.turns[0]?.question ?? ''
+            };
+        } catch (error) {
+            return null;
+        }
+    }));
+    return sessions.filter(Boolean).sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * Describes a source for the Markdown export.
+ * @param {object} source - A saved source.
+ * @returns {string} E.g. "runbook.md › Restart, section #2 (similarity 0.91)".
+ */
+function describeSource(source) {
+    const location = [source.section_title, source.chunk_index !== null ? `section #${source.chunk_index}` : null]
+        .filter(Boolean)
+        .join(', ');
+    const relevance = source.similarity !== null
+        ? `similarity ${source.similarity.toFixed(2)}`
+        : `keyword score ${source.score?.toFixed(2)}`;
+    return `${source.document_name}${location ? ` › ${location}` : ''} (${relevance})`;
+}
+
+/**
+ * Renders a session as Markdown, for tickets and incident reports: every
+ * question and answer with the time it was asked and the sources it cited.
+ * @param {object} session - The session.
+ * @returns {string} The Markdown document.
+ */
+export function sessionToMarkdown(session) {
+    const lines = [`# Chat session ${session.id}`, ''];
+    lines.push(`- Started: ${session.started_at}`);
+    lines.push(`- Last updated: ${session.updated_at}`);
+    if (session.scope.collections.length > 0) {
+        lines.push(`- Collections: ${session.scope.collections.map(collection => collection.name).join(', ')}`);
+    }
+    if (session.scope.metadata_filter) {
+        lines.push(`- Metadata filter: ${describeFilter(session.scope.metadata_filter)}`);
+    }
+    lines.push('');
+
+    session.turns.forEach((turn, index) => {
+        lines.push(`## ${index + 1}. ${turn.question.replace(/\s+/g, ' ').trim()}`, '');
+        lines.push(`_Asked at ${turn.asked_at}${turn.search_query !== turn.question ? ` · searched for: ${turn.search_query}` : ''}_`, '');
+        lines.push(turn.answer.trim() || '_(no answer)_');
+        if (turn.cancelled) {
+            lines.push('', '_(answer cancelled)_');
+        }
+        const cited = turn.sources.filter(source => source.cited);
+        const uncited = turn.sources.filter(source => !source.cited);
+        if (turn.sources.length > 0) {
+            lines.push('', '**Sources**', '');
+            for (const source of cited) {
+                lines.push(`- [${source.number}] ${describeSource(source)}`);
+            }
+            for (const source of uncited) {
+                lines.push(`- [${source.number}] ${describeSource(source)}, not cited`);
+            }
+        }
+        lines.push('');
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,18 @@
+-- Reverts 0001_initial_schema: drops the tables, with every document, and the functions
+-- using them (including those of R_search_functions.sql).
+-- The vector extension is kept, as other schemas may use it.
+
+DROP FUNCTION IF EXISTS hybrid_match_document_sections(text, vector, float, int, int, bigint[], jsonb);
+DROP FUNCTION IF EXISTS keyword_match_document_sections(text, int, bigint[], jsonb);
+DROP FUNCTION IF EXISTS match_document_sections(vector, float, int, bigint[], jsonb);
+DROP FUNCTION IF EXISTS document_sections_keyword_query(text);
+DROP FUNCTION IF EXISTS document_section_matches(bigint, jsonb, jsonb);
+DROP FUNCTION IF EXISTS metadata_matches(jsonb, jsonb);
+DROP FUNCTION IF EXISTS metadata_compare(text, text);
+DROP FUNCTION IF EXISTS metadata_values(jsonb);
+DROP FUNCTION IF EXISTS document_in_collections(bigint, bigint[]);
+DROP FUNCTION IF EXISTS test_vector_extension(float[]);
+
+DROP TABLE IF EXISTS public.document_sections;
+DROP TABLE IF EXISTS public.documents;
+DROP TABLE IF EXISTS public.collections;
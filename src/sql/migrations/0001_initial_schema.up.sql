@@ -0,0 +1,82 @@
+-- Initial schema: the pgvector extension, collections, documents and their sections.
+-- The EMBEDDING_DIMENSION placeholder is filled in with the configured embedding dimension.
+-- The statements are idempotent, so this also adopts databases set up by hand
+-- before migrations existed. Search functions are in R_search_functions.sql.
+
+-- 1. Enable the pgvector extension
+-- This might require enabling it in the Supabase Dashboard first (Database > Extensions)
+-- The command should ideally be run by a user with sufficient privileges.
+-- Supabase has the extensions schema already; plain Postgres servers need it created.
+CREATE SCHEMA IF NOT EXISTS extensions;
+CREATE EXTENSION IF NOT EXISTS vector WITH SCHEMA extensions;
+
+-- Helper function to test if vector extension is working
+CREATE OR REPLACE FUNCTION test_vector_extension(test_array float[])
+RETURNS boolean 
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Cast the input array to a vector type and return true if successful
+  PERFORM test_array::vector;
+  RETURN true;
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN false;
+END;
+$$;
+
+-- 2. Create the collections and documents tables
+-- Collections are named groups of documents (e.g. one knowledge base per product) that searches can be scoped to
+CREATE TABLE IF NOT EXISTS public.collections (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.documents (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name TEXT NOT NULL,
+    content TEXT,
+    source_path TEXT, -- Absolute path of the file the document was loaded from (NULL for typed-in documents)
+    content_hash TEXT, -- SHA-256 of the source file bytes, used to detect changes on sync
+    embedding_model TEXT, -- Embedding model of the document's sections (NULL: text-embedding-ada-002, used by earlier versions)
+    collection_id BIGINT REFERENCES public.collections(id) ON DELETE CASCADE, -- NULL: not in a collection
+    metadata JSONB NOT NULL DEFAULT '{}', -- Path info, front matter and `add --meta` values, for filtering
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add the source tracking columns to tables created by earlier versions
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS source_path TEXT;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS collection_id BIGINT REFERENCES public.collections(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_documents_source_path ON public.documents (source_path);
+ALTER TABLE public.documents ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_documents_collection_id ON public.documents (collection_id);
+
+-- 3. Create the document_sections table
+CREATE TABLE IF NOT EXISTS public.document_sections (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    document_id BIGINT REFERENCES public.documents(id) ON DELETE CASCADE,
+    content TEXT,
+    embedding VECTOR({{EMBEDDING_DIMENSION}}), -- Must match the embedding model's output dimension
+    chunk_index INT, -- Position of the chunk within its document (0-based)
+    start_offset INT, -- Character offset where the chunk starts in documents.content
+    end_offset INT, -- Character offset where the chunk ends (exclusive)
+    section_title TEXT, -- Heading path of the chunk in the source (e.g. "Install > Linux")
+    metadata JSONB NOT NULL DEFAULT '{}', -- Section-specific metadata (e.g. PDF page); overrides the document's
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add the chunk position and section columns to tables created by earlier versions
+ALTER TABLE public.document_sections ADD COLUMN IF NOT EXISTS chunk_index INT;
+ALTER TABLE public.document_sections ADD COLUMN IF NOT EXISTS start_offset INT;
+ALTER TABLE public.document_sections ADD COLUMN IF NOT EXISTS end_offset INT;
+ALTER TABLE public.document_sections ADD COLUMN IF NOT EXISTS section_title TEXT;
+ALTER TABLE public.document_sections ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}';
+
+-- Full-text search column for keyword and hybrid search, kept up to date by Postgres
+ALTER TABLE public.document_sections ADD COLUMN IF NOT EXISTS fts TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+CREATE INDEX IF NOT EXISTS idx_document_sections_fts ON public.document_sections USING gin (fts);
@@ -0,0 +1,246 @@
+-- Repeatable migration: applied after the numbered migrations, and again whenever
+-- its content changes, e.g. when the configured embedding dimension changes.
+-- The EMBEDDING_DIMENSION placeholders are filled in with that dimension.
+
+-- Switch the embedding column to the configured dimension if it changed.
+-- Vectors of another dimension cannot be converted, so they are cleared:
+-- run `ragchat reembed` afterwards to embed the documents with the new model.
+DO $$
+BEGIN
+  IF (SELECT atttypmod FROM pg_attribute
+      WHERE attrelid = 'public.document_sections'::regclass AND attname = 'embedding') <> {{EMBEDDING_DIMENSION}} THEN
+    DROP INDEX IF EXISTS idx_document_sections_embedding;
+    ALTER TABLE public.document_sections
+      ALTER COLUMN embedding TYPE VECTOR({{EMBEDDING_DIMENSION}}) USING NULL;
+    -- Mark every document as needing new embeddings
+    UPDATE public.documents SET embedding_model = '(cleared)';
+  END IF;
+END $$;
+
+-- 4. Create an index for efficient similarity search (HNSW)
+-- Adjust parameters (m, ef_construction) based on expected data size and performance needs
+-- Run this *after* potentially inserting some data if needed, or on an empty table.
+CREATE INDEX IF NOT EXISTS idx_document_sections_embedding
+ON public.document_sections
+USING hnsw (embedding vector_cosine_ops) -- Use cosine distance as Supabase recommends for OpenAI embeddings
+WITH (m = 16, ef_construction = 64); -- Standard defaults, adjust as needed
+
+
+-- Collection filter shared by the search functions below
+CREATE OR REPLACE FUNCTION document_in_collections(doc_id bigint, collection_ids bigint[])
+RETURNS boolean
+LANGUAGE sql STABLE
+AS $$
+  SELECT collection_ids IS NULL
+    OR EXISTS (SELECT 1 FROM documents d WHERE d.id = doc_id AND d.collection_id = ANY(collection_ids));
+$$;
+
+-- Metadata filters: a JSON array of conditions {"key", "op", "value"} that must all hold.
+-- op is eq, in (value is an array), gt, gte, lt or lte. A condition on an array holds if
+-- any element satisfies it; a condition on a missing key never holds.
+-- Mirrors matchesMetadata in src/metadataFilter.js.
+CREATE OR REPLACE FUNCTION metadata_values(value jsonb)
+RETURNS SETOF text
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT value #>> '{}' WHERE jsonb_typeof(value) IN ('string', 'number', 'boolean')
+  UNION ALL
+  SELECT element #>> '{}'
+  FROM jsonb_array_elements(CASE WHEN jsonb_typeof(value) = 'array' THEN value ELSE '[]'::jsonb END) element
+  WHERE jsonb_typeof(element) IN ('string', 'number', 'boolean');
+$$;
+
+-- Compares numerically if both values are numbers, as text otherwise (which orders ISO dates)
+CREATE OR REPLACE FUNCTION metadata_compare(a text, b text)
+RETURNS int
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN a ~ '^-?\d+(\.\d+)?$' AND b ~ '^-?\d+(\.\d+)?$' THEN sign(a::numeric - b::numeric)::int
+    WHEN a COLLATE "C" < b COLLATE "C" THEN -1
+    WHEN a COLLATE "C" > b COLLATE "C" THEN 1
+    ELSE 0
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION metadata_matches(metadata jsonb, conditions jsonb)
+RETURNS boolean
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT conditions IS NULL OR NOT EXISTS (
+    SELECT 1 FROM jsonb_array_elements(conditions) c
+    WHERE NOT EXISTS (
+      SELECT 1 FROM metadata_values(metadata -> (c ->> 'key')) v
+      WHERE CASE c ->> 'op'
+        WHEN 'eq' THEN v = c ->> 'value'
+        WHEN 'in' THEN v IN (SELECT jsonb_array_elements_text(c -> 'value'))
+        WHEN 'gt' THEN metadata_compare(v, c ->> 'value') > 0
+        WHEN 'gte' THEN metadata_compare(v, c ->> 'value') >= 0
+        WHEN 'lt' THEN metadata_compare(v, c ->> 'value') < 0
+        WHEN 'lte' THEN metadata_compare(v, c ->> 'value') <= 0
+        ELSE false
+      END
+    )
+  );
+$$;
+
+-- Applies a metadata filter to a section: its document's metadata, overridden by its own
+CREATE OR REPLACE FUNCTION document_section_matches(doc_id bigint, section_metadata jsonb, conditions jsonb)
+RETURNS boolean
+LANGUAGE sql STABLE
+AS $$
+  SELECT conditions IS NULL
+    OR metadata_matches((SELECT d.metadata FROM documents d WHERE d.id = doc_id) || section_metadata, conditions);
+$$;
+
+-- 5. Create the RPC function for matching sections
+-- Drop first: CREATE OR REPLACE cannot change the returned columns of an existing function
+-- (or its parameters: earlier versions had no collection or metadata filter)
+DROP FUNCTION IF EXISTS match_document_sections(vector, float, int);
+DROP FUNCTION IF EXISTS match_document_sections(vector, float, int, bigint[]);
+CREATE OR REPLACE FUNCTION match_document_sections (
+  query_embedding vector({{EMBEDDING_DIMENSION}}), -- Dimension must match your model
+  match_threshold float,
+  match_count int,
+  filter_collection_ids bigint[] DEFAULT NULL, -- Only search documents in these collections (NULL: all documents)
+  filter_metadata jsonb DEFAULT NULL -- Metadata conditions (see metadata_matches; NULL: no filter)
+)
+RETURNS TABLE (
+  id bigint,
+  document_id bigint,
+  content text,
+  chunk_index int,
+  start_offset int,
+  end_offset int,
+  section_title text,
+  similarity float
+)
+LANGUAGE sql STABLE -- Ensures the function doesn't modify the database
+AS $$
+  SELECT
+    ds.id,
+    ds.document_id,
+    ds.content,
+    ds.chunk_index,
+    ds.start_offset,
+    ds.end_offset,
+    ds.section_title,
+    1 - (ds.embedding <=> query_embedding) AS similarity -- '<=>' is cosine distance, 1 - distance = similarity
+  FROM document_sections ds
+  WHERE 1 - (ds.embedding <=> query_embedding) > match_threshold
+    AND document_in_collections(ds.document_id, filter_collection_ids)
+    AND document_section_matches(ds.document_id, ds.metadata, filter_metadata)
+  ORDER BY similarity DESC -- Order by similarity descending
+  LIMIT match_count;
+$$; 
+
+-- 6. Keyword search: ranks sections by full-text relevance (ts_rank_cd).
+-- Question words are OR-ed, so a section matches if it contains any of them;
+-- the ranking favors sections containing more of them, close together.
+CREATE OR REPLACE FUNCTION document_sections_keyword_query(query_text text)
+RETURNS tsquery
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT replace(plainto_tsquery('english', query_text)::text, ' & ', ' | ')::tsquery;
+$$;
+
+DROP FUNCTION IF EXISTS keyword_match_document_sections(text, int);
+DROP FUNCTION IF EXISTS keyword_match_document_sections(text, int, bigint[]);
+CREATE OR REPLACE FUNCTION keyword_match_document_sections (
+  query_text text,
+  match_count int,
+  filter_collection_ids bigint[] DEFAULT NULL,
+  filter_metadata jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  id bigint,
+  document_id bigint,
+  content text,
+  chunk_index int,
+  start_offset int,
+  end_offset int,
+  section_title text,
+  similarity float, -- Always NULL: keyword search does not use embeddings
+  score float -- Full-text rank
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    ds.id,
+    ds.document_id,
+    ds.content,
+    ds.chunk_index,
+    ds.start_offset,
+    ds.end_offset,
+    ds.section_title,
+    NULL::float AS similarity,
+    ts_rank_cd(ds.fts, document_sections_keyword_query(query_text))::float AS score
+  FROM document_sections ds
+  WHERE ds.fts @@ document_sections_keyword_query(query_text)
+    AND document_in_collections(ds.document_id, filter_collection_ids)
+    AND document_section_matches(ds.document_id, ds.metadata, filter_metadata)
+  ORDER BY score DESC
+  LIMIT match_count;
+$$;
+
+-- 7. Hybrid search: merges the keyword and vector rankings with reciprocal rank
+-- fusion (score = sum of 1 / (rrf_k + rank) over both rankings), so sections that
+-- rank well in either list, and best in both, come first.
+DROP FUNCTION IF EXISTS hybrid_match_document_sections(text, vector, float, int, int);
+DROP FUNCTION IF EXISTS hybrid_match_document_sections(text, vector, float, int, int, bigint[]);
+CREATE OR REPLACE FUNCTION hybrid_match_document_sections (
+  query_text text,
+  query_embedding vector({{EMBEDDING_DIMENSION}}),
+  match_threshold float, -- Applies to the vector ranking only
+  match_count int,
+  rrf_k int DEFAULT 60,
+  filter_collection_ids bigint[] DEFAULT NULL,
+  filter_metadata jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  id bigint,
+  document_id bigint,
+  content text,
+  chunk_index int,
+  start_offset int,
+  end_offset int,
+  section_title text,
+  similarity float, -- Cosine similarity to the query embedding
+  score float -- Reciprocal rank fusion score
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH keyword AS (
+    SELECT ds.id, row_number() OVER (ORDER BY ts_rank_cd(ds.fts, document_sections_keyword_query(query_text)) DESC) AS rank_ix
+    FROM document_sections ds
+    WHERE ds.fts @@ document_sections_keyword_query(query_text)
+      AND document_in_collections(ds.document_id, filter_collection_ids)
+      AND document_section_matches(ds.document_id, ds.metadata, filter_metadata)
+    ORDER BY rank_ix
+    LIMIT match_count * 4
+  ),
+  semantic AS (
+    SELECT ds.id, row_number() OVER (ORDER BY ds.embedding <=> query_embedding) AS rank_ix
+    FROM document_sections ds
+    WHERE 1 - (ds.embedding <=> query_embedding) > match_threshold
+      AND document_in_collections(ds.document_id, filter_collection_ids)
+      AND document_section_matches(ds.document_id, ds.metadata, filter_metadata)
+    ORDER BY rank_ix
+    LIMIT match_count * 4
+  )
+  SELECT
+    ds.id,
+    ds.document_id,
+    ds.content,
+    ds.chunk_index,
+    ds.start_offset,
+    ds.end_offset,
+    ds.section_title,
+    1 - (ds.embedding <=> query_embedding) AS similarity,
+    (coalesce(1.0 / (rrf_k + keyword.rank_ix), 0.0) + coalesce(1.0 / (rrf_k + semantic.rank_ix), 0.0))::float AS score
+  FROM keyword
+  FULL OUTER JOIN semantic ON keyword.id = semantic.id
+  JOIN document_sections ds ON ds.id = coalesce(keyword.id, semantic.id)
+  ORDER BY score DESC
+  LIMIT match_count;
+$$;
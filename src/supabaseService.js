@@ -1,17 +1,26 @@
 import { createClient } from '@supabase/supabase-js';
-import { getConfig } from './config.js';
-import fs from 'node:fs/promises';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { getConfig, getConfigValue, redactSecrets } from './config.js';
+import { prepareSections } from './documentSections.js';
+import { buildSetupScript, migrateUp } from './migrations.js';
 import chalk from 'chalk';
 import ora from 'ora';
 
-// Derive the directory name from the current module's URL
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 let supabase = null;
 
+/**
+ * Describes a URL for error messages, without credentials or query parameters.
+ * @param {string} url - The URL.
+ * @returns {string} The URL's origin and path, or a placeholder if it is not a valid URL.
+ */
+function describeUrl(url) {
+    try {
+        const { origin, pathname } = new URL(url);
+        return `${origin}${pathname === '/' ? '' : pathname}`;
+    } catch (error) {
+        return '(not a valid URL)';
+    }
+}
+
 /**
  * Initializes and returns the Supabase client instance.
  * Ensures the client is created only once.
@@ -43,39 +52,36 @@ export function getSupabaseClient() {
         // e.g., try a simple query that should always work if connected.
         // await supabase.from('pg_tables').select('tablename').limit(1); 
     } catch (error) {
+        // Never print the key, nor credentials embedded in the URL
         console.error(chalk.red('Failed to initialize Supabase client.'));
-        console.error(chalk.yellow(`Provided URL: ${config.supabaseUrl}`));
+        console.error(chalk.yellow(`Provided URL: ${describeUrl(config.supabaseUrl)}`));
         console.error(chalk.yellow('Provided Key: Is it the public anon key?'));
-        throw new Error(`Supabase client initialization failed: ${error.message}`);
+        throw new Error(`Supabase client initialization failed: ${redactSecrets(error.message)}`);
     }
     return supabase;
 }
 
 /**
- * Reads the content of the setup SQL file.
+ * Builds the setup script from the schema migrations, with the configured embedding dimension filled in.
  * @returns {Promise<string>} The SQL script content.
- * @throws {Error} If the file cannot be read.
+ * @throws {Error} If the migration files cannot be read.
  */
 export async function getSetupSql() {
-    const sqlPath = path.join(__dirname, 'sql', 'setup.sql');
-    try {
-        const sqlContent = await fs.readFile(sqlPath, 'utf-8');
-        return sqlContent;
-    } catch (error) {
-        throw new Error(`Failed to read setup SQL file at ${sqlPath}: ${error.message}`);
-    }
+    return buildSetupScript();
 }
 
 // --- Database Setup Logic ---
 
 /**
  * Checks if the required Supabase components (extension, tables, function) exist.
+ * @param {object} [options] - Check options.
+ * @param {boolean} [options.quiet=false] - Print no progress, e.g. for health checks of `serve`.
  * @returns {Promise<{ allExist: boolean, missing: string[] }>} 
  *          An object indicating if all components exist and a list of missing components.
  * @throws {Error} If any check fails due to connection or permissions issues.
  */
-export async function checkDatabaseSetup() {
-    const spinner = ora(chalk.blue('Checking database setup...')).start();
+export async function checkDatabaseSetup({ quiet = false } = {}) {
+    const spinner = ora({ text: chalk.blue('Checking database setup...'), isSilent: quiet }).start();
     const client = getSupabaseClient();
     const missing = [];
 
@@ -95,7 +101,9 @@ export async function checkDatabaseSetup() {
             
             if (extError) {
                 // If SQL approach fails, try alternative method
-                console.log(chalk.yellow('SQL check for vector extension failed, trying alternative approach...'));
+                if (!quiet) {
+                    console.log(chalk.yellow('SQL check for vector extension failed, trying alternative approach...'));
+                }
             } else if (extResult && extResult.length > 0 && !extResult[0].exists) {
                 missing.push('vector extension');
             }
@@ -110,7 +118,9 @@ export async function checkDatabaseSetup() {
                 // and the vector extension might be installed
                 if (vectorTestError?.message?.includes('function') && 
                     vectorTestError?.message?.includes('does not exist')) {
-                    console.log(chalk.yellow('Note: The test_vector_extension function is not installed yet.'));
+                    if (!quiet) {
+                        console.log(chalk.yellow('Note: The test_vector_extension function is not installed yet.'));
+                    }
                     
                     // Method 3: Try to use the vector type (indirect check)
                     try {
@@ -149,6 +159,74 @@ export async function checkDatabaseSetup() {
             missing.push('documents table (needs verification)');
         }
 
+        // 2b. Check for the source tracking columns used by `sync`
+        spinner.text = chalk.blue('Checking for documents source columns...');
+        try {
+            const { error: columnError } = await client
+                .from('documents')
+                .select('source_path, content_hash')
+                .limit(1);
+
+            if (columnError?.message?.includes('column') && columnError?.message?.includes('does not exist')) {
+                missing.push('documents source columns');
+            }
+        } catch (error) {
+            missing.push('documents source columns (needs verification)');
+        }
+
+        // 2c. Check for the embedding model column used to detect model changes
+        spinner.text = chalk.blue('Checking for documents embedding_model column...');
+        try {
+            const { error: columnError } = await client
+                .from('documents')
+                .select('embedding_model')
+                .limit(1);
+
+            if (columnError?.message?.includes('column') && columnError?.message?.includes('does not exist')) {
+                missing.push('documents embedding_model column');
+            }
+        } catch (error) {
+            missing.push('documents embedding_model column (needs verification)');
+        }
+
+        // 2d. Check for the collections table and the documents collection_id column
+        spinner.text = chalk.blue('Checking for collections...');
+        try {
+            const { error: tableError } = await client
+                .from('collections')
+                .select('id')
+                .limit(1);
+            if (tableError?.message?.includes('does not exist') || tableError?.message?.includes('Could not find')) {
+                missing.push('collections table');
+            }
+
+            const { error: columnError } = await client
+                .from('documents')
+                .select('collection_id')
+                .limit(1);
+            if (columnError?.message?.includes('column') && columnError?.message?.includes('does not exist')) {
+                missing.push('documents collection_id column');
+            }
+        } catch (error) {
+            missing.push('collections table (needs verification)');
+        }
+
+        // 2e. Check for the metadata columns used by metadata filters
+        spinner.text = chalk.blue('Checking for metadata columns...');
+        for (const table of ['documents', 'document_sections']) {
+            try {
+                const { error: columnError } = await client
+                    .from(table)
+                    .select('metadata')
+                    .limit(1);
+                if (columnError?.message?.includes('column') && columnError?.message?.includes('does not exist')) {
+                    missing.push(`${table} metadata column`);
+                }
+            } catch (error) {
+                missing.push(`${table} metadata column (needs verification)`);
+            }
+        }
+
         // 3. Check for document_sections table
         spinner.text = chalk.blue('Checking for document_sections table...');
         try {
@@ -165,23 +243,84 @@ export async function checkDatabaseSetup() {
             missing.push('document_sections table (needs verification)');
         }
 
+        // 3b. Check for the chunk position columns added in later versions
+        spinner.text = chalk.blue('Checking for document_sections position columns...');
+        try {
+            const { error: columnError } = await client
+                .from('document_sections')
+                .select('chunk_index, start_offset, end_offset, section_title')
+                .limit(1);
+
+            // Only report the columns if the table itself exists
+            if (columnError?.message?.includes('column') && columnError?.message?.includes('does not exist')) {
+                missing.push('document_sections position columns');
+            }
+        } catch (error) {
+            missing.push('document_sections position columns (needs verification)');
+        }
+
+        // 3c. Check for the full-text search column used by keyword and hybrid search
+        spinner.text = chalk.blue('Checking for document_sections full-text search column...');
+        try {
+            const { error: columnError } = await client
+                .from('document_sections')
+                .select('fts')
+                .limit(1);
+
+            if (columnError?.message?.includes('column') && columnError?.message?.includes('does not exist')) {
+                missing.push('document_sections full-text search column');
+            }
+        } catch (error) {
+            missing.push('document_sections full-text search column (needs verification)');
+        }
+
         // 4. Check for match_document_sections function
         spinner.text = chalk.blue('Checking for match_document_sections function...');
         try {
+            const dimension = getConfigValue('embeddingDimension');
             const { error: rpcError } = await client.rpc('match_document_sections', {
-                query_embedding: Array(1536).fill(0),
+                query_embedding: Array(dimension).fill(0),
                 match_threshold: 0.5,
-                match_count: 1
+                match_count: 1,
+                filter_collection_ids: null,
+                filter_metadata: null
             });
             
-            // Check if the error is about the function not existing
-            if (rpcError?.message?.includes('function') && rpcError?.message?.includes('does not exist')) {
+            // Check if the error is about the function not existing (or being a version without the collection filter)
+            if (rpcError?.message?.includes('function') && (rpcError?.message?.includes('does not exist') || rpcError?.message?.includes('Could not find'))) {
                 missing.push('match_document_sections function');
+            } else if (rpcError?.message?.includes('dimensions')) {
+                // pgvector: "expected 1536 dimensions, not 768"
+                missing.push(`${dimension}-dimensional embedding column (the configured embeddingDimension changed)`);
             }
         } catch (error) {
             missing.push('match_document_sections function (needs verification)');
         }
 
+        // 4b. Check for the keyword and hybrid search functions
+        spinner.text = chalk.blue('Checking for keyword and hybrid search functions...');
+        const searchFunctions = {
+            keyword_match_document_sections: { query_text: 'setup check', match_count: 1, filter_collection_ids: null, filter_metadata: null },
+            hybrid_match_document_sections: {
+                query_text: 'setup check',
+                query_embedding: Array(getConfigValue('embeddingDimension')).fill(0),
+                match_threshold: 0.5,
+                match_count: 1,
+                filter_collection_ids: null,
+                filter_metadata: null
+            }
+        };
+        for (const [name, params] of Object.entries(searchFunctions)) {
+            try {
+                const { error: rpcError } = await client.rpc(name, params);
+                if (rpcError?.message?.includes('function') && (rpcError?.message?.includes('does not exist') || rpcError?.message?.includes('Could not find'))) {
+                    missing.push(`${name} function`);
+                }
+            } catch (error) {
+                missing.push(`${name} function (needs verification)`);
+            }
+        }
+
         if (missing.length === 0) {
             spinner.succeed(chalk.green('Database setup is complete!'));
             return { allExist: true, missing: [] };
@@ -197,15 +336,30 @@ export async function checkDatabaseSetup() {
 }
 
 /**
- * Executes the setup SQL script in the Supabase database.
- * @returns {Promise<void>} Resolves on success.
- * @throws {Error} If reading the SQL file or executing the script fails.
+ * Sets up the Supabase database by applying the pending schema migrations over the direct
+ * connection (databaseUrl). Without one, the anon key cannot run SQL: the missing components
+ * are listed so the setup script can be run by hand.
+ * @returns {Promise<boolean>} True if the database is set up.
  */
 export async function executeSetupSql() {
+    if (getConfigValue('databaseUrl')) {
+        const spinner = ora(chalk.blue('Applying schema migrations...')).start();
+        try {
+            const applied = await migrateUp({
+                onMigration: migration => { spinner.text = chalk.blue(`Applying migration ${migration.version} (${migration.name})...`); }
+            });
+            spinner.succeed(chalk.green(`Applied ${applied.length} migration(s).`));
+            return true;
+        } catch (error) {
+            spinner.fail(chalk.red('Error applying schema migrations:'));
+            console.error(chalk.red(`Error details: ${error.message}`));
+            return false;
+        }
+    }
+
     const spinner = ora(chalk.blue('Reading setup SQL script...')).start();
     
     try {
-        const sqlContent = await getSetupSql();
         spinner.text = chalk.blue('Checking database components...');
         
         // Check current database setup
@@ -242,29 +396,60 @@ export async function executeSetupSql() {
 // --- RAG Core Logic ---
 
 /**
- * Search for relevant document sections based on query embedding.
- * @param {number[]} queryEmbedding - The embedding vector of the query.
- * @param {number} [matchThreshold=0.7] - Similarity threshold (0-1).
+ * Search for relevant document sections.
+ * @param {number[]|null} queryEmbedding - The embedding vector of the query (not needed in keyword mode).
+ * @param {number} [matchThreshold=0.7] - Similarity threshold (0-1) for vector matches.
  * @param {number} [matchCount=5] - Maximum number of matches to return.
- * @returns {Promise<Array>} - Array of matching document sections.
+ * @param {object} [options] - Search options.
+ * @param {'vector'|'keyword'|'hybrid'} [options.mode='vector'] - Vector similarity, full-text keyword
+ *        search, or both merged with reciprocal rank fusion.
+ * @param {string} [options.queryText] - The query text, required for keyword and hybrid search.
+ * @param {number[]} [options.collectionIds] - Only search documents in these collections (all documents when omitted).
+ * @param {Array<object>} [options.metadataFilter] - Conditions (see metadataFilter.js) that the document
+ *        metadata, overridden by the section metadata, must meet. Applied inside the match function, before ranking.
+ * @returns {Promise<Array>} - Matching document sections, best first, each with a `similarity`
+ *          (cosine, null in keyword mode) and the `score` they were ranked by.
  * @throws {Error} If the RPC call fails.
  */
-export async function searchDocumentSections(queryEmbedding, matchThreshold = 0.7, matchCount = 5) {
+export async function searchDocumentSections(queryEmbedding, matchThreshold = 0.7, matchCount = 5, options = {}) {
     const client = getSupabaseClient();
-    const { data, error } = await client.rpc(
-        'match_document_sections',
-        {
+    const mode = options.mode ?? 'vector';
+    const filterCollectionIds = options.collectionIds ?? null;
+    const filterMetadata = options.metadataFilter ?? null;
+    let rpc;
+    if (mode === 'keyword') {
+        rpc = client.rpc('keyword_match_document_sections', {
+            query_text: options.queryText,
+            match_count: matchCount,
+            filter_collection_ids: filterCollectionIds,
+            filter_metadata: filterMetadata
+        });
+    } else if (mode === 'hybrid') {
+        rpc = client.rpc('hybrid_match_document_sections', {
+            query_text: options.queryText,
             query_embedding: queryEmbedding,
             match_threshold: matchThreshold,
-            match_count: matchCount
-        }
-    );
+            match_count: matchCount,
+            filter_collection_ids: filterCollectionIds,
+            filter_metadata: filterMetadata
+        });
+    } else {
+        rpc = client.rpc('match_document_sections', {
+            query_embedding: queryEmbedding,
+            match_threshold: matchThreshold,
+            match_count: matchCount,
+            filter_collection_ids: filterCollectionIds,
+            filter_metadata: filterMetadata
+        });
+    }
 
+    const { data, error } = await rpc;
     if (error) {
-        throw new Error(`Failed to search document sections via RPC: ${error.message} (Code: ${error.code})`);
+        throw new Error(`Failed to search document sections via RPC (${mode} mode): ${error.message} (Code: ${error.code})`);
     }
 
-    return data || []; // Return empty array if data is null/undefined
+    // Return empty array if data is null/undefined; vector matches are ranked by their similarity
+    return (data || []).map(row => ({ ...row, score: row.score ?? row.similarity }));
 }
 
 /**
@@ -306,25 +491,52 @@ export async function getDocumentDetails(documentId) {
     }
 }
 
+// Sections are inserted in batches to keep each request body small
+const SECTION_INSERT_BATCH_SIZE = 100;
+
 /**
  * Adds a document and its sections (with embeddings) to the database.
+ * Embeddings are generated in batches before anything is written. If some
+ * sections cannot be embedded after retries, the document is stored with the
+ * remaining sections and without a content hash, so the next `sync` retries it.
  * @param {string} name - Document name.
  * @param {string} content - Document content.
- * @param {Function} generateEmbeddingFn - Async function to generate embeddings (e.g., from openaiService).
+ * @param {Function} generateEmbeddingsFn - Async batch embedding function (e.g., generateEmbeddings from openaiService),
+ *        called with (texts, { onProgress }) and resolving to { embeddings, failures }.
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.chunkSize] - Maximum tokens per section (defaults to the configured value).
+ * @param {number} [options.chunkOverlap] - Tokens shared between sections (defaults to the configured value).
+ * @param {Array} [options.sections] - Document structure from an extractor, used to title each section.
+ * @param {string} [options.sourcePath] - Absolute path of the source file, if any.
+ * @param {string} [options.contentHash] - Hash of the source file contents, used by `sync`.
+ * @param {number} [options.collectionId] - The collection to add the document to (none when omitted).
+ * @param {object} [options.metadata] - Document metadata, for filtering searches.
  * @returns {Promise<number>} The ID of the newly added document.
- * @throws {Error} If any step (metadata insertion, embedding generation, section insertion) fails.
+ * @throws {Error} If any step (chunking, embedding every section, metadata or section insertion) fails.
  */
-export async function addDocument(name, content, generateEmbeddingFn) {
+export async function addDocument(name, content, generateEmbeddingsFn, options = {}) {
     const spinner = ora({ text: chalk.blue('Adding document...'), spinner: 'dots' }).start();
     const client = getSupabaseClient();
     let documentId = null;
 
     try {
-        // 1. Insert document metadata
-        spinner.text = chalk.blue('Inserting document metadata...');
+        // 1. Chunk the content and embed the sections
+        const { rows, total, failures, embeddingModel } = await prepareSections(content, generateEmbeddingsFn, options, spinner);
+
+        // 2. Insert document metadata
+        spinner.start(chalk.blue('Inserting document metadata...'));
         const { data: document, error: documentError } = await client
             .from('documents')
-            .insert([{ name, content }])
+            .insert([{
+                name,
+                content,
+                source_path: options.sourcePath ?? null,
+                // An incomplete document gets no hash so `sync` sees it as changed and retries
+                content_hash: failures.length === 0 ? (options.contentHash ?? null) : null,
+                embedding_model: embeddingModel,
+                collection_id: options.collectionId ?? null,
+                metadata: options.metadata ?? {}
+            }])
             .select('id')
             .single(); // Use single to get the ID directly
 
@@ -334,43 +546,23 @@ export async function addDocument(name, content, generateEmbeddingFn) {
         documentId = document.id;
         spinner.succeed(chalk.green(`Document metadata added (ID: ${documentId}).`));
 
-        // 2. Split content into sections
-        spinner.start(chalk.blue('Splitting content into sections...'));
-        const sections = content.split(/\\n\\s*\\n/).filter(section => section.trim().length > 0);
-        if (sections.length === 0) {
+        if (total === 0) {
             spinner.warn(chalk.yellow('Document content resulted in zero sections. Only metadata was added.'));
             return documentId; // Return ID even if no sections
         }
-        spinner.succeed(chalk.green(`Split into ${sections.length} sections.`));
 
-        // 3. Generate embeddings and prepare section data
-        spinner.start(chalk.blue(`Generating embeddings for ${sections.length} sections...`));
-        const sectionData = [];
-        for (let i = 0; i < sections.length; i++) {
-            spinner.text = chalk.blue(`Generating embedding for section ${i + 1}/${sections.length}...`);
-            try {
-                const embedding = await generateEmbeddingFn(sections[i]);
-                sectionData.push({
-                    document_id: documentId,
-                    content: sections[i],
-                    embedding: embedding
-                });
-            } catch (embedError) {
-                // Halt the entire process if embedding fails for any section
-                throw new Error(`Failed to generate embedding for section ${i + 1}: ${embedError.message}`);
-            }
-        }
-        spinner.succeed(chalk.green('Embeddings generated.'));
-
-        // 4. Insert sections into the database
+        // 3. Insert the embedded sections into the database
+        const sectionData = rows.map(row => ({ document_id: documentId, ...row }));
         spinner.start(chalk.blue(`Inserting ${sectionData.length} sections into the database...`));
-        const { error: sectionError } = await client
-            .from('document_sections')
-            .insert(sectionData);
+        for (let i = 0; i < sectionData.length; i += SECTION_INSERT_BATCH_SIZE) {
+            const { error: sectionError } = await client
+                .from('document_sections')
+                .insert(sectionData.slice(i, i + SECTION_INSERT_BATCH_SIZE));
 
-        if (sectionError) {
-            // Attempt to clean up the document metadata if sections fail? Maybe too complex.
-            throw new Error(`Failed to insert document sections: ${sectionError.message} (Code: ${sectionError.code})`);
+            if (sectionError) {
+                // Attempt to clean up the document metadata if sections fail? Maybe too complex.
+                throw new Error(`Failed to insert document sections: ${sectionError.message} (Code: ${sectionError.code})`);
+            }
         }
 
         spinner.succeed(chalk.green(`Successfully added document "${name}" with ${sectionData.length} sections`));
@@ -387,18 +579,24 @@ export async function addDocument(name, content, generateEmbeddingFn) {
 // --- Document Management Placeholders ---
 
 /**
- * Lists all documents (ID and name).
- * @returns {Promise<Array<{id: number, name: string}>>} List of documents.
+ * Lists documents (ID, name, collection and creation time), newest first.
+ * @param {object} [options] - List options.
+ * @param {number} [options.collectionId] - Only list the documents of this collection.
+ * @returns {Promise<Array<{id: number, name: string, collection_id: number|null, created_at: string}>>} List of documents.
  * @throws {Error} If the query fails.
  */
-export async function listDocuments() {
+export async function listDocuments(options = {}) {
     const client = getSupabaseClient();
     const spinner = ora(chalk.blue('Fetching document list...')).start();
     try {
-        const { data, error } = await client
+        let query = client
             .from('documents')
-            .select('id, name, created_at')
+            .select('id, name, collection_id, created_at')
             .order('created_at', { ascending: false }); // Optional: order by creation time
+        if (options.collectionId !== undefined) {
+            query = query.eq('collection_id', options.collectionId);
+        }
+        const { data, error } = await query;
 
         if (error) {
             throw new Error(`Failed to list documents: ${error.message} (Code: ${error.code})`);
@@ -411,13 +609,66 @@ export async function listDocuments() {
     }
 }
 
+/**
+ * Lists the documents that were loaded from files, with their source path and content hash.
+ * Results are fetched page by page so large corpora are returned completely.
+ * @param {number|null} [collectionId=null] - The collection to list (null: documents in no collection).
+ * @returns {Promise<Array<{id: number, name: string, source_path: string, content_hash: string}>>} Documents with a source.
+ * @throws {Error} If the query fails.
+ */
+export async function listDocumentSources(collectionId = null) {
+    const client = getSupabaseClient();
+    const pageSize = 1000; // PostgREST default maximum rows per request
+    const documents = [];
+
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await client
+            .from('documents')
+            .select('id, name, source_path, content_hash, metadata')
+            .not('source_path', 'is', null)
+            .filter('collection_id', collectionId === null ? 'is' : 'eq', collectionId)
+            .order('id', { ascending: true })
+            .range(from, from + pageSize - 1);
+
+        if (error) {
+            throw new Error(`Failed to list document sources: ${error.message} (Code: ${error.code})`);
+        }
+        documents.push(...(data || []));
+        if (!data || data.length < pageSize) {
+            return documents;
+        }
+    }
+}
+
+/**
+ * Finds the documents that were loaded from a given source file into a collection.
+ * @param {string} sourcePath - Absolute path of the source file.
+ * @param {number|null} [collectionId=null] - The collection to look in (null: documents in no collection).
+ * @returns {Promise<Array<{id: number, content_hash: string, metadata: object}>>} Matching documents (usually zero or one).
+ * @throws {Error} If the query fails.
+ */
+export async function findDocumentsBySource(sourcePath, collectionId = null) {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+        .from('documents')
+        .select('id, content_hash, metadata')
+        .eq('source_path', sourcePath)
+        .filter('collection_id', collectionId === null ? 'is' : 'eq', collectionId);
+
+    if (error) {
+        throw new Error(`Failed to look up documents for ${sourcePath}: ${error.message} (Code: ${error.code})`);
+    }
+    return data || [];
+}
+
 /**
  * Finds a document's ID by its exact name or returns the ID if input is numeric.
  * @param {string | number} identifier - The document name (string) or ID (number).
+ * @param {number} [collectionId] - Only look in this collection.
  * @returns {Promise<number>} The document ID.
  * @throws {Error} If the document is not found or if multiple documents match the name.
  */
-export async function findDocumentByNameOrId(identifier) {
+export async function findDocumentByNameOrId(identifier, collectionId) {
     const client = getSupabaseClient();
     const spinner = ora(chalk.blue(`Searching for document "${identifier}"...`)).start();
 
@@ -426,7 +677,9 @@ export async function findDocumentByNameOrId(identifier) {
         const potentialId = Number.parseInt(identifier, 10);
         if (!Number.isNaN(potentialId)) {
              // Verify the ID exists
-             const { error: idError } = await client.from('documents').select('id').eq('id', potentialId).single();
+             let idQuery = client.from('documents').select('id').eq('id', potentialId);
+             if (collectionId !== undefined) idQuery = idQuery.eq('collection_id', collectionId);
+             const { error: idError } = await idQuery.single();
              if (idError) {
                  if (idError.code === 'PGRST116') throw new Error(`Document not found with ID: ${potentialId}`);
                  throw new Error(`Error verifying document ID ${potentialId}: ${idError.message}`);
@@ -436,10 +689,12 @@ export async function findDocumentByNameOrId(identifier) {
         }
 
         // If identifier is a string, search by name
-        const { data, error } = await client
+        let nameQuery = client
             .from('documents')
             .select('id, name')
             .eq('name', identifier);
+        if (collectionId !== undefined) nameQuery = nameQuery.eq('collection_id', collectionId);
+        const { data, error } = await nameQuery;
 
         if (error) {
             throw new Error(`Error searching for document by name "${identifier}": ${error.message}`);
@@ -494,4 +749,233 @@ export async function deleteDocumentById(documentId) {
         spinner.fail(chalk.red(`Error deleting document ID: ${documentId}.`));
         throw error; // Re-throw specific error
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Deletes several documents and their sections (via cascade) in one request.
+ * @param {number[]} documentIds - The IDs of the documents to delete.
+ * @returns {Promise<void>} Resolves on successful deletion.
+ * @throws {Error} If the deletion fails.
+ */
+export async function deleteDocumentsByIds(documentIds) {
+    if (documentIds.length === 0) {
+        return;
+    }
+
+    const client = getSupabaseClient();
+    const { error } = await client
+        .from('documents')
+        .delete()
+        .in('id', documentIds);
+
+    if (error) {
+        throw new Error(`Failed to delete documents ${documentIds.join(', ')}: ${error.message} (Code: ${error.code})`);
+    }
+}
+
+/**
+ * Lists every document with the embedding model its sections were embedded with.
+ * Results are fetched page by page so large corpora are returned completely.
+ * @returns {Promise<Array<{id: number, name: string, embedding_model: string|null}>>} Documents and their models
+ *          (null for documents added before the model was recorded).
+ * @throws {Error} If the query fails.
+ */
+export async function listDocumentModels() {
+    const client = getSupabaseClient();
+    const pageSize = 1000; // PostgREST default maximum rows per request
+    const documents = [];
+
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await client
+            .from('documents')
+            .select('id, name, embedding_model')
+            .order('id', { ascending: true })
+            .range(from, from + pageSize - 1);
+
+        if (error) {
+            throw new Error(`Failed to list document embedding models: ${error.message} (Code: ${error.code})`);
+        }
+        documents.push(...(data || []));
+        if (!data || data.length < pageSize) {
+            return documents;
+        }
+    }
+}
+
+/**
+ * Lists the sections of a document in chunk order.
+ * @param {number} documentId - The document ID.
+ * @returns {Promise<Array<{id: number, document_id: number, content: string}>>} The document's sections.
+ * @throws {Error} If the query fails.
+ */
+export async function getDocumentSections(documentId) {
+    const client = getSupabaseClient();
+    const pageSize = 1000; // PostgREST default maximum rows per request
+    const sections = [];
+
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await client
+            .from('document_sections')
+            .select('id, document_id, content')
+            .eq('document_id', documentId)
+            .order('chunk_index', { ascending: true })
+            .order('id', { ascending: true })
+            .range(from, from + pageSize - 1);
+
+        if (error) {
+            throw new Error(`Failed to fetch sections of document ${documentId}: ${error.message} (Code: ${error.code})`);
+        }
+        sections.push(...(data || []));
+        if (!data || data.length < pageSize) {
+            return sections;
+        }
+    }
+}
+
+/**
+ * Replaces the embeddings of existing sections.
+ * @param {Array<{id: number, document_id: number, embedding: number[]}>} updates - New embedding per section.
+ * @returns {Promise<void>} Resolves once every section is updated.
+ * @throws {Error} If an update fails.
+ */
+export async function updateSectionEmbeddings(updates) {
+    const client = getSupabaseClient();
+    for (let i = 0; i < updates.length; i += SECTION_INSERT_BATCH_SIZE) {
+        // Upserting on the primary key only touches the columns sent, so content and offsets are kept
+        const { error } = await client
+            .from('document_sections')
+            .upsert(updates.slice(i, i + SECTION_INSERT_BATCH_SIZE), { onConflict: 'id' });
+
+        if (error) {
+            throw new Error(`Failed to update section embeddings: ${error.message} (Code: ${error.code})`);
+        }
+    }
+}
+
+/**
+ * Records the embedding model a document's sections were embedded with.
+ * @param {number} documentId - The document ID.
+ * @param {string} embeddingModel - The embedding model ID.
+ * @returns {Promise<void>} Resolves once the document is updated.
+ * @throws {Error} If the update fails.
+ */
+export async function setDocumentEmbeddingModel(documentId, embeddingModel) {
+    const client = getSupabaseClient();
+    const { error } = await client
+        .from('documents')
+        .update({ embedding_model: embeddingModel })
+        .eq('id', documentId);
+
+    if (error) {
+        throw new Error(`Failed to update the embedding model of document ${documentId}: ${error.message} (Code: ${error.code})`);
+    }
+}
+
+/**
+ * Replaces a document's metadata.
+ * @param {number} documentId - The document ID.
+ * @param {object} metadata - The new metadata.
+ * @returns {Promise<void>} Resolves once the document is updated.
+ * @throws {Error} If the update fails.
+ */
+export async function updateDocumentMetadata(documentId, metadata) {
+    const client = getSupabaseClient();
+    const { error } = await client
+        .from('documents')
+        .update({ metadata })
+        .eq('id', documentId);
+
+    if (error) {
+        throw new Error(`Failed to update the metadata of document ${documentId}: ${error.message} (Code: ${error.code})`);
+    }
+}
+
+// --- Collections ---
+
+/**
+ * Creates a collection.
+ * @param {string} name - The collection name (unique).
+ * @param {string} [description] - What the collection contains.
+ * @returns {Promise<{id: number, name: string, description: string|null, created_at: string}>} The new collection.
+ * @throws {Error} If a collection with this name exists or the insert fails.
+ */
+export async function createCollection(name, description) {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+        .from('collections')
+        .insert([{ name, description: description || null }])
+        .select('id, name, description, created_at')
+        .single();
+
+    if (error) {
+        if (error.code === '23505') { // unique_violation
+            throw new Error(`A collection named "${name}" already exists.`);
+        }
+        throw new Error(`Failed to create collection "${name}": ${error.message} (Code: ${error.code})`);
+    }
+    return data;
+}
+
+/**
+ * Lists all collections with their number of documents, by name.
+ * @returns {Promise<Array<{id: number, name: string, description: string|null, created_at: string, document_count: number}>>}
+ *          The collections.
+ * @throws {Error} If the query fails.
+ */
+export async function listCollections() {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+        .from('collections')
+        .select('id, name, description, created_at, documents(count)')
+        .order('name', { ascending: true });
+
+    if (error) {
+        throw new Error(`Failed to list collections: ${error.message} (Code: ${error.code})`);
+    }
+    return (data || []).map(({ documents, ...collection }) => ({
+        ...collection,
+        document_count: documents?.[0]?.count ?? 0
+    }));
+}
+
+/**
+ * Finds a collection by its exact name or, if the input is numeric, by ID.
+ * @param {string | number} identifier - The collection name or ID.
+ * @returns {Promise<{id: number, name: string}>} The collection.
+ * @throws {Error} If the collection is not found or the query fails.
+ */
+export async function findCollectionByNameOrId(identifier) {
+    const client = getSupabaseClient();
+    const potentialId = Number.parseInt(identifier, 10);
+    const { data, error } = await client
+        .from('collections')
+        .select('id, name')
+        .eq(Number.isNaN(potentialId) ? 'name' : 'id', Number.isNaN(potentialId) ? identifier : potentialId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to look up collection "${identifier}": ${error.message} (Code: ${error.code})`);
+    }
+    if (!data) {
+        throw new Error(`Collection not found: "${identifier}"`);
+    }
+    return data;
+}
+
+/**
+ * Deletes a collection together with its documents and their sections (via cascade).
+ * @param {number} collectionId - The collection ID.
+ * @returns {Promise<void>} Resolves on successful deletion.
+ * @throws {Error} If the deletion fails.
+ */
+export async function deleteCollection(collectionId) {
+    const client = getSupabaseClient();
+    const { error } = await client
+        .from('collections')
+        .delete()
+        .eq('id', collectionId);
+
+    if (error) {
+        throw new Error(`Failed to delete collection ${collectionId}: ${error.message} (Code: ${error.code})`);
+    }
+}
@@ -0,0 +1,73 @@
+import { getEncoding } from 'js-tiktoken';
+
+// cl100k_base is the encoding used by OpenAI's embedding and GPT-4 class models.
+let encoding = null;
+
+/**
+ * Lazily creates the shared tokenizer instance.
+ * Building the encoder is relatively expensive, so it is created only once.
+ * @returns {object} The js-tiktoken encoding instance.
+ */
+function getTokenizer() {
+    if (!encoding) {
+        encoding = getEncoding('cl100k_base');
+    }
+    return encoding;
+}
+
+// Byte-pair encoding takes time quadratic in the length of an unbroken run of
+// characters, so long runs (base64 data, minified code) are encoded in parts of this
+// many characters. Splitting a run may add a token per part; ordinary text is unaffected.
+export const MAX_RUN_CHARS = 64;
+const LONG_RUN = new RegExp(`\\S{${MAX_RUN_CHARS}}`, 'gu');
+
+/**
+ * Counts the number of tokens in a piece of text.
+ * @param {string} text - The text to measure.
+ * @returns {number} The number of tokens.
+ */
+export function countTokens(text) {
+    if (!text) return 0;
+    const tokenizer = getTokenizer();
+    let count = 0;
+    let cursor = 0;
+    LONG_RUN.lastIndex = 0;
+    let match;
+    while ((match = LONG_RUN.exec(text)) !== null) {
+        if (match.index > cursor) {
+            count += tokenizer.encode(text.slice(cursor, match.index)).length;
+        }
+        count += tokenizer.encode(match[0]).length;
+        cursor = LONG_RUN.lastIndex;
+    }
+    if (cursor < text.length) {
+        count += tokenizer.encode(text.slice(cursor)).length;
+    }
+    return count;
+}
+
+/**
+ * Finds the longest prefix of a text that fits within a token budget.
+ * Uses a binary search on character length so the cut always falls on a
+ * character boundary (never in the middle of a multi-byte token).
+ * @param {string} text - The text to cut.
+ * @param {number} maxTokens - The token budget for the prefix.
+ * @returns {number} The character length of the longest fitting prefix (at least 1 for non-empty text).
+ */
+export function fitPrefixToTokens(text, maxTokens) {
+    if (countTokens(text) <= maxTokens) {
+        return text.length;
+    }
+
+    let low = 1;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (countTokens(text.slice(0, mid)) <= maxTokens) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
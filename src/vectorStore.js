@@ -0,0 +1,136 @@
+import { getConfigValue } from './config.js';
+import * as supabaseStore from './supabaseService.js';
+import * as localStore from './localStore.js';
+
+/**
+ * A vector store backend is a module exporting these async functions
+ * (see supabaseService.js and localStore.js for the reference implementations):
+ *
+ * - checkDatabaseSetup({quiet}) -> { allExist, missing }
+ * - executeSetupSql() -> boolean
+ * - searchDocumentSections(queryEmbedding, matchThreshold, matchCount, { mode, queryText, collectionIds, metadataFilter }) -> section rows with similarity and score
+ * - getDocumentDetails(documentId) -> { name, content }
+ * - addDocument(name, content, generateEmbeddingsFn, options) -> documentId
+ * - listDocuments({ collectionId }) -> [{ id, name, collection_id, created_at }]
+ * - listDocumentSources(collectionId) -> [{ id, name, source_path, content_hash, metadata }]
+ * - findDocumentsBySource(sourcePath, collectionId) -> [{ id, content_hash, metadata }]
+ * - findDocumentByNameOrId(identifier, collectionId) -> documentId
+ * - deleteDocumentById(documentId)
+ * - deleteDocumentsByIds(documentIds)
+ * - listDocumentModels() -> [{ id, name, embedding_model }]
+ * - getDocumentSections(documentId) -> [{ id, document_id, content }]
+ * - updateSectionEmbeddings([{ id, document_id, embedding }])
+ * - setDocumentEmbeddingModel(documentId, embeddingModel)
+ * - updateDocumentMetadata(documentId, metadata)
+ * - createCollection(name, description) -> { id, name, description, created_at }
+ * - listCollections() -> [{ id, name, description, created_at, document_count }]
+ * - findCollectionByNameOrId(identifier) -> { id, name }
+ * - deleteCollection(collectionId) (deletes the collection's documents too)
+ *
+ * Documents without a collection have a null collection_id. Where a collectionId
+ * is optional, omitting it means all documents; for the source lookups used to
+ * deduplicate files, null means the documents in no collection.
+ */
+const BACKENDS = {
+    supabase: supabaseStore,
+    local: localStore
+};
+
+export const VECTOR_STORE_NAMES = Object.keys(BACKENDS);
+
+/**
+ * Returns the configured vector store backend.
+ * @returns {object} The backend module.
+ * @throws {Error} If the configured backend is unknown.
+ */
+export function getVectorStore() {
+    const name = getConfigValue('vectorStore') || 'supabase';
+    const backend = BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown vector store "${name}". Available: ${VECTOR_STORE_NAMES.join(', ')}.`);
+    }
+    return backend;
+}
+
+// The functions below forward to the configured backend, so callers do not
+// need to know which one is in use.
+
+export function checkDatabaseSetup(...args) {
+    return getVectorStore().checkDatabaseSetup(...args);
+}
+
+export function executeSetupSql(...args) {
+    return getVectorStore().executeSetupSql(...args);
+}
+
+export function searchDocumentSections(...args) {
+    return getVectorStore().searchDocumentSections(...args);
+}
+
+export function getDocumentDetails(...args) {
+    return getVectorStore().getDocumentDetails(...args);
+}
+
+export function addDocument(...args) {
+    return getVectorStore().addDocument(...args);
+}
+
+export function listDocuments(...args) {
+    return getVectorStore().listDocuments(...args);
+}
+
+export function listDocumentSources(...args) {
+    return getVectorStore().listDocumentSources(...args);
+}
+
+export function findDocumentsBySource(...args) {
+    return getVectorStore().findDocumentsBySource(...args);
+}
+
+export function findDocumentByNameOrId(...args) {
+    return getVectorStore().findDocumentByNameOrId(...args);
+}
+
+export function deleteDocumentById(...args) {
+    return getVectorStore().deleteDocumentById(...args);
+}
+
+export function deleteDocumentsByIds(...args) {
+    return getVectorStore().deleteDocumentsByIds(...args);
+}
+
+export function listDocumentModels(...args) {
+    return getVectorStore().listDocumentModels(...args);
+}
+
+export function getDocumentSections(...args) {
+    return getVectorStore().getDocumentSections(...args);
+}
+
+export function updateSectionEmbeddings(...args) {
+    return getVectorStore().updateSectionEmbeddings(...args);
+}
+
+export function setDocumentEmbeddingModel(...args) {
+    return getVectorStore().setDocumentEmbeddingModel(...args);
+}
+
+export function updateDocumentMetadata(...args) {
+    return getVectorStore().updateDocumentMetadata(...args);
+}
+
+export function createCollection(...args) {
+    return getVectorStore().createCollection(...args);
+}
+
+export function listCollections(...args) {
+    return getVectorStore().listCollections(...args);
+}
+
+export function findCollectionByNameOrId(...args) {
+    return getVectorStore().findCollectionByNameOrId(...args);
+}
+
+export function deleteCollection(...args) {
+    return getVectorStore().deleteCollection(...args);
+}